@@ -0,0 +1,22 @@
+require('dotenv').config();
+const database = require('../config/database');
+const LedgerService = require('../src/services/LedgerService');
+
+// Post opening balances for wallets that predate the ledger, so that
+// reconciliation only flags real drift. Run once before the first
+// reconcile; wallets already in step with the ledger are left alone.
+const run = async () => {
+  await database.connectMongo();
+
+  const { opened } = await LedgerService.postOpeningBalances();
+  opened.forEach(userId => console.log(`OPENED ${userId}`));
+  console.log(`Posted opening balances for ${opened.length} wallets`);
+
+  await database.disconnect();
+  process.exit(0);
+};
+
+run().catch((error) => {
+  console.error('Posting opening balances failed:', error);
+  process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,30 @@
+require('dotenv').config();
+const database = require('../config/database');
+const MarketRegistry = require('../src/services/MarketRegistry');
+const CandleService = require('../src/services/CandleService');
+
+// Recompute stored candles from the Trade collection.
+// Usage: node scripts/rebuild-candles.js [SYMBOL] [fromTimestampMs]
+const run = async () => {
+  await database.connectMongo();
+  await MarketRegistry.load();
+
+  const [symbolArg, fromArg] = process.argv.slice(2);
+  const symbols = symbolArg
+    ? [MarketRegistry.normalizeSymbol(symbolArg)]
+    : MarketRegistry.list().map(market => market.symbol);
+  const options = fromArg ? { from: parseInt(fromArg) } : {};
+
+  for (const symbol of symbols) {
+    const count = await CandleService.rebuild(symbol, options);
+    console.log(`${symbol}: rebuilt ${count} candles`);
+  }
+
+  await database.disconnect();
+  process.exit(0);
+};
+
+run().catch((error) => {
+  console.error('Candle rebuild failed:', error);
+  process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,31 @@
+require('dotenv').config();
+const database = require('../config/database');
+const LedgerService = require('../src/services/LedgerService');
+
+// Rebuild wallet balances from the ledger and report any that have drifted.
+// Exits with status 1 when drift is found. Wallets that predate the ledger
+// need their opening balances posted first (npm run ledger:open-balances).
+const run = async () => {
+  await database.connectMongo();
+
+  const report = await LedgerService.reconcile();
+  console.log(`Checked ${report.wallets} wallets at ${report.checkedAt.toISOString()}`);
+
+  report.drifted.forEach(({ userId, differences }) => {
+    differences.forEach(difference => {
+      console.log(`DRIFT ${userId} ${difference.currency} ${difference.account}: wallet ${difference.walletBalance}, ledger ${difference.ledgerBalance}`);
+    });
+  });
+
+  report.clearing.forEach(({ currency, balance }) => {
+    console.log(`CLEARING ${currency} does not net to zero: ${balance}`);
+  });
+
+  await database.disconnect();
+  process.exit(report.drifted.length > 0 || report.clearing.length > 0 ? 1 : 0);
+};
+
+run().catch((error) => {
+  console.error('Reconciliation failed:', error);
+  process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,51 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const database = require('../config/database');
+const CommandReplay = require('../src/services/CommandReplay');
+
+// Replay the engine's command journal from MONGODB_URI into the scratch
+// database REPLAY_MONGODB_URI (wiped first) and compare the rebuilt orders,
+// trades and books with the originals. With a sequence number the replay
+// stops there and leaves that state in the scratch database instead.
+// Exits with status 1 when the replay differs.
+// Usage: node scripts/replay-journal.js [toSequence]
+const run = async () => {
+  const target = process.env.REPLAY_MONGODB_URI;
+  if (!target || target === process.env.MONGODB_URI) {
+    throw new Error('REPLAY_MONGODB_URI must point to a scratch database other than MONGODB_URI');
+  }
+
+  const source = await mongoose.createConnection(process.env.MONGODB_URI).asPromise();
+  await database.connectMongo(target);
+
+  const [toArg] = process.argv.slice(2);
+  const report = await CommandReplay.run(source, { to: toArg ? parseInt(toArg) : undefined });
+  console.log(`Replayed ${report.commands} commands up to sequence ${report.sequence}, ${report.rejected.length} rejected`);
+
+  report.books.forEach(book => {
+    const [bestBid] = book.bids;
+    const [bestAsk] = book.asks;
+    console.log(`BOOK ${book.symbol} last ${book.lastPrice}: ${book.bids.length} bid levels (best ${bestBid ? bestBid[0] : '-'}), ${book.asks.length} ask levels (best ${bestAsk ? bestAsk[0] : '-'})`);
+  });
+
+  const differences = report.differences || [];
+  differences.forEach(difference => {
+    const fields = (difference.fields || [])
+      .map(({ field, expected, actual }) => ` ${field}: ${expected} -> ${actual}`)
+      .join(',');
+    console.log(`DIFF ${difference.collection} ${difference.id}: ${difference.reason}${fields}`);
+  });
+
+  if (report.differences && differences.length === 0) {
+    console.log('Replay matches the original orders, trades and books');
+  }
+
+  await source.close();
+  await database.disconnect();
+  process.exit(differences.length > 0 ? 1 : 0);
+};
+
+run().catch((error) => {
+  console.error('Journal replay failed:', error);
+  process.exit(1);
+});
\ No newline at end of file
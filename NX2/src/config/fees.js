@@ -0,0 +1,18 @@
+// Fee schedule by 30-day traded volume, counted in the quote currency on
+// both sides of every trade. Rates are fractions of the amount received:
+// buyers pay in the base asset, sellers in the quote asset.
+const feeTiers = [
+  { tier: 0, minVolume: '0', makerRate: '0.001', takerRate: '0.002' },
+  { tier: 1, minVolume: '100000', makerRate: '0.0008', takerRate: '0.0018' },
+  { tier: 2, minVolume: '1000000', makerRate: '0.0006', takerRate: '0.0016' },
+  { tier: 3, minVolume: '10000000', makerRate: '0.0004', takerRate: '0.0014' },
+  { tier: 4, minVolume: '50000000', makerRate: '0.0002', takerRate: '0.0012' },
+  { tier: 5, minVolume: '100000000', makerRate: '0', takerRate: '0.001' }
+];
+
+module.exports = {
+  feeTiers,
+  volumeWindowDays: 30,
+  // Wallet owner that collected fees are credited to
+  feeAccountId: process.env.FEE_ACCOUNT_ID || '000000000000000000000000'
+};
\ No newline at end of file
@@ -0,0 +1,60 @@
+// Default trading pairs, seeded into the Market collection the first time
+// the registry loads. Rounding rules:
+//
+// - price and quantity may not carry more decimals than pricePrecision and
+//   quantityPrecision and must be multiples of tickSize and lotSize; such
+//   orders are rejected rather than rounded
+// - amounts of an asset are kept at that asset's precision: notionals are
+//   exact (pricePrecision + quantityPrecision never exceeds it), fees and
+//   reservations round up, released reservations round down
+// - averageFillPrice is rounded half up to the quote asset precision
+const assetPrecision = {
+  BTC: 8,
+  ETH: 8,
+  BNB: 8,
+  SOL: 8,
+  ADA: 8,
+  XRP: 8,
+  DOT: 8,
+  DOGE: 8,
+  USDT: 8
+};
+
+const markets = [
+  {
+    symbol: 'BTC/USDT', pricePrecision: 2, quantityPrecision: 6, tickSize: '0.01', lotSize: '0.000001', minQuantity: '0.00001', maxQuantity: '1000', minNotional: '10'
+  },
+  {
+    symbol: 'ETH/USDT', pricePrecision: 2, quantityPrecision: 5, tickSize: '0.01', lotSize: '0.00001', minQuantity: '0.0001', maxQuantity: '10000', minNotional: '10'
+  },
+  {
+    symbol: 'BNB/USDT', pricePrecision: 2, quantityPrecision: 4, tickSize: '0.01', lotSize: '0.0001', minQuantity: '0.001', maxQuantity: '100000', minNotional: '10'
+  },
+  {
+    symbol: 'SOL/USDT', pricePrecision: 3, quantityPrecision: 3, tickSize: '0.001', lotSize: '0.001', minQuantity: '0.01', maxQuantity: '100000', minNotional: '5'
+  },
+  {
+    symbol: 'ADA/USDT', pricePrecision: 4, quantityPrecision: 1, tickSize: '0.0001', lotSize: '0.1', minQuantity: '1', maxQuantity: '10000000', minNotional: '5'
+  },
+  {
+    symbol: 'XRP/USDT', pricePrecision: 4, quantityPrecision: 1, tickSize: '0.0001', lotSize: '0.1', minQuantity: '1', maxQuantity: '10000000', minNotional: '5'
+  },
+  {
+    symbol: 'DOT/USDT', pricePrecision: 3, quantityPrecision: 2, tickSize: '0.001', lotSize: '0.01', minQuantity: '0.1', maxQuantity: '1000000', minNotional: '5'
+  },
+  {
+    symbol: 'DOGE/USDT', pricePrecision: 5, quantityPrecision: 0, tickSize: '0.00001', lotSize: '1', minQuantity: '10', maxQuantity: '100000000', minNotional: '5'
+  }
+].map((market) => {
+  const [base, quote] = market.symbol.split('/');
+  return {
+    ...market,
+    base,
+    quote,
+    basePrecision: assetPrecision[base],
+    quotePrecision: assetPrecision[quote],
+    status: 'trading'
+  };
+});
+
+module.exports = { assetPrecision, markets };
\ No newline at end of file
@@ -1,57 +1,217 @@
-const AuthService = require('../services/AuthService');
-
-const authenticate = async (req, res, next) => {
-  try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        error: 'Access denied. No token provided.'
-      });
-    }
-
-    // Check if token is blacklisted
-    if (AuthService.isTokenBlacklisted(token)) {
-      return res.status(401).json({
-        success: false,
-        error: 'Token has been invalidated.'
-      });
-    }
-
-    const verification = AuthService.verifyToken(token);
-    if (!verification.success) {
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid token.'
-      });
-    }
-
-    req.user = verification.user;
-    next();
-  } catch (error) {
-    res.status(401).json({
-      success: false,
-      error: 'Authentication failed.'
-    });
-  }
-};
-
-const optionalAuth = async (req, res, next) => {
-  try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    
-    if (token && !AuthService.isTokenBlacklisted(token)) {
-      const verification = AuthService.verifyToken(token);
-      if (verification.success) {
-        req.user = verification.user;
-      }
-    }
-    
-    next();
-  } catch (error) {
-    next();
-  }
-};
-
-module.exports = { authenticate, optionalAuth };
\ No newline at end of file
+const AuthService = require('../services/AuthService');
+const SessionService = require('../services/SessionService');
+const ApiKeyService = require('../services/ApiKeyService');
+const User = require('../models/User');
+
+const authenticate = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        error: 'Access denied. No token provided.'
+      });
+    }
+
+    const verification = AuthService.verifyToken(token);
+    if (!verification.success) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid token.'
+      });
+    }
+
+    // Access tokens die with their session, e.g. on logout
+    if (!(await SessionService.isActive(verification.user.sessionId))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Token has been invalidated.'
+      });
+    }
+
+    req.user = verification.user;
+    next();
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      error: 'Authentication failed.'
+    });
+  }
+};
+
+// Variant of authenticate for bots: a request signed with an API key that
+// has the scope. It carries X-API-KEY, X-API-TIMESTAMP (ms),
+// X-API-SIGNATURE (hex HMAC-SHA256 of timestamp + method + path + body)
+// and optionally X-API-RECV-WINDOW (ms).
+const authenticateApiKey = scope => async (req, res, next) => {
+  try {
+    const apiKey = await ApiKeyService.verify({
+      keyId: req.header('X-API-KEY'),
+      timestamp: req.header('X-API-TIMESTAMP'),
+      signature: req.header('X-API-SIGNATURE'),
+      recvWindow: req.header('X-API-RECV-WINDOW'),
+      method: req.method,
+      path: req.originalUrl,
+      body: req.rawBody,
+      ip: req.ip
+    });
+
+    if (scope && !apiKey.scopes.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        error: `API key does not have the ${scope} scope.`
+      });
+    }
+
+    req.user = {
+      userId: String(apiKey.userId),
+      apiKeyId: apiKey.keyId,
+      scopes: apiKey.scopes
+    };
+    next();
+  } catch (error) {
+    res.status(error.status || 401).json({
+      success: false,
+      error: error.status ? error.message : 'Authentication failed.'
+    });
+  }
+};
+
+// Routes bots may use take either a login token or, when the request has an
+// API key, a signed request with the scope
+const authenticateOrApiKey = scope => (req, res, next) => (
+  req.header('X-API-KEY')
+    ? authenticateApiKey(scope)(req, res, next)
+    : authenticate(req, res, next)
+);
+
+const optionalAuth = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    
+    if (token) {
+      const verification = AuthService.verifyToken(token);
+      if (verification.success && await SessionService.isActive(verification.user.sessionId)) {
+        req.user = verification.user;
+      }
+    }
+    
+    next();
+  } catch (error) {
+    next();
+  }
+};
+
+// Must run after authenticate; the role is read from the database so that
+// revoking it takes effect before the token expires
+const requireAdmin = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select('role');
+
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Admin access required.'
+      });
+    }
+
+    next();
+  } catch (error) {
+    res.status(403).json({
+      success: false,
+      error: 'Admin access required.'
+    });
+  }
+};
+
+// Must run after authenticate. Trading and moving funds out need a verified
+// email address; sub-accounts go by their master account.
+const requireVerified = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.userId).select('isVerified parentUserId');
+    let verified = !!user && user.isVerified;
+
+    if (user && !verified && user.parentUserId) {
+      const master = await User.findById(user.parentUserId).select('isVerified');
+      verified = !!master && master.isVerified;
+    }
+
+    if (!verified) {
+      return res.status(403).json({
+        success: false,
+        error: 'Email address must be verified.'
+      });
+    }
+
+    next();
+  } catch (error) {
+    res.status(403).json({
+      success: false,
+      error: 'Email address must be verified.'
+    });
+  }
+};
+
+// Must run after authenticate. Sensitive actions take a fresh code from the
+// authenticator in `twoFactorCode` when the account has two-factor
+// authentication on; recovery codes are not accepted here. Sub-accounts go
+// by their master account's authenticator. API keys are only created with a
+// code, so requests signed with one pass.
+const requireTwoFactor = async (req, res, next) => {
+  try {
+    if (req.user.apiKeyId) {
+      return next();
+    }
+
+    let user = await User.findById(req.user.userId).select('+twoFactorSecret');
+    if (user && user.parentUserId) {
+      user = await User.findById(user.parentUserId).select('+twoFactorSecret');
+    }
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication failed.'
+      });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return next();
+    }
+
+    if (!req.body.twoFactorCode) {
+      return res.status(403).json({
+        success: false,
+        error: 'Two-factor code required.',
+        twoFactorRequired: true
+      });
+    }
+
+    const isCodeValid = await AuthService.checkSecondFactor(user, req.body.twoFactorCode);
+    if (!isCodeValid) {
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid two-factor code.',
+        twoFactorRequired: true
+      });
+    }
+
+    next();
+  } catch (error) {
+    res.status(403).json({
+      success: false,
+      error: 'Two-factor verification failed.'
+    });
+  }
+};
+
+module.exports = {
+  authenticate,
+  authenticateApiKey,
+  authenticateOrApiKey,
+  optionalAuth,
+  requireAdmin,
+  requireVerified,
+  requireTwoFactor
+};
\ No newline at end of file
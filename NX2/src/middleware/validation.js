@@ -1,67 +1,556 @@
-const Joi = require('joi');
-
-const registerValidation = (req, res, next) => {
-  const schema = Joi.object({
-    email: Joi.string().email().required(),
-    password: Joi.string().min(8).required(),
-    name: Joi.string().min(2).max(50).required()
-  });
-
-  const { error } = schema.validate(req.body);
-  if (error) {
-    return res.status(400).json({
-      success: false,
-      error: error.details[0].message
-    });
-  }
-
-  next();
-};
-
-const loginValidation = (req, res, next) => {
-  const schema = Joi.object({
-    email: Joi.string().email().required(),
-    password: Joi.string().required()
-  });
-
-  const { error } = schema.validate(req.body);
-  if (error) {
-    return res.status(400).json({
-      success: false,
-      error: error.details[0].message
-    });
-  }
-
-  next();
-};
-
-const orderValidation = (req, res, next) => {
-  const schema = Joi.object({
-    symbol: Joi.string().pattern(/^[A-Z]+\/[A-Z]+$/).required(),
-    type: Joi.string().valid('limit', 'market').required(),
-    side: Joi.string().valid('buy', 'sell').required(),
-    quantity: Joi.number().positive().required(),
-    price: Joi.when('type', {
-      is: 'limit',
-      then: Joi.number().positive().required(),
-      otherwise: Joi.number().positive().optional()
-    }),
-    clientOrderId: Joi.string().optional()
-  });
-
-  const { error } = schema.validate(req.body);
-  if (error) {
-    return res.status(400).json({
-      success: false,
-      error: error.details[0].message
-    });
-  }
-
-  next();
-};
-
-module.exports = {
-  registerValidation,
-  loginValidation,
-  orderValidation
+const Joi = require('joi');
+
+const registerValidation = (req, res, next) => {
+  const schema = Joi.object({
+    email: Joi.string().email().required(),
+    password: Joi.string().min(8).required(),
+    name: Joi.string().min(2).max(50).required()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+// A code from an authenticator app, or one of the account's recovery codes
+const totpCodeSchema = Joi.string().pattern(/^\d{6}$/).messages({
+  'string.pattern.base': 'Two-factor code must be 6 digits'
+});
+const secondFactorSchema = Joi.alternatives().try(
+  totpCodeSchema,
+  Joi.string().pattern(/^[0-9a-fA-F]{5}-?[0-9a-fA-F]{5}$/)
+);
+
+const loginValidation = (req, res, next) => {
+  const schema = Joi.object({
+    email: Joi.string().email().required(),
+    password: Joi.string().required()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+const emailTokenValidation = (req, res, next) => {
+  const schema = Joi.object({
+    token: Joi.string().hex().length(64).required()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+const forgotPasswordValidation = (req, res, next) => {
+  const schema = Joi.object({
+    email: Joi.string().email().required()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+const resetPasswordValidation = (req, res, next) => {
+  const schema = Joi.object({
+    token: Joi.string().hex().length(64).required(),
+    password: Joi.string().min(8).required()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+const refreshValidation = (req, res, next) => {
+  const schema = Joi.object({
+    refreshToken: Joi.string().required()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+const changePasswordValidation = (req, res, next) => {
+  const schema = Joi.object({
+    currentPassword: Joi.string().required(),
+    newPassword: Joi.string().min(8).required(),
+    twoFactorCode: totpCodeSchema.optional()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+const twoFactorCodeValidation = (req, res, next) => {
+  const schema = Joi.object({
+    code: totpCodeSchema.required()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+const twoFactorLoginValidation = (req, res, next) => {
+  const schema = Joi.object({
+    challengeToken: Joi.string().required(),
+    code: secondFactorSchema.required()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+const twoFactorDisableValidation = (req, res, next) => {
+  const schema = Joi.object({
+    password: Joi.string().required(),
+    code: secondFactorSchema.required()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+const ipWhitelistValidation = (req, res, next) => {
+  const schema = Joi.object({
+    ips: Joi.array()
+      .items(Joi.string().ip({ cidr: 'forbidden' }))
+      .max(20)
+      .unique()
+      .required(),
+    twoFactorCode: totpCodeSchema.optional()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+const apiKeyValidation = (req, res, next) => {
+  const schema = Joi.object({
+    label: Joi.string().max(50).optional(),
+    scopes: Joi.array()
+      .items(Joi.string().valid('read', 'trade', 'withdraw'))
+      .min(1)
+      .unique()
+      .default(['read']),
+    // Keys that can move funds out must be tied to known addresses
+    ipAllowlist: Joi.array()
+      .items(Joi.string().ip({ cidr: 'forbidden' }))
+      .max(20)
+      .unique()
+      .when('scopes', {
+        is: Joi.array().items(Joi.string()).has('withdraw'),
+        then: Joi.array().min(1).required(),
+        otherwise: Joi.optional()
+      })
+      .messages({
+        'any.required': 'Keys with the withdraw scope need an IP allowlist',
+        'array.min': 'Keys with the withdraw scope need an IP allowlist'
+      }),
+    twoFactorCode: totpCodeSchema.optional()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+// Market symbols as the registry stores them, e.g. BTC/USDT or 1INCH/USDT.
+// Orders and new markets take the same form, so every listable market can
+// be traded.
+const symbolSchema = Joi.string().pattern(/^[A-Z0-9]+\/[A-Z0-9]+$/).messages({
+  'string.pattern.base': 'Symbol must look like BASE/QUOTE in capitals, e.g. BTC/USDT'
+});
+
+// Most orders a batch request may carry
+const MAX_BATCH_ORDERS = parseInt(process.env.MAX_BATCH_ORDERS) || 20;
+
+// Shared by single orders and each item of a batch
+const orderSchema = Joi.object({
+  symbol: symbolSchema.required(),
+  type: Joi.string().valid('limit', 'market', 'stop_limit', 'stop_market').required(),
+  side: Joi.string().valid('buy', 'sell').required(),
+  quantity: Joi.number().positive().required(),
+  price: Joi.when('type', {
+    is: Joi.valid('limit', 'stop_limit'),
+    then: Joi.number().positive().required(),
+    otherwise: Joi.number().positive().optional()
+  }),
+  stopPrice: Joi.when('type', {
+    is: Joi.valid('stop_limit', 'stop_market'),
+    then: Joi.number().positive().required(),
+    otherwise: Joi.forbidden()
+  }),
+  timeInForce: Joi.when('postOnly', {
+    is: true,
+    then: Joi.string().valid('GTC').optional(),
+    otherwise: Joi.string().valid('GTC', 'IOC', 'FOK').optional()
+  }),
+  postOnly: Joi.when('type', {
+    is: 'limit',
+    then: Joi.boolean().optional(),
+    otherwise: Joi.valid(false).optional()
+  }),
+  postOnlyMode: Joi.string().valid('reject', 'reprice').optional(),
+  selfTradePrevention: Joi.string()
+    .valid('none', 'cancel_newest', 'cancel_oldest', 'cancel_both', 'decrement_and_cancel')
+    .optional(),
+  bracket: Joi.object({
+    takeProfit: Joi.object({
+      price: Joi.number().positive().required()
+    }).optional(),
+    stopLoss: Joi.object({
+      stopPrice: Joi.number().positive().required(),
+      price: Joi.number().positive().optional()
+    }).optional()
+  }).or('takeProfit', 'stopLoss').optional(),
+  clientOrderId: Joi.string().optional()
+});
+
+const orderValidation = (req, res, next) => {
+  const { error } = orderSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+// Only the shape of a batch is checked here; the route validates each order
+// against orderSchema so one bad order does not fail the rest
+const batchOrderValidation = (req, res, next) => {
+  const schema = Joi.object({
+    orders: Joi.array().items(Joi.object()).min(1).max(MAX_BATCH_ORDERS).required()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+const batchCancelValidation = (req, res, next) => {
+  const schema = Joi.object({
+    orderIds: Joi.array().items(Joi.string()).min(1).max(MAX_BATCH_ORDERS).unique()
+      .required()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+const ocoValidation = (req, res, next) => {
+  const schema = Joi.object({
+    symbol: symbolSchema.required(),
+    side: Joi.string().valid('buy', 'sell').required(),
+    quantity: Joi.number().positive().required(),
+    price: Joi.number().positive().required(),
+    stopPrice: Joi.number().positive().required(),
+    stopLimitPrice: Joi.number().positive().optional(),
+    selfTradePrevention: Joi.string()
+      .valid('none', 'cancel_newest', 'cancel_oldest', 'cancel_both', 'decrement_and_cancel')
+      .optional(),
+    clientOrderId: Joi.string().optional()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+const amendValidation = (req, res, next) => {
+  const schema = Joi.object({
+    price: Joi.number().positive().optional(),
+    quantity: Joi.number().positive().optional()
+  }).or('price', 'quantity');
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+const tradingSettingsValidation = (req, res, next) => {
+  const schema = Joi.object({
+    selfTradePrevention: Joi.string()
+      .valid('none', 'cancel_newest', 'cancel_oldest', 'cancel_both', 'decrement_and_cancel')
+      .required(),
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+const marketValidation = (req, res, next) => {
+  const amount = Joi.alternatives().try(
+    Joi.number().positive(),
+    Joi.string().pattern(/^\d+(\.\d+)?$/)
+  );
+
+  const schema = Joi.object({
+    symbol: symbolSchema.required(),
+    pricePrecision: Joi.number().integer().min(0).max(18).optional(),
+    quantityPrecision: Joi.number().integer().min(0).max(18).optional(),
+    basePrecision: Joi.number().integer().min(0).max(18).optional(),
+    quotePrecision: Joi.number().integer().min(0).max(18).optional(),
+    tickSize: amount.required(),
+    lotSize: amount.required(),
+    minQuantity: amount.optional(),
+    maxQuantity: amount.optional(),
+    minNotional: amount.optional(),
+    zeroFee: Joi.boolean().optional(),
+    status: Joi.string().valid('trading', 'halted').optional()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+const marketUpdateValidation = (req, res, next) => {
+  const schema = Joi.object({
+    status: Joi.string().valid('trading', 'halted', 'delisted').optional(),
+    zeroFee: Joi.boolean().optional()
+  }).or('status', 'zeroFee');
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+const feeOverrideValidation = (req, res, next) => {
+  const rate = Joi.alternatives().try(
+    Joi.number().min(0).max(0.1),
+    Joi.string().pattern(/^0(\.\d+)?$/)
+  ).allow(null);
+
+  const schema = Joi.object({
+    makerRate: rate.required(),
+    takerRate: rate.required()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+const amountSchema = Joi.alternatives().try(
+  Joi.number().positive(),
+  Joi.string().pattern(/^\d+(\.\d+)?$/)
+);
+
+const transferValidation = (req, res, next) => {
+  const schema = Joi.object({
+    email: Joi.string().email().required(),
+    currency: Joi.string().pattern(/^[A-Za-z0-9]+$/).required(),
+    amount: amountSchema.required(),
+    note: Joi.string().max(140).optional(),
+    twoFactorCode: totpCodeSchema.optional()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+const subAccountValidation = (req, res, next) => {
+  const schema = Joi.object({
+    email: Joi.string().email().required(),
+    password: Joi.string().min(8).required(),
+    name: Joi.string().min(2).max(50).required()
+  });
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+const subAccountTransferValidation = (req, res, next) => {
+  const objectId = Joi.string().hex().length(24);
+  const schema = Joi.object({
+    fromUserId: objectId.optional(),
+    toUserId: objectId.optional(),
+    currency: Joi.string().pattern(/^[A-Za-z0-9]+$/).required(),
+    amount: amountSchema.required()
+  }).or('fromUserId', 'toUserId');
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.details[0].message
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  orderSchema,
+  registerValidation,
+  loginValidation,
+  emailTokenValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  refreshValidation,
+  changePasswordValidation,
+  twoFactorCodeValidation,
+  twoFactorLoginValidation,
+  twoFactorDisableValidation,
+  ipWhitelistValidation,
+  apiKeyValidation,
+  orderValidation,
+  batchOrderValidation,
+  batchCancelValidation,
+  ocoValidation,
+  amendValidation,
+  tradingSettingsValidation,
+  marketValidation,
+  marketUpdateValidation,
+  feeOverrideValidation,
+  transferValidation,
+  subAccountValidation,
+  subAccountTransferValidation
 };
\ No newline at end of file
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const API_KEY_SCOPES = ['read', 'trade', 'withdraw'];
+
+// A key a user created for programmatic access. Requests are signed with
+// the secret, so it is kept encrypted rather than hashed and only shown to
+// the user when the key is created.
+const apiKeySchema = new mongoose.Schema({
+  keyId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  encryptedSecret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  scopes: {
+    type: [{ type: String, enum: API_KEY_SCOPES }],
+    default: ['read']
+  },
+  // Addresses the key may be used from; any address when empty
+  ipAllowlist: [String],
+  lastUsedAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+apiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
\ No newline at end of file
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { decimalField, nonNegative } = require('../utils/decimal');
+
+// A closed OHLCV candle. Candles still open live in CandleService memory.
+const candleSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  interval: {
+    type: String,
+    enum: ['1m', '5m', '15m', '1h', '4h', '1d'],
+    required: true
+  },
+  openTime: {
+    type: Date,
+    required: true
+  },
+  closeTime: {
+    type: Date,
+    required: true
+  },
+  open: decimalField({ required: true, validate: nonNegative }),
+  high: decimalField({ required: true, validate: nonNegative }),
+  low: decimalField({ required: true, validate: nonNegative }),
+  close: decimalField({ required: true, validate: nonNegative }),
+  volume: decimalField({ default: '0', validate: nonNegative }),
+  quoteVolume: decimalField({ default: '0', validate: nonNegative }),
+  trades: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { getters: true },
+  toObject: { getters: true }
+});
+
+candleSchema.index({ symbol: 1, interval: 1, openTime: 1 }, { unique: true });
+
+const Candle = mongoose.model('Candle', candleSchema);
+
+module.exports = Candle;
\ No newline at end of file
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const COMMAND_TYPES = ['place', 'place_oco', 'cancel', 'cancel_all', 'amend', 'trigger'];
+
+// One command accepted by the trading engine, written before it is applied.
+// Sequence numbers are unique and increase in the order commands were
+// applied, so replaying them in sequence order rebuilds the same books,
+// orders and trades.
+const engineCommandSchema = new mongoose.Schema({
+  sequence: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: COMMAND_TYPES,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Set on commands the engine issues itself, e.g. a stop triggered by a
+  // trade: the sequence of the command being applied at the time. Replays
+  // skip these, as applying their parent issues them again.
+  parentSequence: {
+    type: Number,
+    default: null,
+    index: true
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  }
+}, {
+  minimize: false,
+  versionKey: false
+});
+
+// The journal is append-only
+engineCommandSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function(next) {
+  next(new Error('Journaled commands cannot be changed or removed'));
+});
+
+engineCommandSchema.statics.TYPES = COMMAND_TYPES;
+
+const EngineCommand = mongoose.model('EngineCommand', engineCommandSchema);
+
+module.exports = EngineCommand;
\ No newline at end of file
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const {
+  toDecimal, toDecimal128, decimalField, nonNegative
+} = require('../utils/decimal');
+const clock = require('../utils/clock');
+
+// One line of a journal. Wallet balances are liabilities of the exchange, so
+// a credit raises the account and a debit lowers it. Every journal's debits
+// and credits are equal per currency; system accounts (userId null) stand on
+// the other side of deposits, withdrawals, adjustments and the clearing of
+// trades and transfers.
+const ledgerEntrySchema = new mongoose.Schema({
+  journalId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['trade', 'fee', 'deposit', 'withdrawal', 'transfer', 'lock', 'unlock', 'adjustment'],
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  account: {
+    type: String,
+    enum: ['available', 'locked', 'clearing', 'external', 'adjustment'],
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  debit: decimalField({
+    default: '0',
+    validate: nonNegative
+  }),
+  credit: decimalField({
+    default: '0',
+    validate: nonNegative
+  }),
+  orderId: {
+    type: String,
+    index: true
+  },
+  tradeId: {
+    type: String,
+    index: true
+  },
+  transferId: {
+    type: String,
+    index: true
+  },
+  description: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: { getters: true },
+  toObject: { getters: true }
+});
+
+ledgerEntrySchema.index({ userId: 1, currency: 1, account: 1 });
+ledgerEntrySchema.index({ userId: 1, createdAt: -1 });
+
+// The ledger is append-only
+ledgerEntrySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function(next) {
+  next(new Error('Ledger entries cannot be changed or removed'));
+});
+
+// Static method to write a balanced journal. Lines carry a signed amount:
+// positive credits the account, negative debits it.
+ledgerEntrySchema.statics.post = async function(type, lines, reference = {}) {
+  const entries = lines
+    .map(line => ({ ...line, amount: toDecimal(line.amount) }))
+    .filter(line => !line.amount.isZero());
+
+  if (entries.length === 0) return [];
+
+  const totals = new Map();
+  entries.forEach(line => {
+    totals.set(line.currency, (totals.get(line.currency) || toDecimal(0)).plus(line.amount));
+  });
+
+  for (const [currency, total] of totals) {
+    if (!total.isZero()) {
+      throw new Error(`Unbalanced ${type} journal: ${currency} is off by ${total.toFixed()}`);
+    }
+  }
+
+  const journalId = clock.nextId('JRN');
+
+  return this.insertMany(entries.map(line => ({
+    journalId,
+    type,
+    userId: line.userId || null,
+    account: line.account,
+    currency: line.currency,
+    debit: toDecimal128(line.amount.isNegative() ? line.amount.neg() : 0),
+    credit: toDecimal128(line.amount.isNegative() ? 0 : line.amount),
+    orderId: reference.orderId,
+    tradeId: reference.tradeId,
+    transferId: reference.transferId,
+    description: reference.description
+  })));
+};
+
+// Static method to get every account's balance as credits minus debits
+ledgerEntrySchema.statics.getBalances = function(match = {}) {
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { userId: '$userId', currency: '$currency', account: '$account' },
+        balance: { $sum: { $subtract: ['$credit', '$debit'] } }
+      }
+    }
+  ]);
+};
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+module.exports = LedgerEntry;
\ No newline at end of file
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const { decimalField, nonNegative } = require('../utils/decimal');
+
+const marketSchema = new mongoose.Schema({
+  symbol: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    index: true
+  },
+  base: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  quote: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  pricePrecision: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 18
+  },
+  quantityPrecision: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 18
+  },
+  basePrecision: {
+    type: Number,
+    default: 8,
+    min: 0,
+    max: 18
+  },
+  quotePrecision: {
+    type: Number,
+    default: 8,
+    min: 0,
+    max: 18
+  },
+  tickSize: decimalField({
+    required: true,
+    validate: nonNegative
+  }),
+  lotSize: decimalField({
+    required: true,
+    validate: nonNegative
+  }),
+  minQuantity: decimalField({
+    default: '0',
+    validate: nonNegative
+  }),
+  maxQuantity: decimalField({
+    validate: nonNegative
+  }),
+  minNotional: decimalField({
+    default: '0',
+    validate: nonNegative
+  }),
+  // Promotional markets charge no maker or taker fee
+  zeroFee: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['trading', 'halted', 'delisted'],
+    default: 'trading',
+    index: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { getters: true },
+  toObject: { getters: true }
+});
+
+// Pre-validate middleware to derive base and quote from the symbol
+marketSchema.pre('validate', function(next) {
+  if (this.symbol && (!this.base || !this.quote)) {
+    [this.base, this.quote] = this.symbol.split('/');
+  }
+  next();
+});
+
+const Market = mongoose.model('Market', marketSchema);
+
+module.exports = Market;
\ No newline at end of file
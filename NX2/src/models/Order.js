@@ -1,134 +1,230 @@
-const mongoose = require('mongoose');
-
-const orderSchema = new mongoose.Schema({
-  orderId: {
-    type: String,
-    required: true,
-    unique: true,
-    index: true
-  },
-  userId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true,
-    index: true
-  },
-  symbol: {
-    type: String,
-    required: true,
-    uppercase: true,
-    index: true
-  },
-  type: {
-    type: String,
-    enum: ['limit', 'market', 'stop_limit', 'stop_market'],
-    required: true
-  },
-  side: {
-    type: String,
-    enum: ['buy', 'sell'],
-    required: true
-  },
-  quantity: {
-    type: Number,
-    required: true,
-    min: 0
-  },
-  price: {
-    type: Number,
-    min: 0,
-    required: function() {
-      return this.type === 'limit' || this.type === 'stop_limit';
-    }
-  },
-  stopPrice: {
-    type: Number,
-    min: 0,
-    required: function() {
-      return this.type.includes('stop');
-    }
-  },
-  filledQuantity: {
-    type: Number,
-    default: 0,
-    min: 0
-  },
-  averageFillPrice: {
-    type: Number,
-    default: 0,
-    min: 0
-  },
-  status: {
-    type: String,
-    enum: ['open', 'partially_filled', 'filled', 'cancelled', 'rejected'],
-    default: 'open'
-  },
-  timeInForce: {
-    type: String,
-    enum: ['GTC', 'IOC', 'FOK'],
-    default: 'GTC'
-  },
-  leverage: {
-    type: Number,
-    default: 1,
-    min: 1,
-    max: 100
-  },
-  reduceOnly: {
-    type: Boolean,
-    default: false
-  },
-  postOnly: {
-    type: Boolean,
-    default: false
-  },
-  clientOrderId: {
-    type: String,
-    index: true
-  }
-}, {
-  timestamps: true
-});
-
-// Virtual for remaining quantity
-orderSchema.virtual('remainingQuantity').get(function() {
-  return this.quantity - this.filledQuantity;
-});
-
-// Virtual for total value
-orderSchema.virtual('totalValue').get(function() {
-  return this.quantity * (this.price || 0);
-});
-
-// Index for efficient queries
-orderSchema.index({ userId: 1, status: 1 });
-orderSchema.index({ symbol: 1, status: 1 });
-orderSchema.index({ createdAt: 1 });
-
-// Pre-save middleware
-orderSchema.pre('save', function(next) {
-  if (this.filledQuantity >= this.quantity) {
-    this.status = 'filled';
-  } else if (this.filledQuantity > 0) {
-    this.status = 'partially_filled';
-  }
-  next();
-});
-
-// Method to fill order
-orderSchema.methods.fill = function(quantity, price) {
-  const fillQty = Math.min(quantity, this.remainingQuantity);
-  this.filledQuantity += fillQty;
-  
-  // Update average fill price
-  this.averageFillPrice = (
-    (this.averageFillPrice * (this.filledQuantity - fillQty)) + 
-    (price * fillQty)
-  ) / this.filledQuantity;
-  
-  return fillQty;
-};
-
-const Order = mongoose.model('Order', orderSchema);
-
+const mongoose = require('mongoose');
+const {
+  toDecimal, toDecimal128, decimalField, nonNegative
+} = require('../utils/decimal');
+const clock = require('../utils/clock');
+
+// Statuses of orders that are still working and can be cancelled
+const OPEN_STATUSES = ['waiting', 'pending', 'triggered', 'open', 'partially_filled'];
+
+const orderSchema = new mongoose.Schema({
+  orderId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    index: true
+  },
+  type: {
+    type: String,
+    enum: ['limit', 'market', 'stop_limit', 'stop_market'],
+    required: true
+  },
+  side: {
+    type: String,
+    enum: ['buy', 'sell'],
+    required: true
+  },
+  quantity: decimalField({
+    required: true,
+    validate: nonNegative
+  }),
+  price: decimalField({
+    validate: nonNegative,
+    required: function() {
+      return this.type === 'limit' || this.type === 'stop_limit';
+    }
+  }),
+  stopPrice: decimalField({
+    validate: nonNegative,
+    required: function() {
+      return this.type.includes('stop');
+    }
+  }),
+  filledQuantity: decimalField({
+    default: '0',
+    validate: nonNegative
+  }),
+  filledValue: decimalField({
+    default: '0',
+    validate: nonNegative
+  }),
+  averageFillPrice: decimalField({
+    default: '0',
+    validate: nonNegative
+  }),
+  status: {
+    type: String,
+    enum: ['waiting', 'pending', 'triggered', 'open', 'partially_filled', 'filled', 'cancelled', 'rejected'],
+    default: 'open'
+  },
+  timeInForce: {
+    type: String,
+    enum: ['GTC', 'IOC', 'FOK'],
+    default: 'GTC'
+  },
+  leverage: {
+    type: Number,
+    default: 1,
+    min: 1,
+    max: 100
+  },
+  reduceOnly: {
+    type: Boolean,
+    default: false
+  },
+  postOnly: {
+    type: Boolean,
+    default: false
+  },
+  postOnlyMode: {
+    type: String,
+    enum: ['reject', 'reprice'],
+    default: 'reject'
+  },
+  selfTradePrevention: {
+    type: String,
+    enum: ['none', 'cancel_newest', 'cancel_oldest', 'cancel_both', 'decrement_and_cancel'],
+    default: 'none'
+  },
+  preventedQuantity: decimalField({
+    default: '0',
+    validate: nonNegative
+  }),
+  statusReason: String,
+  triggeredAt: Date,
+  // When an amend sent the order back to the end of the queue
+  queuedAt: Date,
+  groupId: {
+    type: String,
+    index: true
+  },
+  groupType: {
+    type: String,
+    enum: ['oco', 'bracket']
+  },
+  parentOrderId: {
+    type: String,
+    index: true
+  },
+  clientOrderId: {
+    type: String,
+    index: true
+  },
+  lockedAmount: decimalField({
+    default: '0',
+    validate: nonNegative
+  })
+}, {
+  // Stamped with the engine's clock, so replayed orders get the same times
+  // and queue in the same order
+  timestamps: { currentTime: () => new Date(clock.now()) },
+  toJSON: { getters: true, virtuals: true },
+  toObject: { getters: true, virtuals: true }
+});
+
+// Virtual for remaining quantity
+orderSchema.virtual('remainingQuantity').get(function() {
+  return toDecimal(this.quantity).minus(toDecimal(this.filledQuantity)).toFixed();
+});
+
+// Virtual for total value
+orderSchema.virtual('totalValue').get(function() {
+  return toDecimal(this.quantity).times(toDecimal(this.price)).toFixed();
+});
+
+// Virtual for the currency reserved while the order is working
+orderSchema.virtual('lockCurrency').get(function() {
+  const [baseCurrency, quoteCurrency] = this.symbol.split('/');
+  return this.side === 'buy' ? quoteCurrency : baseCurrency;
+});
+
+// Index for efficient queries
+orderSchema.index({ userId: 1, status: 1 });
+orderSchema.index({ symbol: 1, status: 1 });
+orderSchema.index({ createdAt: 1 });
+
+// A client order ID names one working order of its user at a time; once the
+// order is done the ID can be used again
+orderSchema.index({ userId: 1, clientOrderId: 1 }, {
+  unique: true,
+  partialFilterExpression: {
+    clientOrderId: { $exists: true },
+    status: { $in: OPEN_STATUSES }
+  }
+});
+
+// Pre-save middleware
+orderSchema.pre('save', function(next) {
+  // Waiting bracket legs and pending stops cannot fill yet, and cancelled
+  // and rejected orders keep their status whatever was filled
+  if (!['triggered', 'open', 'partially_filled'].includes(this.status)) return next();
+
+  const filledQuantity = toDecimal(this.filledQuantity);
+  if (filledQuantity.gte(toDecimal(this.quantity))) {
+    this.status = 'filled';
+  } else if (filledQuantity.gt(0)) {
+    this.status = 'partially_filled';
+  }
+  next();
+});
+
+// Method to fill order. The filled value is kept exactly and the average
+// price derived from it, rounded half up to `pricePlaces`.
+orderSchema.methods.fill = function(quantity, price, pricePlaces = 8) {
+  const fillQty = toDecimal(quantity).clampedTo(0, toDecimal(this.remainingQuantity));
+  const filledQuantity = toDecimal(this.filledQuantity).plus(fillQty);
+  const filledValue = toDecimal(this.filledValue).plus(fillQty.times(toDecimal(price)));
+
+  this.filledQuantity = filledQuantity.toFixed();
+  this.filledValue = filledValue.toFixed();
+
+  // Update average fill price
+  this.averageFillPrice = filledValue.div(filledQuantity).toDecimalPlaces(pricePlaces).toFixed();
+
+  return fillQty;
+};
+
+// Static method to list the orders resting on a symbol's book, as book
+// entries in the order they joined it: limit orders, and stop-limit orders
+// once triggered. Stop-limit orders queue from when they triggered, amended
+// orders from the amend.
+orderSchema.statics.getRestingEntries = async function(symbol) {
+  const orders = await this.find({
+    symbol,
+    type: { $in: ['limit', 'stop_limit'] },
+    status: { $in: ['open', 'partially_filled', 'triggered'] },
+    lockedAmount: { $gt: toDecimal128(0) }
+  })
+    .sort({ createdAt: 1, _id: 1 })
+    .select('orderId userId side price quantity filledQuantity createdAt triggeredAt queuedAt');
+
+  return orders
+    .map(order => ({
+      orderId: order.orderId,
+      userId: String(order.userId),
+      side: order.side,
+      price: order.price,
+      remaining: toDecimal(order.quantity).minus(toDecimal(order.filledQuantity)).toFixed(),
+      timestamp: (order.queuedAt || order.triggeredAt || order.createdAt).getTime()
+    }))
+    .filter(entry => toDecimal(entry.remaining).gt(0))
+    .sort((a, b) => a.timestamp - b.timestamp);
+};
+
+orderSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+
+const Order = mongoose.model('Order', orderSchema);
+
 module.exports = Order;
\ No newline at end of file
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const EVENT_TYPES = [
+  'login',
+  'login_failed',
+  'lockout',
+  'ip_blocked',
+  'device_confirmation_sent',
+  'device_approved',
+  'device_removed',
+  'ip_whitelist_updated',
+  'password_changed',
+  'password_reset',
+  'two_factor_enabled',
+  'two_factor_disabled'
+];
+
+// Something that happened to the security of an account, kept so its owner
+// can review it
+const securityEventSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: EVENT_TYPES,
+    required: true
+  },
+  ipAddress: String,
+  userAgent: String,
+  details: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+securityEventSchema.index({ userId: 1, createdAt: -1 });
+
+securityEventSchema.statics.TYPES = EVENT_TYPES;
+
+const SecurityEvent = mongoose.model('SecurityEvent', securityEventSchema);
+
+module.exports = SecurityEvent;
\ No newline at end of file
@@ -1,86 +1,113 @@
-const mongoose = require('mongoose');
-
-const tradeSchema = new mongoose.Schema({
-  tradeId: {
-    type: String,
-    required: true,
-    unique: true,
-    index: true
-  },
-  symbol: {
-    type: String,
-    required: true,
-    uppercase: true,
-    index: true
-  },
-  price: {
-    type: Number,
-    required: true,
-    min: 0
-  },
-  quantity: {
-    type: Number,
-    required: true,
-    min: 0
-  },
-  side: {
-    type: String,
-    enum: ['buy', 'sell'],
-    required: true
-  },
-  takerOrderId: {
-    type: String,
-    required: true,
-    index: true
-  },
-  makerOrderId: {
-    type: String,
-    required: true,
-    index: true
-  },
-  takerUserId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  makerUserId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  fee: {
-    makerFee: { type: Number, default: 0 },
-    takerFee: { type: Number, default: 0 },
-    feeCurrency: { type: String, default: 'USDT' }
-  },
-  timestamp: {
-    type: Date,
-    default: Date.now,
-    index: true
-  }
-}, {
-  timestamps: true
-});
-
-// Index for efficient queries
-tradeSchema.index({ symbol: 1, timestamp: -1 });
-tradeSchema.index({ takerUserId: 1, timestamp: -1 });
-tradeSchema.index({ makerUserId: 1, timestamp: -1 });
-
-// Virtual for total value
-tradeSchema.virtual('totalValue').get(function() {
-  return this.price * this.quantity;
-});
-
-// Static method to get recent trades
-tradeSchema.statics.getRecentTrades = function(symbol, limit = 100) {
-  return this.find({ symbol })
-    .sort({ timestamp: -1 })
-    .limit(limit)
-    .populate('takerUserId', 'email name')
-    .populate('makerUserId', 'email name');
-};
-
-const Trade = mongoose.model('Trade', tradeSchema);
-
+const mongoose = require('mongoose');
+const { toDecimal, decimalField, nonNegative } = require('../utils/decimal');
+
+const tradeSchema = new mongoose.Schema({
+  tradeId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true,
+    index: true
+  },
+  price: decimalField({
+    required: true,
+    validate: nonNegative
+  }),
+  quantity: decimalField({
+    required: true,
+    validate: nonNegative
+  }),
+  side: {
+    type: String,
+    enum: ['buy', 'sell'],
+    required: true
+  },
+  takerOrderId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  makerOrderId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  takerUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  makerUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Each side pays its fee in the asset it receives
+  fee: {
+    makerFee: decimalField({ default: '0' }),
+    makerFeeRate: decimalField({ default: '0' }),
+    makerFeeCurrency: String,
+    takerFee: decimalField({ default: '0' }),
+    takerFeeRate: decimalField({ default: '0' }),
+    takerFeeCurrency: String
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { getters: true, virtuals: true },
+  toObject: { getters: true, virtuals: true }
+});
+
+// Index for efficient queries
+tradeSchema.index({ symbol: 1, timestamp: -1 });
+tradeSchema.index({ takerUserId: 1, timestamp: -1 });
+tradeSchema.index({ makerUserId: 1, timestamp: -1 });
+
+// Virtual for total value
+tradeSchema.virtual('totalValue').get(function() {
+  return toDecimal(this.price).times(toDecimal(this.quantity)).toFixed();
+});
+
+// Static method to get recent trades for the public feed, without the
+// accounts or orders behind them
+tradeSchema.statics.getRecentTrades = function(symbol, limit = 100) {
+  return this.find({ symbol })
+    .sort({ timestamp: -1 })
+    .limit(limit)
+    .select('tradeId symbol price quantity side timestamp');
+};
+
+// A trade as one of its parties sees it: their role, side and fee, but
+// nothing about the other account
+tradeSchema.methods.forUser = function(userId) {
+  const role = String(this.takerUserId) === String(userId) ? 'taker' : 'maker';
+  const takerSide = this.side;
+
+  return {
+    tradeId: this.tradeId,
+    symbol: this.symbol,
+    orderId: role === 'taker' ? this.takerOrderId : this.makerOrderId,
+    role,
+    side: role === 'taker' ? takerSide : (takerSide === 'buy' ? 'sell' : 'buy'),
+    price: this.price,
+    quantity: this.quantity,
+    totalValue: this.totalValue,
+    fee: this.fee[`${role}Fee`],
+    feeRate: this.fee[`${role}FeeRate`],
+    feeCurrency: this.fee[`${role}FeeCurrency`],
+    timestamp: this.timestamp
+  };
+};
+
+const Trade = mongoose.model('Trade', tradeSchema);
+
 module.exports = Trade;
\ No newline at end of file
@@ -1,135 +1,199 @@
-const mongoose = require('mongoose');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-
-const userSchema = new mongoose.Schema({
-  email: {
-    type: String,
-    required: true,
-    unique: true,
-    lowercase: true,
-    validate: {
-      validator: function(v) {
-        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v);
-      },
-      message: 'Invalid email format'
-    }
-  },
-  password: {
-    type: String,
-    required: true,
-    minlength: 8,
-    select: false
-  },
-  name: {
-    type: String,
-    required: true,
-    trim: true,
-    maxlength: 50
-  },
-  isVerified: {
-    type: Boolean,
-    default: false
-  },
-  twoFactorEnabled: {
-    type: Boolean,
-    default: false
-  },
-  twoFactorSecret: {
-    type: String,
-    select: false
-  },
-  kycStatus: {
-    type: String,
-    enum: ['pending', 'verified', 'rejected', 'not_submitted'],
-    default: 'not_submitted'
-  },
-  tradingLimits: {
-    dailyWithdrawal: { type: Number, default: 1000 },
-    dailyTrade: { type: Number, default: 10000 },
-    maxLeverage: { type: Number, default: 10 }
-  },
-  lastLogin: Date,
-  loginAttempts: {
-    type: Number,
-    default: 0
-  },
-  lockUntil: Date,
-  ipWhitelist: [String],
-  devices: [{
-    deviceId: String,
-    userAgent: String,
-    lastUsed: Date,
-    ipAddress: String
-  }]
-}, {
-  timestamps: true,
-  toJSON: { virtuals: true },
-  toObject: { virtuals: true }
-});
-
-// Virtual for checking if account is locked
-userSchema.virtual('isLocked').get(function() {
-  return !!(this.lockUntil && this.lockUntil > Date.now());
-});
-
-// Pre-save middleware to hash password
-userSchema.pre('save', async function(next) {
-  if (!this.isModified('password')) return next();
-  
-  try {
-    const salt = await bcrypt.genSalt(12);
-    this.password = await bcrypt.hash(this.password, salt);
-    next();
-  } catch (error) {
-    next(error);
-  }
-});
-
-// Instance method to check password
-userSchema.methods.checkPassword = async function(candidatePassword) {
-  if (!candidatePassword) return false;
-  return await bcrypt.compare(candidatePassword, this.password);
-};
-
-// Instance method to generate JWT token
-userSchema.methods.generateAuthToken = function() {
-  return jwt.sign(
-    { 
-      userId: this._id,
-      email: this.email,
-      kycStatus: this.kycStatus 
-    },
-    process.env.JWT_SECRET,
-    { expiresIn: '24h' }
-  );
-};
-
-// Instance method to increment login attempts
-userSchema.methods.incrementLoginAttempts = function() {
-  if (this.lockUntil && this.lockUntil < Date.now()) {
-    return this.updateOne({
-      $set: { loginAttempts: 1 },
-      $unset: { lockUntil: 1 }
-    });
-  }
-  
-  const updates = { $inc: { loginAttempts: 1 } };
-  
-  if (this.loginAttempts + 1 >= 5) {
-    updates.$set = { lockUntil: Date.now() + 2 * 60 * 60 * 1000 }; // 2 hours
-  }
-  
-  return this.updateOne(updates);
-};
-
-// Static method for failed login
-userSchema.statics.failedLogin = {
-  NOT_FOUND: 0,
-  PASSWORD_INCORRECT: 1,
-  MAX_ATTEMPTS: 2
-};
-
-const User = mongoose.model('User', userSchema);
-
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { decimalField, nonNegative } = require('../utils/decimal');
+
+const userSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    validate: {
+      validator: function(v) {
+        return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v);
+      },
+      message: 'Invalid email format'
+    }
+  },
+  password: {
+    type: String,
+    required: true,
+    minlength: 8,
+    select: false
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  isVerified: {
+    type: Boolean,
+    default: false
+  },
+  // SHA-256 hashes of the emailed verification and password reset tokens;
+  // each is cleared when used
+  emailVerificationToken: {
+    type: String,
+    select: false,
+    index: { sparse: true }
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  passwordResetToken: {
+    type: String,
+    select: false,
+    index: { sparse: true }
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // SHA-256 hashes of the unused recovery codes
+  twoFactorBackupCodes: {
+    type: [String],
+    select: false
+  },
+  // Time step of the last TOTP code accepted, so no code works twice
+  twoFactorLastCounter: {
+    type: Number,
+    select: false
+  },
+  // Set on sub-accounts: the master account that owns them
+  parentUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  kycStatus: {
+    type: String,
+    enum: ['pending', 'verified', 'rejected', 'not_submitted'],
+    default: 'not_submitted'
+  },
+  tradingLimits: {
+    dailyWithdrawal: { type: Number, default: 1000 },
+    dailyTrade: { type: Number, default: 10000 },
+    maxLeverage: { type: Number, default: 10 }
+  },
+  // Fee rates that replace the volume tier, e.g. for market makers
+  feeOverride: {
+    makerRate: decimalField({ validate: nonNegative }),
+    takerRate: decimalField({ validate: nonNegative })
+  },
+  selfTradePrevention: {
+    type: String,
+    enum: ['none', 'cancel_newest', 'cancel_oldest', 'cancel_both', 'decrement_and_cancel'],
+    default: 'none'
+  },
+  lastLogin: Date,
+  loginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date,
+  ipWhitelist: [String],
+  devices: [{
+    deviceId: String,
+    userAgent: String,
+    lastUsed: Date,
+    ipAddress: String,
+    // The login session open on the device, if any
+    sessionId: String,
+    // Devices after the first wait for the owner to confirm them by email;
+    // the hash of the emailed token is kept until then
+    approved: {
+      type: Boolean,
+      default: true
+    },
+    confirmationToken: String,
+    confirmationExpires: Date
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for checking if account is locked
+userSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+});
+
+// Pre-save middleware to hash password
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+  
+  try {
+    const salt = await bcrypt.genSalt(12);
+    this.password = await bcrypt.hash(this.password, salt);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Instance method to check password
+userSchema.methods.checkPassword = async function(candidatePassword) {
+  if (!candidatePassword) return false;
+  return await bcrypt.compare(candidatePassword, this.password);
+};
+
+// Instance method to generate a short-lived access token for a session
+userSchema.methods.generateAuthToken = function(sessionId) {
+  return jwt.sign(
+    { 
+      userId: this._id,
+      email: this.email,
+      kycStatus: this.kycStatus,
+      sessionId
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.ACCESS_TOKEN_TTL || '15m' }
+  );
+};
+
+// Instance method to increment login attempts
+userSchema.methods.incrementLoginAttempts = function() {
+  if (this.lockUntil && this.lockUntil < Date.now()) {
+    return this.updateOne({
+      $set: { loginAttempts: 1 },
+      $unset: { lockUntil: 1 }
+    });
+  }
+  
+  const updates = { $inc: { loginAttempts: 1 } };
+  
+  if (this.loginAttempts + 1 >= 5) {
+    updates.$set = { lockUntil: Date.now() + 2 * 60 * 60 * 1000 }; // 2 hours
+  }
+  
+  return this.updateOne(updates);
+};
+
+// Static method for failed login
+userSchema.statics.failedLogin = {
+  NOT_FOUND: 0,
+  PASSWORD_INCORRECT: 1,
+  MAX_ATTEMPTS: 2
+};
+
+const User = mongoose.model('User', userSchema);
+
 module.exports = User;
\ No newline at end of file
@@ -1,88 +1,305 @@
-const mongoose = require('mongoose');
-
-const balanceSchema = new mongoose.Schema({
-  currency: {
-    type: String,
-    required: true,
-    uppercase: true
-  },
-  available: {
-    type: Number,
-    default: 0,
-    min: 0
-  },
-  locked: {
-    type: Number,
-    default: 0,
-    min: 0
-  },
-  total: {
-    type: Number,
-    default: 0,
-    min: 0
-  }
-});
-
-const walletSchema = new mongoose.Schema({
-  userId: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true,
-    index: true
-  },
-  balances: [balanceSchema],
-  totalValueUSD: {
-    type: Number,
-    default: 0
-  }
-}, {
-  timestamps: true
-});
-
-// Update total balance virtual
-balanceSchema.virtual('total').get(function() {
-  return this.available + this.locked;
-});
-
-// Pre-save middleware to update totals
-walletSchema.pre('save', function(next) {
-  this.balances.forEach(balance => {
-    balance.total = balance.available + balance.locked;
-  });
-  next();
-});
-
-// Method to get balance for a currency
-walletSchema.methods.getBalance = function(currency) {
-  const balance = this.balances.find(b => b.currency === currency.toUpperCase());
-  return balance || { available: 0, locked: 0, total: 0 };
-};
-
-// Method to update balance
-walletSchema.methods.updateBalance = function(currency, availableDelta = 0, lockedDelta = 0) {
-  const currencyUpper = currency.toUpperCase();
-  let balance = this.balances.find(b => b.currency === currencyUpper);
-  
-  if (!balance) {
-    balance = { currency: currencyUpper, available: 0, locked: 0 };
-    this.balances.push(balance);
-  }
-  
-  balance.available += availableDelta;
-  balance.locked += lockedDelta;
-  
-  if (balance.available < 0 || balance.locked < 0) {
-    throw new Error('Insufficient balance');
-  }
-  
-  return this.save();
-};
-
-// Static method to get wallet by user ID
-walletSchema.statics.getByUserId = function(userId) {
-  return this.findOne({ userId }).populate('userId');
-};
-
-const Wallet = mongoose.model('Wallet', walletSchema);
-
+const mongoose = require('mongoose');
+const LedgerEntry = require('./LedgerEntry');
+const { feeAccountId } = require('../config/fees');
+const {
+  toDecimal, toDecimal128, decimalField, nonNegative
+} = require('../utils/decimal');
+
+// Every balance change below posts a journal to the ledger once the balance
+// update has gone through; `reference` ties it to its order or trade.
+
+const balanceSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  available: decimalField({
+    default: '0',
+    validate: nonNegative
+  }),
+  locked: decimalField({
+    default: '0',
+    validate: nonNegative
+  }),
+  total: decimalField({
+    default: '0',
+    validate: nonNegative
+  })
+}, {
+  toJSON: { getters: true },
+  toObject: { getters: true }
+});
+
+const walletSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  balances: [balanceSchema],
+  totalValueUSD: {
+    type: Number,
+    default: 0
+  },
+  // Outcome of the last ledger reconciliation
+  reconciliation: {
+    status: {
+      type: String,
+      enum: ['ok', 'drifted']
+    },
+    checkedAt: Date,
+    differences: [{
+      _id: false,
+      currency: String,
+      account: String,
+      walletBalance: String,
+      ledgerBalance: String
+    }]
+  }
+}, {
+  timestamps: true,
+  toJSON: { getters: true },
+  toObject: { getters: true }
+});
+
+// Pre-save middleware to update totals
+walletSchema.pre('save', function(next) {
+  this.balances.forEach(balance => {
+    balance.total = toDecimal(balance.available).plus(toDecimal(balance.locked)).toFixed();
+  });
+  next();
+});
+
+// Method to get balance for a currency
+walletSchema.methods.getBalance = function(currency) {
+  const balance = this.balances.find(b => b.currency === currency.toUpperCase());
+  return balance || { available: '0', locked: '0', total: '0' };
+};
+
+// Method to update balance. The change is applied with an atomic
+// conditional $inc, so it cannot overwrite a concurrent reservation or
+// settlement, and resolves to the refreshed wallet. Whatever the deltas add
+// up to is booked against the external account for deposits and
+// withdrawals, the clearing account for transfers, or the adjustment
+// account otherwise.
+walletSchema.methods.updateBalance = async function(currency, availableDelta = 0, lockedDelta = 0, reference = {}) {
+  const Wallet = this.constructor;
+  const currencyUpper = currency.toUpperCase();
+  const userId = this.populated('userId') || this.userId;
+  const available = toDecimal(availableDelta);
+  const locked = toDecimal(lockedDelta);
+  const net = available.plus(locked);
+
+  await Wallet.ensureBalance(userId, currencyUpper);
+
+  const match = { currency: currencyUpper };
+  if (available.isNegative()) match.available = { $gte: toDecimal128(available.neg()) };
+  if (locked.isNegative()) match.locked = { $gte: toDecimal128(locked.neg()) };
+
+  const result = await Wallet.updateOne(
+    { _id: this._id, balances: { $elemMatch: match } },
+    {
+      $inc: {
+        'balances.$.available': toDecimal128(available),
+        'balances.$.locked': toDecimal128(locked),
+        'balances.$.total': toDecimal128(net)
+      }
+    }
+  );
+
+  if (result.modifiedCount === 0) {
+    throw new Error('Insufficient balance');
+  }
+
+  const type = reference.type || 'adjustment';
+  const counterAccounts = { deposit: 'external', withdrawal: 'external', transfer: 'clearing' };
+  await LedgerEntry.post(type, [
+    { userId, account: 'available', currency: currencyUpper, amount: available },
+    { userId, account: 'locked', currency: currencyUpper, amount: locked },
+    { account: counterAccounts[type] || 'adjustment', currency: currencyUpper, amount: net.neg() }
+  ], reference);
+
+  return Wallet.findById(this._id);
+};
+
+// Static method to make sure a balance entry exists, so that positional
+// updates on that currency always have an element to hit
+walletSchema.statics.ensureBalance = function(userId, currency) {
+  return this.updateOne(
+    { userId, 'balances.currency': { $ne: currency } },
+    { $push: { balances: { currency, available: '0', locked: '0', total: '0' } } }
+  );
+};
+
+// Static method to move funds from available to locked. The filter only
+// matches when enough is available, so concurrent reservations can never
+// take the balance below zero.
+walletSchema.statics.lockFunds = async function(userId, currency, amount, reference = {}) {
+  const value = toDecimal(amount);
+  if (value.lte(0)) return;
+
+  const result = await this.updateOne(
+    { userId, balances: { $elemMatch: { currency, available: { $gte: toDecimal128(value) } } } },
+    {
+      $inc: {
+        'balances.$.available': toDecimal128(value.neg()),
+        'balances.$.locked': toDecimal128(value)
+      }
+    }
+  );
+
+  if (result.modifiedCount === 0) {
+    throw new Error('Insufficient balance');
+  }
+
+  await LedgerEntry.post('lock', [
+    { userId, account: 'available', currency, amount: value.neg() },
+    { userId, account: 'locked', currency, amount: value }
+  ], reference);
+};
+
+// Static method to return locked funds to available
+walletSchema.statics.unlockFunds = async function(userId, currency, amount, reference = {}) {
+  const value = toDecimal(amount);
+  if (value.lte(0)) return;
+
+  const result = await this.updateOne(
+    { userId, balances: { $elemMatch: { currency, locked: { $gte: toDecimal128(value) } } } },
+    {
+      $inc: {
+        'balances.$.available': toDecimal128(value),
+        'balances.$.locked': toDecimal128(value.neg())
+      }
+    }
+  );
+
+  if (result.modifiedCount === 0) {
+    throw new Error(`Locked ${currency} balance is lower than ${amount}`);
+  }
+
+  await LedgerEntry.post('unlock', [
+    { userId, account: 'locked', currency, amount: value.neg() },
+    { userId, account: 'available', currency, amount: value }
+  ], reference);
+};
+
+// Static method to settle a fill against a reservation: `released` leaves
+// the locked balance, `spent` of it is paid away and the rest goes back to
+// available, and `credit.amount` less `credit.fee` is added to the received
+// currency. The fee goes to the exchange fee account.
+walletSchema.statics.settleLocked = async function(userId, debit, credit, reference = {}) {
+  await this.ensureBalance(userId, credit.currency);
+
+  const released = toDecimal(debit.released);
+  const spent = toDecimal(debit.spent);
+  const fee = toDecimal(credit.fee);
+  const received = toDecimal(credit.amount).minus(fee);
+
+  const result = await this.updateOne(
+    { userId, balances: { $elemMatch: { currency: debit.currency, locked: { $gte: toDecimal128(released) } } } },
+    {
+      $inc: {
+        'balances.$[debit].locked': toDecimal128(released.neg()),
+        'balances.$[debit].available': toDecimal128(released.minus(spent)),
+        'balances.$[debit].total': toDecimal128(spent.neg()),
+        'balances.$[credit].available': toDecimal128(received),
+        'balances.$[credit].total': toDecimal128(received)
+      }
+    },
+    {
+      arrayFilters: [
+        { 'debit.currency': debit.currency },
+        { 'credit.currency': credit.currency }
+      ]
+    }
+  );
+
+  if (result.modifiedCount === 0) {
+    throw new Error(`Locked ${debit.currency} balance is lower than ${debit.released}`);
+  }
+
+  // What is paid and received passes through the clearing account, which
+  // nets to zero once both sides of a trade have settled
+  await LedgerEntry.post('trade', [
+    { userId, account: 'locked', currency: debit.currency, amount: released.neg() },
+    { userId, account: 'available', currency: debit.currency, amount: released.minus(spent) },
+    { account: 'clearing', currency: debit.currency, amount: spent },
+    { account: 'clearing', currency: credit.currency, amount: toDecimal(credit.amount).neg() },
+    { userId, account: 'available', currency: credit.currency, amount: credit.amount }
+  ], reference);
+
+  if (fee.gt(0)) {
+    await this.addAvailable(feeAccountId, credit.currency, fee);
+    await LedgerEntry.post('fee', [
+      { userId, account: 'available', currency: credit.currency, amount: fee.neg() },
+      { userId: feeAccountId, account: 'available', currency: credit.currency, amount: fee }
+    ], reference);
+  }
+};
+
+// Static method to add funds to available, creating the wallet if needed.
+// Posts no journal: callers do.
+walletSchema.statics.addAvailable = async function(userId, currency, amount) {
+  const value = toDecimal(amount);
+  if (value.lte(0)) return;
+
+  await this.updateOne({ userId }, { $setOnInsert: { userId, balances: [] } }, { upsert: true });
+  await this.ensureBalance(userId, currency);
+
+  await this.updateOne(
+    { userId, 'balances.currency': currency },
+    {
+      $inc: {
+        'balances.$.available': toDecimal128(value),
+        'balances.$.total': toDecimal128(value)
+      }
+    }
+  );
+};
+
+// Static methods to move funds in and out of the exchange
+walletSchema.statics.creditFunds = async function(userId, currency, amount, reference = {}) {
+  const value = toDecimal(amount);
+  if (value.lte(0)) return;
+
+  await this.addAvailable(userId, currency, value);
+  await LedgerEntry.post(reference.type || 'deposit', [
+    { account: 'external', currency, amount: value.neg() },
+    { userId, account: 'available', currency, amount: value }
+  ], reference);
+};
+
+walletSchema.statics.debitFunds = async function(userId, currency, amount, reference = {}) {
+  const value = toDecimal(amount);
+  if (value.lte(0)) return;
+
+  const result = await this.updateOne(
+    { userId, balances: { $elemMatch: { currency, available: { $gte: toDecimal128(value) } } } },
+    {
+      $inc: {
+        'balances.$.available': toDecimal128(value.neg()),
+        'balances.$.total': toDecimal128(value.neg())
+      }
+    }
+  );
+
+  if (result.modifiedCount === 0) {
+    throw new Error('Insufficient balance');
+  }
+
+  await LedgerEntry.post(reference.type || 'withdrawal', [
+    { userId, account: 'available', currency, amount: value.neg() },
+    { account: 'external', currency, amount: value }
+  ], reference);
+};
+
+// Static method to get wallet by user ID
+walletSchema.statics.getByUserId = function(userId) {
+  return this.findOne({ userId }).populate('userId');
+};
+
+const Wallet = mongoose.model('Wallet', walletSchema);
+
 module.exports = Wallet;
\ No newline at end of file
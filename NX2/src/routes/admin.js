@@ -0,0 +1,76 @@
+const express = require('express');
+const MarketRegistry = require('../services/MarketRegistry');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const User = require('../models/User');
+const {
+  marketValidation, marketUpdateValidation, feeOverrideValidation
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(authenticate, requireAdmin);
+
+// List a new market; it can be traded as soon as it is created
+router.post('/markets', marketValidation, async (req, res) => {
+  try {
+    const market = await MarketRegistry.addMarket(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: market
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Halt, resume or delist a market, or toggle its zero-fee promotion. The
+// symbol may be given as BTC-USDT.
+router.patch('/markets/:symbol', marketUpdateValidation, async (req, res) => {
+  try {
+    const market = await MarketRegistry.updateMarket(req.params.symbol, req.body);
+
+    res.json({
+      success: true,
+      data: market
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Set or clear (with null rates) an account's fee override
+router.put('/users/:userId/fees', feeOverrideValidation, async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.userId,
+      { feeOverride: req.body },
+      { new: true, runValidators: true }
+    ).select('email feeOverride');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
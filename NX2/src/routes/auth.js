@@ -1,85 +1,484 @@
-const express = require('express');
-const AuthService = require('../services/AuthService');
-const { registerValidation, loginValidation } = require('../middleware/validation');
-const { authenticate } = require('../middleware/auth');
-
-const router = express.Router();
-
-// Register new user
-router.post('/register', registerValidation, async (req, res) => {
-  try {
-    const result = await AuthService.register(req.body);
-    
-    if (result.success) {
-      res.status(201).json(result);
-    } else {
-      res.status(400).json(result);
-    }
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error'
-    });
-  }
-});
-
-// Login user
-router.post('/login', loginValidation, async (req, res) => {
-  try {
-    const { email, password } = req.body;
-    const ipAddress = req.ip || req.connection.remoteAddress;
-    const userAgent = req.get('User-Agent');
-
-    const result = await AuthService.login(email, password, ipAddress, userAgent);
-    
-    if (result.success) {
-      res.json(result);
-    } else {
-      res.status(401).json(result);
-    }
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error'
-    });
-  }
-});
-
-// Logout user
-router.post('/logout', authenticate, async (req, res) => {
-  try {
-    const token = req.header('Authorization').replace('Bearer ', '');
-    AuthService.blacklistToken(token);
-    
-    res.json({
-      success: true,
-      message: 'Logged out successfully'
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error'
-    });
-  }
-});
-
-// Change password
-router.post('/change-password', authenticate, async (req, res) => {
-  try {
-    const { currentPassword, newPassword } = req.body;
-    const result = await AuthService.changePassword(req.user.userId, currentPassword, newPassword);
-    
-    if (result.success) {
-      res.json(result);
-    } else {
-      res.status(400).json(result);
-    }
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error'
-    });
-  }
-});
-
+const express = require('express');
+const AuthService = require('../services/AuthService');
+const ApiKeyService = require('../services/ApiKeyService');
+const {
+  registerValidation, loginValidation, emailTokenValidation, forgotPasswordValidation,
+  resetPasswordValidation, refreshValidation, changePasswordValidation, twoFactorCodeValidation,
+  twoFactorLoginValidation, twoFactorDisableValidation, ipWhitelistValidation, apiKeyValidation
+} = require('../middleware/validation');
+const { authenticate, requireTwoFactor } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Register new user
+router.post('/register', registerValidation, async (req, res) => {
+  try {
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const userAgent = req.get('User-Agent');
+
+    const result = await AuthService.register(req.body, ipAddress, userAgent);
+    
+    if (result.success) {
+      res.status(201).json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Verify the email address with the token from the verification email
+router.post('/verify-email', emailTokenValidation, async (req, res) => {
+  try {
+    const result = await AuthService.verifyEmail(req.body.token);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Send the verification email again
+router.post('/resend-verification', authenticate, async (req, res) => {
+  try {
+    const result = await AuthService.resendVerification(req.user.userId);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Email a password reset link
+router.post('/forgot-password', forgotPasswordValidation, async (req, res) => {
+  try {
+    const result = await AuthService.forgotPassword(req.body.email);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error'
+      });
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Set a new password with the token from the reset email
+router.post('/reset-password', resetPasswordValidation, async (req, res) => {
+  try {
+    const result = await AuthService.resetPassword(req.body.token, req.body.password);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Login user
+router.post('/login', loginValidation, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const userAgent = req.get('User-Agent');
+
+    const result = await AuthService.login(email, password, ipAddress, userAgent);
+    
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(401).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Finish a login with two-factor authentication, answering the challenge
+// from /login with a code
+router.post('/2fa/login', twoFactorLoginValidation, async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    const ipAddress = req.ip || req.connection.remoteAddress;
+    const userAgent = req.get('User-Agent');
+
+    const result = await AuthService.loginWithTwoFactor(challengeToken, code, ipAddress, userAgent);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(401).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Get a new access token with the refresh token, which is swapped for a
+// new one each time
+router.post('/refresh', refreshValidation, async (req, res) => {
+  try {
+    const result = await AuthService.refresh(req.body.refreshToken);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(401).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Logout user, ending the session of the token used
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    await AuthService.logout(req.user.userId, req.user.sessionId);
+    
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// List the open sessions, one per device
+router.get('/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await AuthService.listSessions(req.user.userId, req.user.sessionId);
+
+    res.json({
+      success: true,
+      sessions
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Revoke a session, logging its device out
+router.delete('/sessions/:id', authenticate, async (req, res) => {
+  try {
+    const result = await AuthService.revokeSession(req.user.userId, req.params.id);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(404).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Confirm a new device with the token from the confirmation email
+router.post('/devices/confirm', emailTokenValidation, async (req, res) => {
+  try {
+    const result = await AuthService.confirmDevice(req.body.token);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// List the devices the account has logged in from
+router.get('/devices', authenticate, async (req, res) => {
+  try {
+    const devices = await AuthService.listDevices(req.user.userId);
+
+    res.json({
+      success: true,
+      devices
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Remove a device, logging it out
+router.delete('/devices/:deviceId', authenticate, async (req, res) => {
+  try {
+    const result = await AuthService.removeDevice(
+      req.user.userId,
+      req.params.deviceId,
+      req.ip || req.connection.remoteAddress,
+      req.get('User-Agent')
+    );
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(404).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Get the login IP whitelist
+router.get('/ip-whitelist', authenticate, async (req, res) => {
+  try {
+    const ipWhitelist = await AuthService.getIpWhitelist(req.user.userId);
+
+    res.json({
+      success: true,
+      ipWhitelist
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Replace the login IP whitelist; an empty list allows any address
+router.put('/ip-whitelist', authenticate, ipWhitelistValidation, requireTwoFactor, async (req, res) => {
+  try {
+    const result = await AuthService.updateIpWhitelist(
+      req.user.userId,
+      req.body.ips,
+      req.ip || req.connection.remoteAddress,
+      req.get('User-Agent')
+    );
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Security event history, filtered by type (comma list)
+router.get('/security-events', authenticate, async (req, res) => {
+  try {
+    const result = await AuthService.getSecurityEvents(req.user.userId, req.query);
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Create an API key. The secret is in this response only.
+router.post('/api-keys', authenticate, apiKeyValidation, requireTwoFactor, async (req, res) => {
+  try {
+    const { label, scopes, ipAllowlist } = req.body;
+    const apiKey = await ApiKeyService.create(req.user.userId, { label, scopes, ipAllowlist });
+
+    res.status(201).json({
+      success: true,
+      apiKey
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// List the active API keys, without their secrets
+router.get('/api-keys', authenticate, async (req, res) => {
+  try {
+    const apiKeys = await ApiKeyService.list(req.user.userId);
+
+    res.json({
+      success: true,
+      apiKeys
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Revoke an API key
+router.delete('/api-keys/:keyId', authenticate, async (req, res) => {
+  try {
+    await ApiKeyService.revoke(req.user.userId, req.params.keyId);
+
+    res.json({
+      success: true,
+      message: 'API key revoked'
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.status ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Change password
+router.post('/change-password', authenticate, changePasswordValidation, requireTwoFactor, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const result = await AuthService.changePassword(req.user.userId, currentPassword, newPassword);
+    
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Start two-factor enrolment: a new secret and its QR code
+router.post('/2fa/setup', authenticate, async (req, res) => {
+  try {
+    const result = await AuthService.setupTwoFactor(req.user.userId);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Enable two-factor authentication with a code from the new secret
+router.post('/2fa/verify', authenticate, twoFactorCodeValidation, async (req, res) => {
+  try {
+    const result = await AuthService.enableTwoFactor(req.user.userId, req.body.code);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Disable two-factor authentication
+router.post('/2fa/disable', authenticate, twoFactorDisableValidation, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const result = await AuthService.disableTwoFactor(req.user.userId, password, code);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Replace the recovery codes
+router.post('/2fa/backup-codes', authenticate, twoFactorCodeValidation, async (req, res) => {
+  try {
+    const result = await AuthService.regenerateBackupCodes(req.user.userId, req.body.code);
+
+    if (result.success) {
+      res.json(result);
+    } else {
+      res.status(400).json(result);
+    }
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,88 @@
+const express = require('express');
+const MarketRegistry = require('../services/MarketRegistry');
+const MarketDataService = require('../services/MarketDataService');
+
+const router = express.Router();
+
+// List tradable symbols and their trading rules
+router.get('/symbols', async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    res.json({
+      success: true,
+      data: MarketRegistry.list(status)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Last price, rolling 24h statistics and best bid/ask
+router.get('/ticker/:symbol', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: MarketDataService.getTicker(req.params.symbol)
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Order book price levels, best first
+router.get('/depth/:symbol', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: MarketDataService.getDepth(req.params.symbol, req.query.limit)
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Most recent trades, newest first
+router.get('/trades/:symbol', async (req, res) => {
+  try {
+    const trades = await MarketDataService.getRecentTrades(req.params.symbol, req.query.limit);
+
+    res.json({
+      success: true,
+      data: trades
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// OHLCV candles for ?interval= (1m, 5m, 15m, 1h, 4h, 1d)
+router.get('/klines/:symbol', async (req, res) => {
+  try {
+    const klines = await MarketDataService.getKlines(req.params.symbol, req.query);
+
+    res.json({
+      success: true,
+      data: klines
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -1,161 +1,425 @@
-const express = require('express');
-const TradingEngine = require('../services/TradingEngine');
-const Order = require('../models/Order');
-const Wallet = require('../models/Wallet');
-const { authenticate } = require('../middleware/auth');
-const { orderValidation } = require('../middleware/validation');
-
-const router = express.Router();
-
-// Place new order
-router.post('/order', authenticate, orderValidation, async (req, res) => {
-  try {
-    const orderData = {
-      ...req.body,
-      userId: req.user.userId
-    };
-
-    const result = await TradingEngine.placeOrder(orderData);
-    
-    res.json({
-      success: true,
-      orderId: result.order.orderId,
-      status: result.order.status,
-      filled: result.filled
-    });
-  } catch (error) {
-    res.status(400).json({
-      success: false,
-      error: error.message
-    });
-  }
-});
-
-// Get user orders
-router.get('/orders', authenticate, async (req, res) => {
-  try {
-    const { symbol, status, limit = 50, page = 1 } = req.query;
-    
-    const filter = { userId: req.user.userId };
-    if (symbol) filter.symbol = symbol.toUpperCase();
-    if (status) filter.status = status;
-
-    const orders = await Order.find(filter)
-      .sort({ createdAt: -1 })
-      .limit(parseInt(limit))
-      .skip((parseInt(page) - 1) * parseInt(limit));
-
-    const total = await Order.countDocuments(filter);
-
-    res.json({
-      success: true,
-      orders,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error'
-    });
-  }
-});
-
-// Cancel order
-router.delete('/order/:orderId', authenticate, async (req, res) => {
-  try {
-    const order = await Order.findOne({ 
-      orderId: req.params.orderId, 
-      userId: req.user.userId 
-    });
-
-    if (!order) {
-      return res.status(404).json({
-        success: false,
-        error: 'Order not found'
-      });
-    }
-
-    if (order.status !== 'open') {
-      return res.status(400).json({
-        success: false,
-        error: 'Only open orders can be cancelled'
-      });
-    }
-
-    order.status = 'cancelled';
-    await order.save();
-
-    // Return locked funds to available balance
-    const [baseCurrency] = order.symbol.split('/');
-    await Wallet.updateOne(
-      { userId: req.user.userId },
-      { 
-        $inc: {
-          [`balances.$[elem].available`]: order.remainingQuantity,
-          [`balances.$[elem].locked`]: -order.remainingQuantity
-        }
-      },
-      {
-        arrayFilters: [{ 'elem.currency': baseCurrency }]
-      }
-    );
-
-    res.json({
-      success: true,
-      message: 'Order cancelled successfully'
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error'
-    });
-  }
-});
-
-// Get user trades
-router.get('/trades', authenticate, async (req, res) => {
-  try {
-    const { symbol, limit = 50, page = 1 } = req.query;
-    
-    const filter = {
-      $or: [
-        { takerUserId: req.user.userId },
-        { makerUserId: req.user.userId }
-      ]
-    };
-    
-    if (symbol) filter.symbol = symbol.toUpperCase();
-
-    const trades = await Trade.find(filter)
-      .sort({ timestamp: -1 })
-      .limit(parseInt(limit))
-      .skip((parseInt(page) - 1) * parseInt(limit))
-      .populate('takerUserId', 'email name')
-      .populate('makerUserId', 'email name');
-
-    const total = await Trade.countDocuments(filter);
-
-    res.json({
-      success: true,
-      trades,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error'
-    });
-  }
-});
-
+const express = require('express');
+const TradingEngine = require('../services/TradingEngine');
+const FeeService = require('../services/FeeService');
+const MarketRegistry = require('../services/MarketRegistry');
+const Order = require('../models/Order');
+const Trade = require('../models/Trade');
+const User = require('../models/User');
+const { authenticate, authenticateOrApiKey, requireVerified } = require('../middleware/auth');
+const {
+  orderSchema, orderValidation, batchOrderValidation, batchCancelValidation, ocoValidation,
+  amendValidation, tradingSettingsValidation
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Bots may use these with an API key: queries need its read scope and
+// order entry its trade scope. Placing and amending orders needs a verified
+// email address; cancelling does not.
+
+// What the client gets back for a placed order
+const placedOrder = result => ({
+  orderId: result.order.orderId,
+  status: result.order.status,
+  reason: result.order.statusReason,
+  price: result.order.price,
+  filled: result.filled,
+  groupId: result.order.groupId,
+  selfTradePrevented: result.selfTradePrevented,
+  duplicate: result.duplicate
+});
+
+// Place new order
+router.post('/order', authenticateOrApiKey('trade'), requireVerified, orderValidation, async (req, res) => {
+  try {
+    const orderData = {
+      ...req.body,
+      userId: req.user.userId
+    };
+
+    const result = await TradingEngine.placeOrder(orderData);
+    
+    res.json({
+      success: true,
+      ...placedOrder(result)
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Place several orders in the given order. Each is validated and placed on
+// its own and gets its own result, so one bad order does not fail the rest.
+router.post('/orders/batch', authenticateOrApiKey('trade'), requireVerified, batchOrderValidation, async (req, res) => {
+  try {
+    const results = [];
+
+    for (const [index, item] of req.body.orders.entries()) {
+      const { error } = orderSchema.validate(item);
+      if (error) {
+        results.push({
+          index, clientOrderId: item.clientOrderId, success: false, error: error.details[0].message
+        });
+        continue;
+      }
+
+      try {
+        const result = await TradingEngine.placeOrder({ ...item, userId: req.user.userId });
+        results.push({
+          index, clientOrderId: item.clientOrderId, success: true, ...placedOrder(result)
+        });
+      } catch (placeError) {
+        results.push({
+          index, clientOrderId: item.clientOrderId, success: false, error: placeError.message
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      results,
+      placed: results.filter(result => result.success).length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Place one-cancels-the-other order pair
+router.post('/order/oco', authenticateOrApiKey('trade'), requireVerified, ocoValidation, async (req, res) => {
+  try {
+    const ocoData = {
+      ...req.body,
+      userId: req.user.userId
+    };
+
+    const result = await TradingEngine.placeOcoOrder(ocoData);
+
+    res.json({
+      success: true,
+      groupId: result.groupId,
+      orders: result.orders.map(order => ({
+        orderId: order.orderId,
+        type: order.type,
+        status: order.status,
+        reason: order.statusReason,
+        price: order.price,
+        stopPrice: order.stopPrice,
+        filled: order.filledQuantity
+      })),
+      duplicate: result.duplicate
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get user orders
+router.get('/orders', authenticateOrApiKey('read'), async (req, res) => {
+  try {
+    const { symbol, status, limit = 50, page = 1 } = req.query;
+    
+    const filter = { userId: req.user.userId };
+    if (symbol) filter.symbol = symbol.toUpperCase();
+    if (status) filter.status = { $in: status.split(',') };
+
+    const orders = await Order.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await Order.countDocuments(filter);
+
+    res.json({
+      success: true,
+      orders,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Get the order last placed under a client order ID
+router.get('/order/client/:clientOrderId', authenticateOrApiKey('read'), async (req, res) => {
+  try {
+    const order = await Order.findOne({
+      userId: req.user.userId,
+      clientOrderId: req.params.clientOrderId
+    }).sort({ createdAt: -1, _id: -1 });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      order
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Cancel the working order placed under a client order ID
+router.delete('/order/client/:clientOrderId', authenticateOrApiKey('trade'), async (req, res) => {
+  try {
+    const order = await TradingEngine.cancelByClientOrderId(req.params.clientOrderId, req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Order cancelled successfully',
+      orderId: order.orderId,
+      clientOrderId: order.clientOrderId,
+      status: order.status
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Amend the price and/or quantity of an open order
+router.patch('/order/:orderId', authenticateOrApiKey('trade'), requireVerified, amendValidation, async (req, res) => {
+  try {
+    const result = await TradingEngine.amendOrder(req.params.orderId, req.user.userId, req.body);
+
+    res.json({
+      success: true,
+      orderId: result.order.orderId,
+      status: result.order.status,
+      reason: result.order.statusReason,
+      price: result.order.price,
+      quantity: result.order.quantity,
+      filled: result.filled,
+      keptPriority: result.keptPriority,
+      selfTradePrevented: result.selfTradePrevented
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Cancel order
+router.delete('/order/:orderId', authenticateOrApiKey('trade'), async (req, res) => {
+  try {
+    const order = await TradingEngine.cancelOrder(req.params.orderId, req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Order cancelled successfully',
+      orderId: order.orderId,
+      status: order.status
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Cancel several orders in the given order, with a result per order
+router.delete('/orders/batch', authenticateOrApiKey('trade'), batchCancelValidation, async (req, res) => {
+  try {
+    const results = [];
+
+    for (const orderId of req.body.orderIds) {
+      try {
+        const order = await TradingEngine.cancelOrder(orderId, req.user.userId);
+        results.push({ orderId, success: true, status: order.status });
+      } catch (cancelError) {
+        results.push({
+          orderId,
+          success: false,
+          error: cancelError.status ? cancelError.message : 'Internal server error'
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      results,
+      cancelled: results.filter(result => result.success).length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Cancel all open orders, optionally for one symbol
+router.delete('/orders', authenticateOrApiKey('trade'), async (req, res) => {
+  try {
+    const orders = await TradingEngine.cancelAll(req.user.userId, req.query.symbol);
+
+    res.json({
+      success: true,
+      cancelled: orders.map(order => order.orderId),
+      count: orders.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Get the user's trades, each as their side of it
+router.get('/trades', authenticateOrApiKey('read'), async (req, res) => {
+  try {
+    const { symbol, limit = 50, page = 1 } = req.query;
+    
+    const filter = {
+      $or: [
+        { takerUserId: req.user.userId },
+        { makerUserId: req.user.userId }
+      ]
+    };
+    
+    if (symbol) filter.symbol = symbol.toUpperCase();
+
+    const trades = await Trade.find(filter)
+      .sort({ timestamp: -1 })
+      .limit(parseInt(limit))
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await Trade.countDocuments(filter);
+
+    res.json({
+      success: true,
+      trades: trades.map(trade => trade.forUser(req.user.userId)),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Get the user's fee tier, current rates and the zero-fee symbols
+router.get('/fees', authenticateOrApiKey('read'), async (req, res) => {
+  try {
+    const schedule = await FeeService.getSchedule(req.user.userId);
+
+    res.json({
+      success: true,
+      fees: {
+        ...schedule,
+        zeroFeeSymbols: MarketRegistry.list()
+          .filter(market => market.zeroFee)
+          .map(market => market.symbol),
+        tiers: FeeService.getTiers()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Get account trading settings
+router.get('/settings', authenticateOrApiKey('read'), async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('selfTradePrevention');
+
+    res.json({
+      success: true,
+      settings: {
+        selfTradePrevention: user ? user.selfTradePrevention : 'none'
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Update account trading settings. The self-trade prevention mode applies to
+// orders that do not set their own.
+router.put('/settings', authenticate, tradingSettingsValidation, async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.user.userId,
+      { selfTradePrevention: req.body.selfTradePrevention },
+      { new: true, runValidators: true }
+    ).select('selfTradePrevention');
+
+    res.json({
+      success: true,
+      settings: {
+        selfTradePrevention: user.selfTradePrevention
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,120 @@
+const express = require('express');
+const WalletService = require('../services/WalletService');
+const {
+  authenticate, authenticateOrApiKey, requireVerified, requireTwoFactor
+} = require('../middleware/auth');
+const {
+  transferValidation, subAccountValidation, subAccountTransferValidation
+} = require('../middleware/validation');
+
+const router = express.Router();
+
+// Get balances with their USD valuation
+router.get('/balances', authenticateOrApiKey('read'), async (req, res) => {
+  try {
+    const result = await WalletService.getBalances(req.user.userId);
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Get balance history, filtered by currency, type (comma list) and date
+router.get('/history', authenticateOrApiKey('read'), async (req, res) => {
+  try {
+    const result = await WalletService.getHistory(req.user.userId, req.query);
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Transfer funds to another user by email. Funds leave the account, so it
+// needs a verified email address and a fresh two-factor code when enabled.
+router.post('/transfer', authenticateOrApiKey('withdraw'), requireVerified, transferValidation, requireTwoFactor, async (req, res) => {
+  try {
+    const {
+      email, currency, amount, note
+    } = req.body;
+    const transfer = await WalletService.transferToEmail(req.user.userId, email, currency, amount, note);
+
+    res.json({
+      success: true,
+      transfer
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// List sub-accounts and their balances
+router.get('/sub-accounts', authenticateOrApiKey('read'), async (req, res) => {
+  try {
+    const subAccounts = await WalletService.listSubAccounts(req.user.userId);
+
+    res.json({
+      success: true,
+      subAccounts
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error'
+    });
+  }
+});
+
+// Create a sub-account. Like a transfer, this needs a verified email
+// address and a fresh two-factor code when enabled.
+router.post('/sub-accounts', authenticate, requireVerified, subAccountValidation, requireTwoFactor, async (req, res) => {
+  try {
+    const subAccount = await WalletService.createSubAccount(req.user.userId, req.body);
+
+    res.status(201).json({
+      success: true,
+      subAccount
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Transfer between the master account and its sub-accounts, with the same
+// checks as a transfer out
+router.post('/sub-accounts/transfer', authenticate, requireVerified, subAccountTransferValidation, requireTwoFactor, async (req, res) => {
+  try {
+    const transfer = await WalletService.transferBetweenSubAccounts(req.user.userId, req.body);
+
+    res.json({
+      success: true,
+      transfer
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
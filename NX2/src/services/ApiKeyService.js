@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const { normalizeIp } = require('../utils/ip');
+
+const MAX_API_KEYS = parseInt(process.env.MAX_API_KEYS) || 10;
+const DEFAULT_RECV_WINDOW_MS = 5000;
+const MAX_RECV_WINDOW_MS = 60000;
+// Allowance for clients whose clock runs a little ahead of ours
+const CLOCK_SKEW_MS = 1000;
+
+const apiKeyError = (message, status = 401) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// API keys for bots. A request is signed with the key's secret over its
+// timestamp, method, path and body, and is only accepted within its
+// recvWindow and only once, so a captured request cannot be sent again.
+class ApiKeyService {
+  constructor() {
+    this.redis = null;
+  }
+
+  connect(redis) {
+    this.redis = redis;
+  }
+
+  encryptionKey() {
+    return crypto.createHash('sha256')
+      .update(process.env.API_KEY_ENCRYPTION_KEY || process.env.JWT_SECRET)
+      .digest();
+  }
+
+  encrypt(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+  }
+
+  decrypt(value) {
+    const [iv, tag, encrypted] = value.split(':').map(part => Buffer.from(part, 'hex'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  // The secret is only returned here
+  async create(userId, { label, scopes = ['read'], ipAllowlist = [] } = {}) {
+    const active = await ApiKey.countDocuments({ userId, revokedAt: null });
+    if (active >= MAX_API_KEYS) {
+      throw apiKeyError(`At most ${MAX_API_KEYS} API keys can be active`, 400);
+    }
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    const apiKey = await ApiKey.create({
+      keyId: crypto.randomBytes(16).toString('hex'),
+      userId,
+      label,
+      encryptedSecret: this.encrypt(secret),
+      scopes,
+      ipAllowlist: ipAllowlist.map(normalizeIp)
+    });
+
+    return { ...this.describe(apiKey), secret };
+  }
+
+  describe(apiKey) {
+    return {
+      keyId: apiKey.keyId,
+      label: apiKey.label,
+      scopes: apiKey.scopes,
+      ipAllowlist: apiKey.ipAllowlist,
+      lastUsedAt: apiKey.lastUsedAt,
+      createdAt: apiKey.createdAt
+    };
+  }
+
+  async list(userId) {
+    const apiKeys = await ApiKey.find({ userId, revokedAt: null }).sort({ createdAt: -1 });
+    return apiKeys.map(apiKey => this.describe(apiKey));
+  }
+
+  async revoke(userId, keyId) {
+    const result = await ApiKey.updateOne(
+      { keyId, userId, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw apiKeyError('API key not found', 404);
+    }
+  }
+
+  // Hex HMAC-SHA256 of timestamp + METHOD + path (with query) + raw body
+  sign(secret, {
+    timestamp, method, path, body = ''
+  }) {
+    return crypto.createHmac('sha256', secret)
+      .update(`${timestamp}${String(method).toUpperCase()}${path}${body}`)
+      .digest('hex');
+  }
+
+  // Check a signed request and return its key, or throw with the HTTP
+  // status to answer with
+  async verify({
+    keyId, timestamp, signature, recvWindow, method, path, body, ip, now = Date.now()
+  }) {
+    if (!keyId || !timestamp || !signature) {
+      throw apiKeyError('API key, timestamp and signature are required');
+    }
+
+    const window = recvWindow === undefined ? DEFAULT_RECV_WINDOW_MS : Number(recvWindow);
+    if (!Number.isInteger(window) || window <= 0 || window > MAX_RECV_WINDOW_MS) {
+      throw apiKeyError(`recvWindow must be between 1 and ${MAX_RECV_WINDOW_MS} ms`, 400);
+    }
+
+    const time = Number(timestamp);
+    if (!Number.isInteger(time) || time > now + CLOCK_SKEW_MS || now - time > window) {
+      throw apiKeyError('Request timestamp is outside the recvWindow');
+    }
+
+    const apiKey = await ApiKey.findOne({ keyId, revokedAt: null }).select('+encryptedSecret');
+    if (!apiKey) {
+      throw apiKeyError('Invalid API key');
+    }
+
+    const expected = this.sign(this.decrypt(apiKey.encryptedSecret), {
+      timestamp, method, path, body
+    });
+    if (!safeEqual(expected, signature)) {
+      throw apiKeyError('Invalid signature');
+    }
+
+    if (apiKey.ipAllowlist.length > 0 && !apiKey.ipAllowlist.includes(normalizeIp(ip))) {
+      throw apiKeyError('Request IP is not allowed for this API key', 403);
+    }
+
+    // Remember the signature for as long as its timestamp is acceptable
+    const fresh = await this.redis.set(`apikey:signature:${keyId}:${signature}`, '1', {
+      NX: true,
+      PX: window + CLOCK_SKEW_MS
+    });
+    if (fresh === null) {
+      throw apiKeyError('Request was already received');
+    }
+
+    await ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date(now) } });
+    return apiKey;
+  }
+}
+
+module.exports = new ApiKeyService();
\ No newline at end of file
@@ -1,180 +1,905 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
-const crypto = require('crypto');
-
-class AuthService {
-  constructor() {
-    this.blacklistedTokens = new Set();
-  }
-
-  async register(userData) {
-    try {
-      // Check if user already exists
-      const existingUser = await User.findOne({ email: userData.email });
-      if (existingUser) {
-        throw new Error('User already exists with this email');
-      }
-
-      // Create new user
-      const user = new User({
-        email: userData.email,
-        password: userData.password,
-        name: userData.name
-      });
-
-      await user.save();
-
-      // Create wallet for user
-      const wallet = new Wallet({
-        userId: user._id,
-        balances: [
-          { currency: 'USDT', available: 1000 }, // Demo balance
-          { currency: 'BTC', available: 0.01 }   // Demo balance
-        ]
-      });
-      await wallet.save();
-
-      // Generate auth token
-      const token = user.generateAuthToken();
-
-      return {
-        success: true,
-        user: {
-          id: user._id,
-          email: user.email,
-          name: user.name,
-          isVerified: user.isVerified
-        },
-        token
-      };
-
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message
-      };
-    }
-  }
-
-  async login(email, password, ipAddress, userAgent) {
-    try {
-      const user = await User.findOne({ email }).select('+password');
-      
-      if (!user) {
-        throw new Error('Invalid email or password');
-      }
-
-      // Check if account is locked
-      if (user.isLocked) {
-        const remainingTime = Math.ceil((user.lockUntil - Date.now()) / 1000 / 60);
-        throw new Error(`Account temporarily locked. Try again in ${remainingTime} minutes.`);
-      }
-
-      // Check password
-      const isPasswordValid = await user.checkPassword(password);
-      if (!isPasswordValid) {
-        await user.incrementLoginAttempts();
-        throw new Error('Invalid email or password');
-      }
-
-      // Reset login attempts on successful login
-      await User.updateOne(
-        { _id: user._id },
-        { 
-          $set: { loginAttempts: 0 },
-          $unset: { lockUntil: 1 },
-          lastLogin: new Date()
-        }
-      );
-
-      // Record device info
-      await this.recordDevice(user._id, ipAddress, userAgent);
-
-      // Generate token
-      const token = user.generateAuthToken();
-
-      return {
-        success: true,
-        user: {
-          id: user._id,
-          email: user.email,
-          name: user.name,
-          isVerified: user.isVerified,
-          kycStatus: user.kycStatus
-        },
-        token
-      };
-
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message
-      };
-    }
-  }
-
-  async recordDevice(userId, ipAddress, userAgent) {
-    const deviceId = crypto.createHash('md5').update(userAgent + ipAddress).digest('hex');
-    
-    await User.updateOne(
-      { _id: userId, 'devices.deviceId': { $ne: deviceId } },
-      {
-        $push: {
-          devices: {
-            deviceId,
-            userAgent,
-            ipAddress,
-            lastUsed: new Date()
-          }
-        }
-      }
-    );
-  }
-
-  verifyToken(token) {
-    try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      return { success: true, user: decoded };
-    } catch (error) {
-      return { success: false, error: 'Invalid token' };
-    }
-  }
-
-  blacklistToken(token) {
-    this.blacklistedTokens.add(token);
-    
-    // Remove token from blacklist after expiration
-    setTimeout(() => {
-      this.blacklistedTokens.delete(token);
-    }, 24 * 60 * 60 * 1000); // 24 hours
-  }
-
-  isTokenBlacklisted(token) {
-    return this.blacklistedTokens.has(token);
-  }
-
-  async changePassword(userId, currentPassword, newPassword) {
-    try {
-      const user = await User.findById(userId).select('+password');
-      
-      if (!user) {
-        throw new Error('User not found');
-      }
-
-      const isCurrentValid = await user.checkPassword(currentPassword);
-      if (!isCurrentValid) {
-        throw new Error('Current password is incorrect');
-      }
-
-      user.password = newPassword;
-      await user.save();
-
-      return { success: true };
-
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
-  }
-}
-
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const Wallet = require('../models/Wallet');
+const SecurityEvent = require('../models/SecurityEvent');
+const SessionService = require('./SessionService');
+const Mailer = require('./Mailer');
+const crypto = require('crypto');
+const totp = require('../utils/totp');
+const { normalizeIp } = require('../utils/ip');
+
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'NEXEC Exchange';
+const TWO_FACTOR_CHALLENGE = '2fa_login';
+const BACKUP_CODE_COUNT = 10;
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+const VERIFICATION_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+const DEVICE_CONFIRMATION_TTL_MS = 30 * 60 * 1000;
+
+// Emailed tokens are stored hashed, so a database leak does not expose them
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Recovery codes are kept hashed and compared without the dash or case
+const hashBackupCode = code => crypto.createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^0-9a-f]/g, ''))
+  .digest('hex');
+
+class AuthService {
+  async register(userData, ipAddress, userAgent) {
+    try {
+      // Check if user already exists
+      const existingUser = await User.findOne({ email: userData.email });
+      if (existingUser) {
+        throw new Error('User already exists with this email');
+      }
+
+      // Create new user
+      const user = new User({
+        email: userData.email,
+        password: userData.password,
+        name: userData.name
+      });
+
+      await user.save();
+
+      // Create wallet for user, funded through the ledger
+      const wallet = new Wallet({
+        userId: user._id,
+        balances: []
+      });
+      await wallet.save();
+      await Wallet.creditFunds(user._id, 'USDT', '1000', { description: 'Demo balance' });
+      await Wallet.creditFunds(user._id, 'BTC', '0.01', { description: 'Demo balance' });
+
+      // Start a session on the registering device
+      const session = await this.createSession(user, ipAddress, userAgent);
+
+      // The account works without it, but cannot trade or withdraw until
+      // the address is verified; the email can be sent again if it fails
+      try {
+        await this.sendVerificationEmail(user);
+      } catch (error) {
+        console.error('Failed to send verification email:', error);
+      }
+
+      return {
+        success: true,
+        user: {
+          id: user._id,
+          email: user.email,
+          name: user.name,
+          isVerified: user.isVerified
+        },
+        ...session
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async login(email, password, ipAddress, userAgent) {
+    try {
+      const user = await User.findOne({ email }).select('+password');
+      
+      if (!user) {
+        throw new Error('Invalid email or password');
+      }
+
+      // Check if account is locked
+      if (user.isLocked) {
+        const remainingTime = Math.ceil((user.lockUntil - Date.now()) / 1000 / 60);
+        throw new Error(`Account temporarily locked. Try again in ${remainingTime} minutes.`);
+      }
+
+      // Check password
+      const isPasswordValid = await user.checkPassword(password);
+      if (!isPasswordValid) {
+        await this.failLogin(user, 'password', ipAddress, userAgent);
+        throw new Error('Invalid email or password');
+      }
+
+      await this.checkIpWhitelist(user, ipAddress, userAgent);
+
+      // With two-factor authentication on, the password only earns a
+      // short-lived challenge to be answered with a code
+      if (user.twoFactorEnabled) {
+        return {
+          success: true,
+          twoFactorRequired: true,
+          challengeToken: this.generateChallengeToken(user)
+        };
+      }
+
+      return await this.completeLogin(user, ipAddress, userAgent);
+
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Second step of a login with two-factor authentication. A wrong code
+  // counts as a failed login attempt.
+  async loginWithTwoFactor(challengeToken, code, ipAddress, userAgent) {
+    try {
+      const challenge = this.verifyChallengeToken(challengeToken);
+      const user = challenge && await User.findById(challenge.userId).select('+twoFactorSecret');
+
+      if (!user || !user.twoFactorEnabled) {
+        throw new Error('Invalid or expired login challenge');
+      }
+
+      if (user.isLocked) {
+        const remainingTime = Math.ceil((user.lockUntil - Date.now()) / 1000 / 60);
+        throw new Error(`Account temporarily locked. Try again in ${remainingTime} minutes.`);
+      }
+
+      await this.checkIpWhitelist(user, ipAddress, userAgent);
+
+      const isCodeValid = await this.checkSecondFactor(user, code, { allowBackupCode: true });
+      if (!isCodeValid) {
+        await this.failLogin(user, 'two_factor', ipAddress, userAgent);
+        throw new Error('Invalid two-factor code');
+      }
+
+      return await this.completeLogin(user, ipAddress, userAgent);
+
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Count a failed attempt, noting when it locks the account
+  async failLogin(user, reason, ipAddress, userAgent) {
+    await user.incrementLoginAttempts();
+    await this.recordEvent(user._id, 'login_failed', { ipAddress, userAgent, reason });
+
+    const updated = await User.findById(user._id).select('lockUntil');
+    if (updated && updated.isLocked) {
+      await this.recordEvent(user._id, 'lockout', { ipAddress, userAgent, lockUntil: updated.lockUntil });
+    }
+  }
+
+  // Sub-accounts are guarded by their master account as well
+  async masterOf(user) {
+    return user.parentUserId ? User.findById(user.parentUserId).select('email name ipWhitelist') : null;
+  }
+
+  // A non-empty whitelist limits logins to its addresses. A sub-account
+  // login has to pass the master account's whitelist too.
+  async checkIpWhitelist(user, ipAddress, userAgent) {
+    const master = await this.masterOf(user);
+    const whitelists = [user.ipWhitelist || [], (master && master.ipWhitelist) || []];
+    const ip = normalizeIp(ipAddress);
+    if (whitelists.every(whitelist => whitelist.length === 0 || whitelist.includes(ip))) return;
+
+    await this.recordEvent(user._id, 'ip_blocked', { ipAddress, userAgent });
+    throw new Error('Login from this IP address is not allowed');
+  }
+
+  async completeLogin(user, ipAddress, userAgent) {
+    // No token for a new device until its owner confirms it
+    const trusted = await this.checkDevice(user, ipAddress, userAgent);
+    if (!trusted) {
+      return {
+        success: true,
+        deviceConfirmationRequired: true,
+        message: 'We have emailed you a link to confirm this device. Log in again once it is confirmed.'
+      };
+    }
+
+    // Reset login attempts on successful login
+    await User.updateOne(
+      { _id: user._id },
+      { 
+        $set: { loginAttempts: 0 },
+        $unset: { lockUntil: 1 },
+        lastLogin: new Date()
+      }
+    );
+
+    const session = await this.createSession(user, ipAddress, userAgent);
+    await this.recordEvent(user._id, 'login', { ipAddress, userAgent });
+
+    return {
+      success: true,
+      user: {
+        id: user._id,
+        email: user.email,
+        name: user.name,
+        isVerified: user.isVerified,
+        kycStatus: user.kycStatus
+      },
+      ...session
+    };
+  }
+
+  deviceIdFor(ipAddress, userAgent) {
+    return crypto.createHash('md5').update(userAgent + ipAddress).digest('hex');
+  }
+
+  // Whether the device may log in. The first device of an account is
+  // trusted; any other has to be confirmed through an emailed link, which
+  // is sent again on each login until it is. For a sub-account the link
+  // goes to the master account, which confirms every device including the
+  // first.
+  async checkDevice(user, ipAddress, userAgent) {
+    const deviceId = this.deviceIdFor(ipAddress, userAgent);
+    const device = user.devices.find(entry => entry.deviceId === deviceId);
+
+    if (device ? device.approved : user.devices.length === 0 && !user.parentUserId) {
+      return true;
+    }
+
+    const { token, hash } = this.issueEmailToken();
+    const confirmationExpires = new Date(Date.now() + DEVICE_CONFIRMATION_TTL_MS);
+
+    if (device) {
+      await User.updateOne(
+        { _id: user._id, 'devices.deviceId': deviceId },
+        { $set: { 'devices.$.confirmationToken': hash, 'devices.$.confirmationExpires': confirmationExpires } }
+      );
+    } else {
+      await User.updateOne(
+        { _id: user._id, 'devices.deviceId': { $ne: deviceId } },
+        {
+          $push: {
+            devices: {
+              deviceId,
+              userAgent,
+              ipAddress,
+              approved: false,
+              confirmationToken: hash,
+              confirmationExpires
+            }
+          }
+        }
+      );
+    }
+
+    const master = await this.masterOf(user);
+    const owner = master || user;
+    const account = master ? `sub-account ${user.email}` : 'NEX\'EC Exchange account';
+
+    await Mailer.send({
+      to: owner.email,
+      subject: 'Confirm a new device',
+      text: `Hi ${owner.name},\n\n`
+        + `Someone signed in to your ${account} from a new device:\n\n`
+        + `${userAgent || 'Unknown browser'} (${normalizeIp(ipAddress)})\n\n`
+        + `If it was you, confirm the device here:\n\n${APP_URL}/confirm-device?token=${token}\n\n`
+        + 'The link expires in 30 minutes. If it was not you, change your password now.'
+    });
+    await this.recordEvent(user._id, 'device_confirmation_sent', { ipAddress, userAgent, deviceId });
+
+    return false;
+  }
+
+  async confirmDevice(token) {
+    try {
+      const hash = hashToken(token);
+      const user = await User.findOneAndUpdate(
+        { devices: { $elemMatch: { confirmationToken: hash, confirmationExpires: { $gt: new Date() } } } },
+        {
+          $set: { 'devices.$.approved': true },
+          $unset: { 'devices.$.confirmationToken': 1, 'devices.$.confirmationExpires': 1 }
+        }
+      );
+
+      if (!user) {
+        throw new Error('Invalid or expired confirmation token');
+      }
+
+      const device = user.devices.find(entry => entry.confirmationToken === hash);
+      await this.recordEvent(user._id, 'device_approved', {
+        ipAddress: device.ipAddress,
+        userAgent: device.userAgent,
+        deviceId: device.deviceId
+      });
+
+      return { success: true };
+
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async listDevices(userId) {
+    const user = await User.findById(userId).select('devices');
+    if (!user) return [];
+
+    return user.devices.map(device => ({
+      deviceId: device.deviceId,
+      userAgent: device.userAgent,
+      ipAddress: device.ipAddress,
+      lastUsed: device.lastUsed,
+      approved: device.approved,
+      signedIn: !!device.sessionId
+    }));
+  }
+
+  // Forget a device, logging it out; it needs confirming again next time
+  async removeDevice(userId, deviceId, ipAddress, userAgent) {
+    const user = await User.findOne({ _id: userId, 'devices.deviceId': deviceId }).select('devices');
+    if (!user) {
+      return { success: false, error: 'Device not found' };
+    }
+
+    const device = user.devices.find(entry => entry.deviceId === deviceId);
+    if (device.sessionId) {
+      await SessionService.revoke(device.sessionId);
+    }
+
+    await User.updateOne({ _id: userId }, { $pull: { devices: { deviceId } } });
+    await this.recordEvent(userId, 'device_removed', { ipAddress, userAgent, deviceId });
+
+    return { success: true };
+  }
+
+  async getIpWhitelist(userId) {
+    const user = await User.findById(userId).select('ipWhitelist');
+    return user ? user.ipWhitelist : [];
+  }
+
+  // Replace the whitelist. It has to include the address making the change,
+  // so the owner cannot lock themselves out by mistake; an empty list
+  // allows any address.
+  async updateIpWhitelist(userId, ips, ipAddress, userAgent) {
+    try {
+      const whitelist = [...new Set(ips.map(normalizeIp))];
+      if (whitelist.length > 0 && !whitelist.includes(normalizeIp(ipAddress))) {
+        throw new Error('The whitelist must include the address you are using');
+      }
+
+      await User.updateOne({ _id: userId }, { $set: { ipWhitelist: whitelist } });
+      await this.recordEvent(userId, 'ip_whitelist_updated', { ipAddress, userAgent, ipWhitelist: whitelist });
+
+      return { success: true, ipWhitelist: whitelist };
+
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // A failure to record an event is logged rather than failing the action
+  async recordEvent(userId, type, { ipAddress, userAgent, ...details } = {}) {
+    try {
+      await SecurityEvent.create({
+        userId,
+        type,
+        ipAddress: ipAddress && normalizeIp(ipAddress),
+        userAgent,
+        details: Object.keys(details).length > 0 ? details : undefined
+      });
+    } catch (error) {
+      console.error('Failed to record security event:', error);
+    }
+  }
+
+  // Security events of the user, newest first
+  async getSecurityEvents(userId, { type, limit = 50, page = 1 } = {}) {
+    const filter = { userId };
+    if (type) filter.type = { $in: type.split(',') };
+
+    const [events, total] = await Promise.all([
+      SecurityEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit)),
+      SecurityEvent.countDocuments(filter)
+    ]);
+
+    return {
+      events: events.map(event => ({
+        type: event.type,
+        ipAddress: event.ipAddress,
+        userAgent: event.userAgent,
+        details: event.details,
+        createdAt: event.createdAt
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Open a session on the device, ending the one it had before
+  async createSession(user, ipAddress, userAgent) {
+    const { sessionId, refreshToken } = await SessionService.create(user._id);
+
+    const previousSessionId = await this.recordDevice(user._id, ipAddress, userAgent, sessionId);
+    if (previousSessionId) {
+      await SessionService.revoke(previousSessionId);
+    }
+
+    return {
+      token: user.generateAuthToken(sessionId),
+      refreshToken,
+      sessionId
+    };
+  }
+
+  // Swap a refresh token for a new access token and refresh token
+  async refresh(refreshToken) {
+    try {
+      const session = await SessionService.rotate(refreshToken);
+
+      const user = await User.findById(session.userId);
+      if (!user) {
+        await SessionService.revoke(session.sessionId);
+        throw new Error('User not found');
+      }
+
+      await User.updateOne(
+        { _id: user._id, 'devices.sessionId': session.sessionId },
+        { $set: { 'devices.$.lastUsed': new Date() } }
+      );
+
+      return {
+        success: true,
+        token: user.generateAuthToken(session.sessionId),
+        refreshToken: session.refreshToken,
+        sessionId: session.sessionId
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async logout(userId, sessionId) {
+    await SessionService.revoke(sessionId);
+    await User.updateOne(
+      { _id: userId, 'devices.sessionId': sessionId },
+      { $unset: { 'devices.$.sessionId': 1 } }
+    );
+  }
+
+  // Devices with a session that is still open
+  async listSessions(userId, currentSessionId) {
+    const user = await User.findById(userId).select('devices');
+    if (!user) return [];
+
+    const sessions = [];
+    for (const device of user.devices) {
+      if (device.sessionId && await SessionService.isActive(device.sessionId)) {
+        sessions.push({
+          id: device.sessionId,
+          deviceId: device.deviceId,
+          userAgent: device.userAgent,
+          ipAddress: device.ipAddress,
+          lastUsed: device.lastUsed,
+          current: device.sessionId === currentSessionId
+        });
+      }
+    }
+
+    return sessions;
+  }
+
+  async revokeSession(userId, sessionId) {
+    const user = await User.findOne({ _id: userId, 'devices.sessionId': sessionId }).select('_id');
+    if (!user) {
+      return { success: false, error: 'Session not found' };
+    }
+
+    await this.logout(userId, sessionId);
+    return { success: true };
+  }
+
+  generateChallengeToken(user) {
+    return jwt.sign(
+      { userId: user._id, purpose: TWO_FACTOR_CHALLENGE },
+      process.env.JWT_SECRET,
+      { expiresIn: '5m' }
+    );
+  }
+
+  verifyChallengeToken(token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      return decoded.purpose === TWO_FACTOR_CHALLENGE ? decoded : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Note the device and the session now open on it. Returns the session the
+  // device had before, if any.
+  async recordDevice(userId, ipAddress, userAgent, sessionId) {
+    const deviceId = this.deviceIdFor(ipAddress, userAgent);
+
+    const user = await User.findOne({ _id: userId, 'devices.deviceId': deviceId }).select('devices');
+    if (user) {
+      const device = user.devices.find(entry => entry.deviceId === deviceId);
+      await User.updateOne(
+        { _id: userId, 'devices.deviceId': deviceId },
+        { $set: { 'devices.$.sessionId': sessionId, 'devices.$.lastUsed': new Date() } }
+      );
+      return device.sessionId && device.sessionId !== sessionId ? device.sessionId : null;
+    }
+
+    await User.updateOne(
+      { _id: userId, 'devices.deviceId': { $ne: deviceId } },
+      {
+        $push: {
+          devices: {
+            deviceId,
+            userAgent,
+            ipAddress,
+            lastUsed: new Date(),
+            sessionId
+          }
+        }
+      }
+    );
+    return null;
+  }
+
+  verifyToken(token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      // Login challenges and other single-purpose tokens do not authenticate
+      if (decoded.purpose) {
+        throw new Error('Not an access token');
+      }
+      return { success: true, user: decoded };
+    } catch (error) {
+      return { success: false, error: 'Invalid token' };
+    }
+  }
+
+  issueEmailToken() {
+    const token = crypto.randomBytes(32).toString('hex');
+    return { token, hash: hashToken(token) };
+  }
+
+  async sendVerificationEmail(user) {
+    const { token, hash } = this.issueEmailToken();
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        emailVerificationToken: hash,
+        emailVerificationExpires: new Date(Date.now() + VERIFICATION_TOKEN_TTL_MS)
+      }
+    });
+
+    await Mailer.send({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: `Hi ${user.name},\n\n`
+        + 'Please confirm the email address of your NEX\'EC Exchange account:\n\n'
+        + `${APP_URL}/verify-email?token=${token}\n\n`
+        + 'The link expires in 24 hours.'
+    });
+  }
+
+  async resendVerification(userId) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      if (user.isVerified) {
+        throw new Error('Email address is already verified');
+      }
+
+      await this.sendVerificationEmail(user);
+      return { success: true };
+
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Tokens are taken in the same update that uses them, so each works once
+  async verifyEmail(token) {
+    try {
+      const user = await User.findOneAndUpdate(
+        { emailVerificationToken: hashToken(token), emailVerificationExpires: { $gt: new Date() } },
+        {
+          $set: { isVerified: true },
+          $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+        }
+      );
+
+      if (!user) {
+        throw new Error('Invalid or expired verification token');
+      }
+
+      return { success: true };
+
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // The answer is the same whether or not the account exists
+  async forgotPassword(email) {
+    try {
+      const user = await User.findOne({ email: String(email).toLowerCase() });
+
+      if (user) {
+        const { token, hash } = this.issueEmailToken();
+        await User.updateOne({ _id: user._id }, {
+          $set: {
+            passwordResetToken: hash,
+            passwordResetExpires: new Date(Date.now() + RESET_TOKEN_TTL_MS)
+          }
+        });
+
+        await Mailer.send({
+          to: user.email,
+          subject: 'Reset your password',
+          text: `Hi ${user.name},\n\n`
+            + 'Someone asked to reset the password of your NEX\'EC Exchange account. '
+            + 'If it was you, choose a new password here:\n\n'
+            + `${APP_URL}/reset-password?token=${token}\n\n`
+            + 'The link expires in 1 hour. If you did not ask for it, you can ignore this email.'
+        });
+      }
+
+      return {
+        success: true,
+        message: 'If an account exists for this email, a reset link has been sent'
+      };
+
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Set a new password with a reset token. It proves the address too, and
+  // every open session is ended.
+  async resetPassword(token, newPassword) {
+    try {
+      const user = await User.findOneAndUpdate(
+        { passwordResetToken: hashToken(token), passwordResetExpires: { $gt: new Date() } },
+        { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } }
+      ).select('+password');
+
+      if (!user) {
+        throw new Error('Invalid or expired reset token');
+      }
+
+      user.password = newPassword;
+      user.isVerified = true;
+      user.loginAttempts = 0;
+      user.lockUntil = undefined;
+      await user.save();
+
+      await this.endAllSessions(user._id);
+      await this.recordEvent(user._id, 'password_reset');
+      return { success: true };
+
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async endAllSessions(userId) {
+    const user = await User.findById(userId).select('devices');
+    if (!user) return;
+
+    for (const device of user.devices) {
+      if (device.sessionId) {
+        await SessionService.revoke(device.sessionId);
+      }
+    }
+
+    await User.updateOne({ _id: userId }, { $unset: { 'devices.$[].sessionId': 1 } });
+  }
+
+  async changePassword(userId, currentPassword, newPassword) {
+    try {
+      const user = await User.findById(userId).select('+password');
+      
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      const isCurrentValid = await user.checkPassword(currentPassword);
+      if (!isCurrentValid) {
+        throw new Error('Current password is incorrect');
+      }
+
+      user.password = newPassword;
+      await user.save();
+      await this.recordEvent(user._id, 'password_changed');
+
+      return { success: true };
+
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Start enrolment: a new secret, shown as an otpauth:// URL and its QR
+  // code. Two-factor authentication is only on once a code from it verifies.
+  async setupTwoFactor(userId) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      if (user.twoFactorEnabled) {
+        throw new Error('Two-factor authentication is already enabled');
+      }
+
+      const secret = totp.generateSecret();
+      await User.updateOne({ _id: user._id }, { $set: { twoFactorSecret: secret } });
+
+      const otpauthUrl = totp.otpauthUrl(secret, user.email, TWO_FACTOR_ISSUER);
+
+      return {
+        success: true,
+        secret,
+        otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl)
+      };
+
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Turn two-factor authentication on with a first code from the new
+  // secret. The recovery codes are only ever shown here.
+  async enableTwoFactor(userId, code) {
+    try {
+      const user = await User.findById(userId).select('+twoFactorSecret');
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      if (user.twoFactorEnabled) {
+        throw new Error('Two-factor authentication is already enabled');
+      }
+
+      if (!user.twoFactorSecret) {
+        throw new Error('Set up two-factor authentication first');
+      }
+
+      const counter = totp.verify(user.twoFactorSecret, code);
+      if (counter === null) {
+        throw new Error('Invalid two-factor code');
+      }
+
+      const backupCodes = this.generateBackupCodes();
+      await User.updateOne({ _id: user._id }, {
+        $set: {
+          twoFactorEnabled: true,
+          twoFactorLastCounter: counter,
+          twoFactorBackupCodes: backupCodes.map(hashBackupCode)
+        }
+      });
+      await this.recordEvent(user._id, 'two_factor_enabled');
+
+      return { success: true, backupCodes };
+
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Turning it off takes the password and a code, or a recovery code when
+  // the authenticator is lost
+  async disableTwoFactor(userId, password, code) {
+    try {
+      const user = await User.findById(userId).select('+password +twoFactorSecret');
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      if (!user.twoFactorEnabled) {
+        throw new Error('Two-factor authentication is not enabled');
+      }
+
+      const isPasswordValid = await user.checkPassword(password);
+      if (!isPasswordValid) {
+        throw new Error('Password is incorrect');
+      }
+
+      const isCodeValid = await this.checkSecondFactor(user, code, { allowBackupCode: true });
+      if (!isCodeValid) {
+        throw new Error('Invalid two-factor code');
+      }
+
+      await User.updateOne({ _id: user._id }, {
+        $set: { twoFactorEnabled: false },
+        $unset: { twoFactorSecret: 1, twoFactorBackupCodes: 1, twoFactorLastCounter: 1 }
+      });
+      await this.recordEvent(user._id, 'two_factor_disabled');
+
+      return { success: true };
+
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Replace the recovery codes, e.g. when they run out
+  async regenerateBackupCodes(userId, code) {
+    try {
+      const user = await User.findById(userId).select('+twoFactorSecret');
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      if (!user.twoFactorEnabled) {
+        throw new Error('Two-factor authentication is not enabled');
+      }
+
+      const isCodeValid = await this.checkSecondFactor(user, code);
+      if (!isCodeValid) {
+        throw new Error('Invalid two-factor code');
+      }
+
+      const backupCodes = this.generateBackupCodes();
+      await User.updateOne(
+        { _id: user._id },
+        { $set: { twoFactorBackupCodes: backupCodes.map(hashBackupCode) } }
+      );
+
+      return { success: true, backupCodes };
+
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Check a code from the user's authenticator or, where allowed, one of
+  // their recovery codes. Either is used up by a successful check: a TOTP
+  // code must belong to a later time step than the last one accepted.
+  async checkSecondFactor(user, code, { allowBackupCode = false } = {}) {
+    if (!code) return false;
+
+    const counter = user.twoFactorSecret ? totp.verify(user.twoFactorSecret, code) : null;
+    if (counter !== null) {
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [{ twoFactorLastCounter: null }, { twoFactorLastCounter: { $lt: counter } }]
+        },
+        { $set: { twoFactorLastCounter: counter } }
+      );
+      return result.modifiedCount === 1;
+    }
+
+    if (!allowBackupCode) return false;
+
+    const hash = hashBackupCode(code);
+    const result = await User.updateOne(
+      { _id: user._id, twoFactorBackupCodes: hash },
+      { $pull: { twoFactorBackupCodes: hash } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  generateBackupCodes() {
+    return Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const code = crypto.randomBytes(5).toString('hex');
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+}
+
 module.exports = new AuthService();
\ No newline at end of file
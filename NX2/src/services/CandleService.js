@@ -0,0 +1,279 @@
+const EventEmitter = require('events');
+const Candle = require('../models/Candle');
+const Trade = require('../models/Trade');
+const TradingEngine = require('./TradingEngine');
+const { Decimal, toDecimal, toDecimal128 } = require('../utils/decimal');
+
+// Candle intervals in milliseconds
+const INTERVALS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+const CLOSE_CHECK_MS = 1000;
+
+// Builds OHLCV candles from executed trades. The open candle of every
+// symbol and interval is kept in memory and saved once its interval has
+// passed; each change is emitted as 'candle_update'. Trades and closes are
+// applied one at a time through a promise chain so a candle being saved is
+// never updated concurrently.
+class CandleService extends EventEmitter {
+  constructor() {
+    super();
+    this.intervals = INTERVALS;
+    this.openCandles = new Map(); // "symbol:interval" -> candle
+    this.timer = null;
+    this.queue = Promise.resolve();
+    this.onTrade = trade => this.enqueue(() => this.addTrade(trade));
+  }
+
+  enqueue(task) {
+    this.queue = this.queue.then(task).catch(error => {
+      console.error('Candle update failed:', error);
+    });
+    return this.queue;
+  }
+
+  // Catch up on trades missed while stopped, then follow the engine
+  async start() {
+    for (const symbol of TradingEngine.orderBooks.keys()) {
+      await this.catchUp(symbol);
+    }
+
+    TradingEngine.on('trade_executed', this.onTrade);
+    this.timer = setInterval(() => this.enqueue(() => this.closeExpired()), CLOSE_CHECK_MS);
+    this.timer.unref();
+  }
+
+  stop() {
+    TradingEngine.removeListener('trade_executed', this.onTrade);
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async addTrade(trade) {
+    const time = new Date(trade.timestamp).getTime();
+    const price = toDecimal(trade.price);
+    const quantity = toDecimal(trade.quantity);
+
+    for (const [interval, size] of Object.entries(this.intervals)) {
+      const key = `${trade.symbol}:${interval}`;
+      const openTime = time - (time % size);
+      let candle = this.openCandles.get(key);
+
+      if (candle && candle.openTime < openTime) {
+        await this.closeCandle(candle);
+        candle = null;
+      }
+
+      if (candle && candle.openTime > openTime) {
+        // A trade older than the open candle belongs to one already saved
+        await this.mergeIntoSaved(trade.symbol, interval, openTime, price, quantity);
+        continue;
+      }
+
+      if (!candle) {
+        candle = {
+          symbol: trade.symbol,
+          interval,
+          openTime,
+          closeTime: openTime + size - 1,
+          open: price,
+          high: price,
+          low: price,
+          close: price,
+          volume: toDecimal(0),
+          quoteVolume: toDecimal(0),
+          trades: 0
+        };
+        this.openCandles.set(key, candle);
+      }
+
+      candle.high = Decimal.max(candle.high, price);
+      candle.low = Decimal.min(candle.low, price);
+      candle.close = price;
+      candle.volume = candle.volume.plus(quantity);
+      candle.quoteVolume = candle.quoteVolume.plus(price.times(quantity));
+      candle.trades++;
+
+      this.emit('candle_update', { candle: this.format(candle), closed: false });
+    }
+  }
+
+  // Save every open candle whose interval has ended
+  async closeExpired(now = Date.now()) {
+    for (const candle of Array.from(this.openCandles.values())) {
+      if (candle.closeTime < now) {
+        await this.closeCandle(candle);
+      }
+    }
+  }
+
+  async closeCandle(candle) {
+    this.openCandles.delete(`${candle.symbol}:${candle.interval}`);
+    await this.saveCandles([candle]);
+    this.emit('candle_update', { candle: this.format(candle), closed: true });
+  }
+
+  async mergeIntoSaved(symbol, interval, openTime, price, quantity) {
+    const saved = await Candle.findOne({ symbol, interval, openTime: new Date(openTime) });
+    if (!saved) {
+      await this.rebuild(symbol, { from: openTime, to: openTime + this.intervals[interval] - 1, intervals: [interval] });
+      return;
+    }
+
+    saved.high = Decimal.max(toDecimal(saved.high), price).toFixed();
+    saved.low = Decimal.min(toDecimal(saved.low), price).toFixed();
+    saved.volume = toDecimal(saved.volume).plus(quantity).toFixed();
+    saved.quoteVolume = toDecimal(saved.quoteVolume).plus(price.times(quantity)).toFixed();
+    saved.trades++;
+    await saved.save();
+  }
+
+  saveCandles(candles) {
+    if (candles.length === 0) return null;
+
+    return Candle.bulkWrite(candles.map(candle => ({
+      updateOne: {
+        filter: { symbol: candle.symbol, interval: candle.interval, openTime: new Date(candle.openTime) },
+        update: {
+          $set: {
+            closeTime: new Date(candle.closeTime),
+            open: toDecimal128(candle.open),
+            high: toDecimal128(candle.high),
+            low: toDecimal128(candle.low),
+            close: toDecimal128(candle.close),
+            volume: toDecimal128(candle.volume),
+            quoteVolume: toDecimal128(candle.quoteVolume),
+            trades: candle.trades
+          }
+        },
+        upsert: true
+      }
+    })));
+  }
+
+  // Recompute candles from the Trade collection. Closed candles are saved
+  // (replacing what was stored); a candle still open is kept in memory.
+  async rebuild(symbol, { from, to, intervals = Object.keys(this.intervals) } = {}) {
+    const now = Date.now();
+    let rebuilt = 0;
+
+    for (const interval of intervals) {
+      const size = this.intervals[interval];
+      const match = { symbol };
+      if (from !== undefined || to !== undefined) {
+        match.timestamp = {};
+        if (from !== undefined) match.timestamp.$gte = new Date(from - (from % size));
+        if (to !== undefined) match.timestamp.$lte = new Date(to);
+      }
+
+      const candles = await this.aggregateTrades(match, size, interval);
+      const closed = candles.filter(candle => candle.closeTime < now);
+      const open = candles.find(candle => candle.closeTime >= now);
+
+      await this.saveCandles(closed);
+      if (open) {
+        this.openCandles.set(`${symbol}:${interval}`, open);
+      }
+      rebuilt += candles.length;
+    }
+
+    return rebuilt;
+  }
+
+  // Rebuild from the start of the day holding the latest saved candle, so
+  // every interval that may have missed trades is recomputed
+  async catchUp(symbol) {
+    const latest = await Candle.findOne({ symbol, interval: '1m' }).sort({ openTime: -1 });
+    if (!latest) {
+      return this.rebuild(symbol);
+    }
+
+    const from = latest.openTime.getTime();
+    return this.rebuild(symbol, { from: from - (from % this.intervals['1d']) });
+  }
+
+  async aggregateTrades(match, size, interval) {
+    const buckets = await Trade.aggregate([
+      { $match: match },
+      { $sort: { timestamp: 1 } },
+      {
+        $group: {
+          _id: { $subtract: [{ $toLong: '$timestamp' }, { $mod: [{ $toLong: '$timestamp' }, size] }] },
+          open: { $first: '$price' },
+          high: { $max: '$price' },
+          low: { $min: '$price' },
+          close: { $last: '$price' },
+          volume: { $sum: '$quantity' },
+          quoteVolume: { $sum: { $multiply: ['$price', '$quantity'] } },
+          trades: { $sum: 1 }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    return buckets.map(bucket => ({
+      symbol: match.symbol,
+      interval,
+      openTime: Number(bucket._id),
+      closeTime: Number(bucket._id) + size - 1,
+      open: toDecimal(bucket.open),
+      high: toDecimal(bucket.high),
+      low: toDecimal(bucket.low),
+      close: toDecimal(bucket.close),
+      volume: toDecimal(bucket.volume),
+      quoteVolume: toDecimal(bucket.quoteVolume),
+      trades: bucket.trades
+    }));
+  }
+
+  // Saved candles in the range, oldest first, followed by the open candle
+  async getCandles(symbol, interval, { startTime, endTime, limit = 500 } = {}) {
+    const size = this.intervals[interval];
+    const count = Math.min(Math.max(parseInt(limit) || 500, 1), 1000);
+    const end = endTime ? parseInt(endTime) : Date.now();
+    const start = startTime ? parseInt(startTime) : end - (end % size) - (count - 1) * size;
+
+    const saved = await Candle.find({
+      symbol,
+      interval,
+      openTime: { $gte: new Date(start), $lte: new Date(end) }
+    }).sort({ openTime: 1 }).limit(count);
+
+    const candles = saved.map(candle => this.format({
+      ...candle.toObject(),
+      openTime: candle.openTime.getTime(),
+      closeTime: candle.closeTime.getTime()
+    }));
+
+    const open = this.openCandles.get(`${symbol}:${interval}`);
+    if (open && open.openTime >= start && open.openTime <= end && candles.length < count) {
+      candles.push(this.format(open));
+    }
+
+    return candles;
+  }
+
+  format(candle) {
+    return {
+      symbol: candle.symbol,
+      interval: candle.interval,
+      openTime: candle.openTime,
+      closeTime: candle.closeTime,
+      open: toDecimal(candle.open).toFixed(),
+      high: toDecimal(candle.high).toFixed(),
+      low: toDecimal(candle.low).toFixed(),
+      close: toDecimal(candle.close).toFixed(),
+      volume: toDecimal(candle.volume).toFixed(),
+      quoteVolume: toDecimal(candle.quoteVolume).toFixed(),
+      trades: candle.trades
+    };
+  }
+}
+
+module.exports = new CandleService();
\ No newline at end of file
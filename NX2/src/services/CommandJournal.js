@@ -0,0 +1,96 @@
+const EngineCommand = require('../models/EngineCommand');
+const clock = require('../utils/clock');
+
+// Append-only journal of the trading engine's commands. Each symbol has its
+// own queue: its commands are written with the next sequence number and
+// applied strictly one after another, while other symbols carry on
+// concurrently. A command runs with its own timestamp and sequence as the
+// engine's clock, so replaying the journal in sequence order repeats what
+// each book did.
+class CommandJournal {
+  constructor() {
+    this.sequence = 0; // last sequence handed out
+    this.queues = new Map(); // symbol -> last command queued for it
+    this.replayed = null; // commands the engine issues during a replay
+  }
+
+  // Continue numbering after what is already journaled
+  async load() {
+    const last = await EngineCommand.findOne().sort({ sequence: -1 }).select('sequence');
+    this.sequence = last ? last.sequence : 0;
+    return this.sequence;
+  }
+
+  // Queue a command behind the ones already submitted for its symbol,
+  // journal it and apply it. A command that could not be journaled is not
+  // applied. Commands read back from the journal keep their sequence and
+  // timestamp and are not written again.
+  submit(symbol, command, apply) {
+    const key = String(symbol);
+    const previous = this.queues.get(key) || Promise.resolve();
+
+    const result = previous.then(async () => {
+      const entry = command.sequence ? command : await this.append(command);
+      return clock.run(entry, apply);
+    });
+
+    const tail = result.catch(() => {});
+    this.queues.set(key, tail);
+    tail.then(() => {
+      if (this.queues.get(key) === tail) {
+        this.queues.delete(key);
+      }
+    });
+
+    return result;
+  }
+
+  // Journal a command the engine issues while applying another one. During
+  // a replay these are collected instead, to compare with the original.
+  record(type, payload) {
+    const parent = clock.current();
+    const command = {
+      type,
+      payload,
+      parentSequence: parent ? parent.sequence : null,
+      timestamp: new Date(clock.now())
+    };
+
+    if (this.replayed) {
+      this.replayed.push(command);
+      return command;
+    }
+    return this.append(command);
+  }
+
+  // The sequence is taken before the write, so commands of different
+  // symbols written at the same time never share one; a failed write leaves
+  // a gap
+  async append({
+    type, payload, parentSequence = null, timestamp
+  }) {
+    const entry = {
+      sequence: ++this.sequence,
+      type,
+      payload,
+      parentSequence,
+      timestamp: timestamp || new Date(clock.now())
+    };
+
+    await EngineCommand.create(entry);
+    return entry;
+  }
+
+  startReplay() {
+    this.replayed = [];
+  }
+
+  // Commands the engine issued since startReplay
+  stopReplay() {
+    const replayed = this.replayed || [];
+    this.replayed = null;
+    return replayed;
+  }
+}
+
+module.exports = new CommandJournal();
\ No newline at end of file
@@ -0,0 +1,264 @@
+const mongoose = require('mongoose');
+const EngineCommand = require('../models/EngineCommand');
+const Order = require('../models/Order');
+const Trade = require('../models/Trade');
+const User = require('../models/User');
+const Market = require('../models/Market');
+const Wallet = require('../models/Wallet');
+const LedgerEntry = require('../models/LedgerEntry');
+const MarketRegistry = require('./MarketRegistry');
+const TradingEngine = require('./TradingEngine');
+const CommandJournal = require('./CommandJournal');
+const OrderBookRecovery = require('./OrderBookRecovery');
+const { toDecimal, toDecimal128 } = require('../utils/decimal');
+
+// Ledger journals that move funds without going through the engine
+const EXTERNAL_JOURNAL_TYPES = ['deposit', 'withdrawal', 'transfer', 'adjustment'];
+
+const ORDER_FIELDS = [
+  'userId', 'symbol', 'type', 'side', 'quantity', 'price', 'stopPrice', 'filledQuantity', 'filledValue',
+  'averageFillPrice', 'status', 'statusReason', 'timeInForce', 'selfTradePrevention', 'preventedQuantity',
+  'groupId', 'groupType', 'parentOrderId', 'lockedAmount', 'triggeredAt', 'queuedAt', 'createdAt'
+];
+
+const TRADE_FIELDS = [
+  'symbol', 'price', 'quantity', 'side', 'takerOrderId', 'makerOrderId', 'takerUserId', 'makerUserId',
+  'fee.makerFee', 'fee.makerFeeRate', 'fee.makerFeeCurrency', 'fee.takerFee', 'fee.takerFeeRate',
+  'fee.takerFeeCurrency', 'timestamp'
+];
+
+// Replays the command journal of a source database into the database the
+// models are connected to, which is wiped first, and checks the rebuilt
+// orders, trades and books against the source. Users and markets are copied
+// over beforehand, and deposits, withdrawals and transfers from the source
+// ledger are applied between the commands they happened between, so each
+// command meets the balances it originally did. Commands are replayed one at
+// a time in sequence order; books come out the same because each symbol's
+// commands were applied in that order, but two symbols that originally
+// raced for the same account balance may be settled the other way round.
+class CommandReplay {
+  async run(source, { to } = {}) {
+    const sources = {
+      EngineCommand: source.model('EngineCommand', EngineCommand.schema),
+      Order: source.model('Order', Order.schema),
+      Trade: source.model('Trade', Trade.schema),
+      User: source.model('User', User.schema),
+      Market: source.model('Market', Market.schema),
+      LedgerEntry: source.model('LedgerEntry', LedgerEntry.schema)
+    };
+
+    await mongoose.connection.dropDatabase();
+    await this.copy(sources.User, User);
+    await this.copy(sources.Market, Market);
+    await MarketRegistry.load();
+    CommandJournal.startReplay();
+
+    const journals = await this.loadExternalJournals(sources.LedgerEntry);
+    const filter = { parentSequence: null };
+    if (to) filter.sequence = { $lte: to };
+
+    const report = { commands: 0, sequence: 0, rejected: [] };
+    const commands = sources.EngineCommand.find(filter).sort({ sequence: 1 }).lean().cursor();
+
+    for await (const command of commands) {
+      while (journals.length > 0 && journals[0][0].createdAt <= command.timestamp) {
+        await this.applyJournal(journals.shift());
+      }
+
+      // Commands the engine refused originally are refused again; only a
+      // different outcome counts as a difference
+      try {
+        await TradingEngine.replayCommand(command);
+      } catch (error) {
+        report.rejected.push({ sequence: command.sequence, type: command.type, error: error.message });
+      }
+      report.commands += 1;
+      report.sequence = command.sequence;
+    }
+
+    const issued = CommandJournal.stopReplay();
+    report.books = this.describeBooks();
+
+    // Up to a given sequence the source has moved on, so there is nothing to
+    // compare against; the replayed state is left for inspection
+    if (!to) {
+      report.differences = await this.compare(sources, issued);
+    }
+
+    return report;
+  }
+
+  // Copy documents as stored, skipping hooks such as password hashing
+  async copy(sourceModel, targetModel) {
+    const documents = await sourceModel.find().lean();
+    if (documents.length > 0) {
+      await targetModel.collection.insertMany(documents);
+    }
+  }
+
+  // External journals from the source ledger, oldest first, each as its
+  // list of lines
+  async loadExternalJournals(sourceLedger) {
+    const lines = await sourceLedger.find({ type: { $in: EXTERNAL_JOURNAL_TYPES } })
+      .sort({ createdAt: 1, _id: 1 })
+      .lean();
+
+    const journals = new Map();
+    lines.forEach(line => {
+      if (!journals.has(line.journalId)) journals.set(line.journalId, []);
+      journals.get(line.journalId).push(line);
+    });
+
+    return Array.from(journals.values());
+  }
+
+  // Apply a journal's wallet lines as they were and post it again
+  async applyJournal(lines) {
+    const entries = lines.map(line => ({
+      userId: line.userId,
+      account: line.account,
+      currency: line.currency,
+      amount: toDecimal(line.credit).minus(toDecimal(line.debit))
+    }));
+
+    for (const entry of entries) {
+      if (!entry.userId || !['available', 'locked'].includes(entry.account)) continue;
+
+      await Wallet.updateOne(
+        { userId: entry.userId },
+        { $setOnInsert: { userId: entry.userId, balances: [] } },
+        { upsert: true }
+      );
+      await Wallet.ensureBalance(entry.userId, entry.currency);
+      await Wallet.updateOne(
+        { userId: entry.userId, 'balances.currency': entry.currency },
+        {
+          $inc: {
+            [`balances.$.${entry.account}`]: toDecimal128(entry.amount),
+            'balances.$.total': toDecimal128(entry.amount)
+          }
+        }
+      );
+    }
+
+    const [{
+      type, orderId, tradeId, transferId, description
+    }] = lines;
+    await LedgerEntry.post(type, entries, {
+      orderId, tradeId, transferId, description
+    });
+  }
+
+  describeBooks() {
+    return Array.from(TradingEngine.orderBooks.values())
+      .filter(orderBook => orderBook.orders.size > 0)
+      .map(orderBook => ({
+        symbol: orderBook.symbol,
+        lastPrice: orderBook.lastPrice.toFixed(),
+        ...orderBook.getDepth()
+      }));
+  }
+
+  async compare(sources, issued) {
+    const differences = [
+      ...await this.compareDocuments('orders', sources.Order, Order, 'orderId', ORDER_FIELDS),
+      ...await this.compareDocuments('trades', sources.Trade, Trade, 'tradeId', TRADE_FIELDS),
+      ...await this.compareIssued(sources.EngineCommand, issued)
+    ];
+
+    // The rebuilt books must hold exactly the source's resting orders
+    for (const [symbol, orderBook] of TradingEngine.orderBooks) {
+      const entries = await OrderBookRecovery.loadRestingOrders(symbol, sources.Order);
+      if (!OrderBookRecovery.matches(orderBook.snapshot(), entries)) {
+        differences.push({ collection: 'books', id: symbol, reason: 'resting orders differ' });
+      }
+    }
+
+    return differences;
+  }
+
+  // The commands the engine issued itself, such as stop triggers, must be
+  // the same for every replayed command
+  async compareIssued(sourceCommand, issued) {
+    const original = await sourceCommand.find({ parentSequence: { $ne: null } }).sort({ sequence: 1 }).lean();
+    const expected = this.groupIssued(original);
+    const actual = this.groupIssued(issued);
+    const differences = [];
+
+    new Set([...expected.keys(), ...actual.keys()]).forEach(parentSequence => {
+      const before = expected.get(parentSequence) || [];
+      const after = actual.get(parentSequence) || [];
+      if (before.join() !== after.join()) {
+        differences.push({
+          collection: 'commands',
+          id: parentSequence,
+          reason: 'issued different commands',
+          fields: [{ field: 'issued', expected: before.join(' '), actual: after.join(' ') }]
+        });
+      }
+    });
+
+    return differences;
+  }
+
+  // parentSequence -> ['trigger:ORD..', ...] in the order they were issued
+  groupIssued(commands) {
+    const grouped = new Map();
+    commands.forEach(command => {
+      if (!grouped.has(command.parentSequence)) grouped.set(command.parentSequence, []);
+      grouped.get(command.parentSequence).push(`${command.type}:${command.payload.orderId}`);
+    });
+    return grouped;
+  }
+
+  async compareDocuments(collection, sourceModel, targetModel, key, fields) {
+    const replayed = new Map();
+    for await (const document of targetModel.find().cursor()) {
+      replayed.set(String(document.get(key)), this.describe(document, fields));
+    }
+
+    const differences = [];
+    for await (const document of sourceModel.find().cursor()) {
+      const id = String(document.get(key));
+      const actual = replayed.get(id);
+      replayed.delete(id);
+
+      if (!actual) {
+        differences.push({ collection, id, reason: 'missing from replay' });
+        continue;
+      }
+
+      const changed = this.diff(this.describe(document, fields), actual);
+      if (changed.length > 0) {
+        differences.push({
+          collection, id, reason: 'differs', fields: changed
+        });
+      }
+    }
+
+    replayed.forEach((actual, id) => differences.push({ collection, id, reason: 'not in source' }));
+    return differences;
+  }
+
+  // The compared fields of a document as strings
+  describe(document, fields) {
+    const described = {};
+    fields.forEach(field => {
+      const value = document.get(field);
+      if (value === undefined || value === null) {
+        described[field] = null;
+      } else {
+        described[field] = value instanceof Date ? value.toISOString() : String(value);
+      }
+    });
+    return described;
+  }
+
+  diff(expected, actual) {
+    return Object.keys(expected)
+      .filter(field => expected[field] !== actual[field])
+      .map(field => ({ field, expected: expected[field], actual: actual[field] }));
+  }
+}
+
+module.exports = new CommandReplay();
\ No newline at end of file
@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const Trade = require('../models/Trade');
+const User = require('../models/User');
+const MarketRegistry = require('./MarketRegistry');
+const { feeTiers, volumeWindowDays } = require('../config/fees');
+const { toDecimal, roundUp } = require('../utils/decimal');
+const clock = require('../utils/clock');
+
+const VOLUME_CACHE_TTL = 60 * 1000;
+
+class FeeService {
+  constructor() {
+    this.tiers = feeTiers.map(tier => ({ ...tier, minVolumeValue: toDecimal(tier.minVolume) }));
+    this.volumes = new Map(); // userId -> { volume, expiresAt }
+  }
+
+  // Quote volume traded by a user, as maker or taker, over the window.
+  // Cached briefly; addVolume keeps the cached figure current between
+  // refreshes. Times come from the engine's clock, so a replayed trade sees
+  // the fee tier the original did.
+  async getVolume(userId) {
+    const key = String(userId);
+    const cached = this.volumes.get(key);
+    if (cached && cached.expiresAt > clock.now()) {
+      return cached.volume;
+    }
+
+    const since = new Date(clock.now() - volumeWindowDays * 24 * 60 * 60 * 1000);
+    // Aggregation pipelines are not cast by the schema
+    const id = new mongoose.Types.ObjectId(String(userId));
+    const [result] = await Trade.aggregate([
+      {
+        $match: {
+          timestamp: { $gte: since },
+          $or: [{ takerUserId: id }, { makerUserId: id }]
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          volume: { $sum: { $multiply: ['$price', '$quantity'] } }
+        }
+      }
+    ]);
+
+    const volume = toDecimal(result ? result.volume : 0);
+    this.volumes.set(key, { volume, expiresAt: clock.now() + VOLUME_CACHE_TTL });
+    return volume;
+  }
+
+  addVolume(userId, notional) {
+    const cached = this.volumes.get(String(userId));
+    if (cached) {
+      cached.volume = cached.volume.plus(toDecimal(notional));
+    }
+  }
+
+  tierFor(volume) {
+    return this.tiers.reduce(
+      (current, tier) => (volume.gte(tier.minVolumeValue) ? tier : current),
+      this.tiers[0]
+    );
+  }
+
+  // Rates that apply to a user: the account override if one is set,
+  // otherwise the volume tier
+  async getSchedule(userId) {
+    const [volume, user] = await Promise.all([
+      this.getVolume(userId),
+      User.findById(userId).select('feeOverride')
+    ]);
+
+    const tier = this.tierFor(volume);
+    const override = user && user.feeOverride;
+    const nextTier = this.tiers.find(candidate => candidate.tier === tier.tier + 1);
+
+    return {
+      tier: tier.tier,
+      volume30d: volume.toFixed(),
+      makerRate: (override && override.makerRate) || tier.makerRate,
+      takerRate: (override && override.takerRate) || tier.takerRate,
+      override: !!(override && (override.makerRate || override.takerRate)),
+      nextTier: nextTier
+        ? {
+          tier: nextTier.tier,
+          minVolume: nextTier.minVolume,
+          makerRate: nextTier.makerRate,
+          takerRate: nextTier.takerRate
+        }
+        : null
+    };
+  }
+
+  async getRate(userId, symbol, liquidity) {
+    const market = MarketRegistry.get(symbol);
+    if (market && market.zeroFee) {
+      return toDecimal(0);
+    }
+
+    const schedule = await this.getSchedule(userId);
+    return toDecimal(liquidity === 'maker' ? schedule.makerRate : schedule.takerRate);
+  }
+
+  // Fee for one side of a fill, charged in the asset that side receives and
+  // rounded up to that asset's precision
+  calculateFee(side, quantity, price, rate, market) {
+    if (side === 'buy') {
+      return {
+        amount: roundUp(toDecimal(quantity).times(rate), market.basePrecision),
+        currency: market.base,
+        rate
+      };
+    }
+
+    return {
+      amount: roundUp(toDecimal(quantity).times(toDecimal(price)).times(rate), market.quotePrecision),
+      currency: market.quote,
+      rate
+    };
+  }
+
+  getTiers() {
+    return feeTiers;
+  }
+}
+
+module.exports = new FeeService();
\ No newline at end of file
@@ -0,0 +1,149 @@
+const EventEmitter = require('events');
+const Wallet = require('../models/Wallet');
+const LedgerEntry = require('../models/LedgerEntry');
+const { toDecimal } = require('../utils/decimal');
+
+const WALLET_ACCOUNTS = ['available', 'locked'];
+
+class LedgerService extends EventEmitter {
+  // Rebuild every wallet balance from the ledger and compare it with the
+  // stored one. Wallets that differ are flagged as drifted; the clearing
+  // account must also net to zero in every currency once trades settle.
+  async reconcile() {
+    const checkedAt = new Date();
+    const { expected, clearing } = await this.loadLedgerBalances();
+
+    const drifted = [];
+    let checked = 0;
+
+    for await (const wallet of Wallet.find().cursor()) {
+      const ledger = expected.get(String(wallet.userId)) || new Map();
+      expected.delete(String(wallet.userId));
+      checked++;
+
+      const differences = this.compareWallet(wallet, ledger);
+      const reconciliation = {
+        status: differences.length > 0 ? 'drifted' : 'ok',
+        checkedAt,
+        differences
+      };
+
+      await Wallet.updateOne({ _id: wallet._id }, { reconciliation });
+
+      if (differences.length > 0) {
+        drifted.push({ userId: String(wallet.userId), differences });
+      }
+    }
+
+    // Ledger accounts that have no wallet at all
+    expected.forEach((ledger, userId) => {
+      const differences = this.compareWallet({ balances: [] }, ledger);
+      if (differences.length > 0) {
+        drifted.push({ userId, differences, missingWallet: true });
+      }
+    });
+
+    const report = {
+      checkedAt,
+      wallets: checked,
+      drifted,
+      clearing
+    };
+
+    if (drifted.length > 0 || clearing.length > 0) {
+      this.emit('drift_detected', report);
+    }
+
+    return report;
+  }
+
+  // Ledger balances per user ("currency:account" -> balance), and the
+  // currencies whose clearing account does not net to zero
+  async loadLedgerBalances() {
+    const rows = await LedgerEntry.getBalances();
+
+    const expected = new Map(); // userId -> "currency:account" -> balance
+    const clearing = [];
+
+    rows.forEach(({ _id, balance }) => {
+      const amount = toDecimal(balance);
+
+      if (!_id.userId) {
+        if (_id.account === 'clearing' && !amount.isZero()) {
+          clearing.push({ currency: _id.currency, balance: amount.toFixed() });
+        }
+        return;
+      }
+
+      const key = String(_id.userId);
+      if (!expected.has(key)) expected.set(key, new Map());
+      expected.get(key).set(`${_id.currency}:${_id.account}`, amount);
+    });
+
+    return { expected, clearing };
+  }
+
+  // Wallets funded before the ledger existed hold balances no journal
+  // accounts for, and reconcile would flag every one of them. Post what
+  // each account holds beyond its ledger balance as an opening adjustment.
+  // Wallets that traded since the ledger went live only get the part the
+  // ledger is missing. Run it once, before the first reconcile: afterwards
+  // it would paper over real drift.
+  async postOpeningBalances() {
+    const { expected } = await this.loadLedgerBalances();
+    const opened = [];
+
+    for await (const wallet of Wallet.find().cursor()) {
+      const differences = this.compareWallet(wallet, expected.get(String(wallet.userId)) || new Map());
+      const currencies = [...new Set(differences.map(difference => difference.currency))];
+
+      const lines = currencies.flatMap(currency => {
+        const accounts = differences
+          .filter(difference => difference.currency === currency)
+          .map(difference => ({
+            userId: wallet.userId,
+            account: difference.account,
+            currency,
+            amount: toDecimal(difference.walletBalance).minus(toDecimal(difference.ledgerBalance))
+          }));
+        const total = accounts.reduce((sum, line) => sum.plus(line.amount), toDecimal(0));
+        return [...accounts, { account: 'adjustment', currency, amount: total.neg() }];
+      });
+
+      const entries = await LedgerEntry.post('adjustment', lines, { description: 'Opening balance' });
+      if (entries.length > 0) {
+        opened.push(String(wallet.userId));
+      }
+    }
+
+    return { opened };
+  }
+
+  compareWallet(wallet, ledger) {
+    const differences = [];
+    const currencies = new Set(wallet.balances.map(balance => balance.currency));
+    ledger.forEach((amount, key) => currencies.add(key.split(':')[0]));
+
+    currencies.forEach(currency => {
+      const balance = wallet.balances.find(entry => entry.currency === currency) || {};
+
+      WALLET_ACCOUNTS.forEach(account => {
+        const walletBalance = toDecimal(balance[account]);
+        const ledgerBalance = ledger.get(`${currency}:${account}`) || toDecimal(0);
+
+        if (!walletBalance.eq(ledgerBalance)) {
+          differences.push({
+            currency,
+            account,
+            walletBalance: walletBalance.toFixed(),
+            ledgerBalance: ledgerBalance.toFixed()
+          });
+        }
+      });
+    });
+
+    return differences;
+  }
+}
+
+module.exports = new LedgerService();
\ No newline at end of file
@@ -0,0 +1,75 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'NEX\'EC Exchange <no-reply@nexec.exchange>';
+
+// Outgoing email. MAIL_TRANSPORT picks the transport: smtp (SMTP_HOST,
+// SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS), file (each message written
+// to MAIL_DIR as an .eml file, for local runs and tests) or console, the
+// default outside production, which only logs who a message was for.
+// Message bodies carry single-use tokens, so they never go to the logs.
+class Mailer {
+  constructor() {
+    this.transport = null;
+    this.mode = null;
+  }
+
+  // Send through another nodemailer transport, e.g. a stub in tests
+  configure(transport) {
+    this.transport = transport;
+    this.mode = 'custom';
+  }
+
+  getTransport() {
+    if (this.transport) return this.transport;
+
+    if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+      throw new Error('MAIL_TRANSPORT must be set in production');
+    }
+
+    this.mode = process.env.MAIL_TRANSPORT || 'console';
+    switch (this.mode) {
+      case 'smtp':
+        this.transport = nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT) || 587,
+          secure: process.env.SMTP_SECURE === 'true',
+          auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+        });
+        break;
+      case 'file':
+        this.transport = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+        break;
+      case 'console':
+        this.transport = nodemailer.createTransport({ jsonTransport: true });
+        break;
+      default:
+        throw new Error(`Unsupported mail transport: ${this.mode}`);
+    }
+
+    return this.transport;
+  }
+
+  async send({ to, subject, text }) {
+    const info = await this.getTransport().sendMail({
+      from: MAIL_FROM, to, subject, text
+    });
+
+    if (this.mode === 'file') {
+      const directory = process.env.MAIL_DIR || path.join(os.tmpdir(), 'nexec-mail');
+      const name = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.eml`;
+      await fs.promises.mkdir(directory, { recursive: true });
+      await fs.promises.writeFile(path.join(directory, name), info.message);
+    } else if (this.mode === 'console') {
+      console.log(`📧 Mail to ${to}: ${subject}`);
+    }
+
+    return info;
+  }
+}
+
+module.exports = new Mailer();
\ No newline at end of file
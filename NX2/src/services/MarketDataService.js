@@ -0,0 +1,97 @@
+const Trade = require('../models/Trade');
+const TradingEngine = require('./TradingEngine');
+const MarketRegistry = require('./MarketRegistry');
+const CandleService = require('./CandleService');
+const { toDecimal } = require('../utils/decimal');
+
+const marketError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Read-only market data for the public API
+class MarketDataService {
+  resolveSymbol(symbolParam) {
+    const symbol = MarketRegistry.normalizeSymbol(symbolParam);
+    if (!MarketRegistry.get(symbol) || !TradingEngine.orderBooks.has(symbol)) {
+      throw marketError(`Unknown symbol: ${symbolParam}`, 404);
+    }
+    return symbol;
+  }
+
+  getTicker(symbolParam) {
+    const symbol = this.resolveSymbol(symbolParam);
+    const orderBook = TradingEngine.getOrderBook(symbol);
+    const stats = orderBook.stats.snapshot();
+    const bestBid = orderBook.bids.best();
+    const bestAsk = orderBook.asks.best();
+
+    const change = stats.open ? orderBook.lastPrice.minus(stats.open) : toDecimal(0);
+    const changePercent = stats.open
+      ? change.div(stats.open).times(100).toDecimalPlaces(2)
+      : toDecimal(0);
+
+    return {
+      symbol,
+      status: MarketRegistry.get(symbol).status,
+      lastPrice: orderBook.lastPrice.toFixed(),
+      openPrice24h: stats.open ? stats.open.toFixed() : null,
+      high24h: stats.high ? stats.high.toFixed() : null,
+      low24h: stats.low ? stats.low.toFixed() : null,
+      volume24h: stats.volume.toFixed(),
+      quoteVolume24h: stats.quoteVolume.toFixed(),
+      priceChange24h: change.toFixed(),
+      priceChangePercent24h: changePercent.toFixed(),
+      trades24h: stats.count,
+      bestBid: bestBid ? bestBid.price.toFixed() : null,
+      bestBidQuantity: bestBid ? bestBid.quantity.toFixed() : null,
+      bestAsk: bestAsk ? bestAsk.price.toFixed() : null,
+      bestAskQuantity: bestAsk ? bestAsk.quantity.toFixed() : null,
+      timestamp: Date.now()
+    };
+  }
+
+  getDepth(symbolParam, limit = 100) {
+    const symbol = this.resolveSymbol(symbolParam);
+    const levels = Math.min(Math.max(parseInt(limit) || 100, 1), 1000);
+
+    return {
+      symbol,
+      ...TradingEngine.getOrderBook(symbol).getDepth(levels),
+      timestamp: Date.now()
+    };
+  }
+
+  // Public trade feed: no order or user details
+  async getRecentTrades(symbolParam, limit = 100) {
+    const symbol = this.resolveSymbol(symbolParam);
+    const count = Math.min(Math.max(parseInt(limit) || 100, 1), 1000);
+    const trades = await Trade.getRecentTrades(symbol, count);
+
+    return trades.map(trade => this.toPublicTrade(trade));
+  }
+
+  // What anyone may see of a trade, over REST and on the trades channel
+  toPublicTrade(trade) {
+    return {
+      tradeId: trade.tradeId,
+      price: trade.price,
+      quantity: trade.quantity,
+      side: trade.side,
+      timestamp: trade.timestamp
+    };
+  }
+
+  // OHLCV candles, oldest first, ending with the candle still open
+  getKlines(symbolParam, { interval = '1h', ...range } = {}) {
+    const symbol = this.resolveSymbol(symbolParam);
+    if (!CandleService.intervals[interval]) {
+      throw marketError(`Unsupported interval: ${interval}. Use one of ${Object.keys(CandleService.intervals).join(', ')}`);
+    }
+
+    return CandleService.getCandles(symbol, interval, range);
+  }
+}
+
+module.exports = new MarketDataService();
\ No newline at end of file
@@ -0,0 +1,159 @@
+const EventEmitter = require('events');
+const Market = require('../models/Market');
+const { markets: defaultMarkets } = require('../config/markets');
+const { toDecimal } = require('../utils/decimal');
+
+const MARKET_FIELDS = [
+  'symbol', 'base', 'quote', 'pricePrecision', 'quantityPrecision', 'basePrecision',
+  'quotePrecision', 'tickSize', 'lotSize', 'minQuantity', 'maxQuantity', 'minNotional', 'zeroFee', 'status'
+];
+
+// In-memory view of the Market collection. Starts out with the default pairs
+// so the engine works before the database is up; load() then replaces them
+// with the stored definitions. Every change emits 'market_updated'.
+class MarketRegistry extends EventEmitter {
+  constructor() {
+    super();
+    this.markets = new Map(); // symbol -> market definition
+    defaultMarkets.forEach(market => this.set(market));
+  }
+
+  // Plain copy of a definition with amounts as decimal strings
+  toDefinition(market) {
+    const data = typeof market.toObject === 'function' ? market.toObject() : market;
+    const definition = {};
+
+    MARKET_FIELDS.forEach(field => {
+      if (data[field] !== undefined && data[field] !== null) {
+        definition[field] = data[field];
+      }
+    });
+
+    return definition;
+  }
+
+  set(market) {
+    const definition = this.toDefinition(market);
+    this.markets.set(definition.symbol, definition);
+    this.emit('market_updated', definition);
+    return definition;
+  }
+
+  async load() {
+    // Seed the defaults once; afterwards the collection is the source of truth
+    if (await Market.countDocuments() === 0) {
+      await Market.insertMany(defaultMarkets);
+    }
+
+    const markets = await Market.find();
+    markets.forEach(market => this.set(market));
+    return this.list();
+  }
+
+  get(symbol) {
+    return this.markets.get(symbol) || null;
+  }
+
+  list(status) {
+    const markets = Array.from(this.markets.values());
+    return status ? markets.filter(market => market.status === status) : markets;
+  }
+
+  // Decimals an asset is kept at, from the markets that trade it; the
+  // smallest wins should two markets disagree. Null for unknown assets.
+  assetPrecision(asset) {
+    const precisions = this.list().flatMap(market => [
+      market.base === asset ? market.basePrecision : null,
+      market.quote === asset ? market.quotePrecision : null
+    ]).filter(precision => precision !== null && precision !== undefined);
+
+    return precisions.length > 0 ? Math.min(...precisions) : null;
+  }
+
+  async addMarket(data) {
+    const symbol = this.normalizeSymbol(data.symbol);
+    if (this.markets.has(symbol) || await Market.exists({ symbol })) {
+      const error = new Error(`Market ${symbol} already exists`);
+      error.status = 409;
+      throw error;
+    }
+
+    const market = new Market({
+      pricePrecision: toDecimal(data.tickSize).decimalPlaces(),
+      quantityPrecision: toDecimal(data.lotSize).decimalPlaces(),
+      ...data,
+      symbol
+    });
+
+    const rules = this.validateRules(market);
+    if (!rules.valid) {
+      const error = new Error(rules.error);
+      error.status = 400;
+      throw error;
+    }
+
+    await market.save();
+    return this.set(market);
+  }
+
+  // Change a market's status or fee promotion at runtime
+  async updateMarket(symbol, changes) {
+    const market = await Market.findOneAndUpdate(
+      { symbol: this.normalizeSymbol(symbol) },
+      changes,
+      { new: true, runValidators: true }
+    );
+
+    if (!market) {
+      const error = new Error(`Market ${symbol} not found`);
+      error.status = 404;
+      throw error;
+    }
+
+    return this.set(market);
+  }
+
+  // Tick and lot sizes must fit the declared precisions, price times
+  // quantity must be exact at the quote precision, and the quantity bounds
+  // must be whole lots
+  validateRules(market) {
+    const tickSize = toDecimal(market.tickSize);
+    const lotSize = toDecimal(market.lotSize);
+
+    if (!tickSize.gt(0) || !lotSize.gt(0)) {
+      return { valid: false, error: 'Tick size and lot size must be positive' };
+    }
+
+    if (tickSize.decimalPlaces() > market.pricePrecision) {
+      return { valid: false, error: 'Tick size has more decimals than the price precision' };
+    }
+
+    if (lotSize.decimalPlaces() > market.quantityPrecision) {
+      return { valid: false, error: 'Lot size has more decimals than the quantity precision' };
+    }
+
+    if (market.pricePrecision + market.quantityPrecision > market.quotePrecision) {
+      return { valid: false, error: 'Price and quantity precision together must not exceed the quote precision' };
+    }
+
+    for (const field of ['minQuantity', 'maxQuantity']) {
+      if (market[field] !== undefined && market[field] !== null &&
+          !toDecimal(market[field]).mod(lotSize).isZero()) {
+        return { valid: false, error: `${field} must be a multiple of the lot size` };
+      }
+    }
+
+    if (market.maxQuantity && toDecimal(market.maxQuantity).lt(toDecimal(market.minQuantity))) {
+      return { valid: false, error: 'maxQuantity must not be below minQuantity' };
+    }
+
+    return { valid: true };
+  }
+
+  // Accept BTC/USDT, BTC-USDT or btc_usdt, e.g. from a URL segment
+  normalizeSymbol(symbol) {
+    return String(symbol).toUpperCase().replace(/[-_]/, '/');
+  }
+}
+
+module.exports = new MarketRegistry();
\ No newline at end of file
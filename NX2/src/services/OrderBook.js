@@ -0,0 +1,265 @@
+const TickerStats = require('./TickerStats');
+const { toDecimal } = require('../utils/decimal');
+
+// One side of the book: price levels kept in priority order, each level
+// holding its resting orders in arrival (FIFO) order. Prices and quantities
+// are Decimals; levels are keyed by the canonical price string.
+class BookSide {
+  constructor(side) {
+    this.side = side;
+    this.levels = new Map(); // price string -> { price, quantity, orders: [] }
+    this.prices = []; // bids sorted high to low, asks sorted low to high
+  }
+
+  comesBefore(a, b) {
+    return this.side === 'bids' ? a.gt(b) : a.lt(b);
+  }
+
+  insertPrice(price) {
+    let low = 0;
+    let high = this.prices.length;
+
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.comesBefore(this.prices[mid], price)) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    this.prices.splice(low, 0, price);
+  }
+
+  level(price) {
+    return this.levels.get(price.toFixed());
+  }
+
+  add(entry) {
+    let level = this.level(entry.price);
+    if (!level) {
+      level = { price: entry.price, quantity: toDecimal(0), orders: [] };
+      this.levels.set(entry.price.toFixed(), level);
+      this.insertPrice(entry.price);
+    }
+
+    level.orders.push(entry);
+    level.quantity = level.quantity.plus(entry.remaining);
+  }
+
+  remove(entry) {
+    const level = this.level(entry.price);
+    if (!level) return false;
+
+    const index = level.orders.indexOf(entry);
+    if (index === -1) return false;
+
+    level.orders.splice(index, 1);
+    level.quantity = level.quantity.minus(entry.remaining);
+
+    if (level.orders.length === 0) {
+      this.levels.delete(entry.price.toFixed());
+      this.prices.splice(this.prices.findIndex(price => price.eq(entry.price)), 1);
+    }
+
+    return true;
+  }
+
+  best() {
+    return this.prices.length > 0 ? this.level(this.prices[0]) : null;
+  }
+
+  depth(limit = Infinity) {
+    return this.prices
+      .slice(0, limit)
+      .map(price => [price.toFixed(), this.level(price).quantity.toFixed()]);
+  }
+}
+
+class OrderBook {
+  constructor(symbol) {
+    this.symbol = symbol;
+    this.bids = new BookSide('bids');
+    this.asks = new BookSide('asks');
+    this.orders = new Map(); // orderId -> resting entry
+    this.lastPrice = toDecimal(0);
+    this.stats = new TickerStats(); // rolling 24h figures
+    this.sequence = 0; // bumped on every change to the resting orders
+  }
+
+  sideFor(orderSide) {
+    return orderSide === 'buy' ? this.bids : this.asks;
+  }
+
+  oppositeSideFor(orderSide) {
+    return orderSide === 'buy' ? this.asks : this.bids;
+  }
+
+  crosses(takerSide, price, limitPrice) {
+    if (limitPrice === undefined || limitPrice === null) return true;
+
+    const limit = toDecimal(limitPrice);
+    return takerSide === 'buy' ? price.lte(limit) : price.gte(limit);
+  }
+
+  // Rest an order on its own side of the book, behind everything already
+  // queued at the same price.
+  add(order) {
+    if (this.orders.has(order.orderId)) {
+      throw new Error(`Order ${order.orderId} is already on the book`);
+    }
+
+    const entry = {
+      orderId: order.orderId,
+      userId: order.userId,
+      side: order.side,
+      price: toDecimal(order.price),
+      remaining: toDecimal(order.remaining),
+      timestamp: order.timestamp || Date.now()
+    };
+
+    this.sideFor(entry.side).add(entry);
+    this.orders.set(entry.orderId, entry);
+    this.sequence++;
+    return entry;
+  }
+
+  remove(orderId) {
+    const entry = this.orders.get(orderId);
+    if (!entry) return null;
+
+    this.sideFor(entry.side).remove(entry);
+    this.orders.delete(orderId);
+    this.sequence++;
+    return entry;
+  }
+
+  get(orderId) {
+    return this.orders.get(orderId) || null;
+  }
+
+  // Oldest order at the best opposite price, if it crosses limitPrice.
+  // Market orders pass no limit price and take whatever is there.
+  bestMatch(takerSide, limitPrice) {
+    const level = this.oppositeSideFor(takerSide).best();
+    if (!level || !this.crosses(takerSide, level.price, limitPrice)) {
+      return null;
+    }
+
+    return level.orders[0];
+  }
+
+  // Walk the opposite side without changing it: how much of `quantity`
+  // would fill against the current book, its cost and the worst price hit.
+  previewMatch(takerSide, quantity, limitPrice) {
+    const side = this.oppositeSideFor(takerSide);
+    const wanted = toDecimal(quantity);
+    let filled = toDecimal(0);
+    let cost = toDecimal(0);
+    let worstPrice = null;
+
+    for (const price of side.prices) {
+      if (filled.gte(wanted) || !this.crosses(takerSide, price, limitPrice)) break;
+
+      const fillQuantity = wanted.minus(filled).clampedTo(0, side.level(price).quantity);
+      filled = filled.plus(fillQuantity);
+      cost = cost.plus(fillQuantity.times(price));
+      worstPrice = price;
+    }
+
+    return { filled, cost, worstPrice };
+  }
+
+  // Reduce a resting order after a fill, dropping it once fully consumed.
+  fill(orderId, quantity) {
+    const entry = this.orders.get(orderId);
+    if (!entry) {
+      throw new Error(`Order ${orderId} is not on the book`);
+    }
+
+    const fillQuantity = toDecimal(quantity);
+    if (fillQuantity.gte(entry.remaining)) {
+      this.remove(orderId);
+      entry.remaining = toDecimal(0);
+      return entry;
+    }
+
+    const level = this.sideFor(entry.side).level(entry.price);
+    entry.remaining = entry.remaining.minus(fillQuantity);
+    level.quantity = level.quantity.minus(fillQuantity);
+    this.sequence++;
+    return entry;
+  }
+
+  bestBid() {
+    const level = this.bids.best();
+    return level ? level.price : null;
+  }
+
+  bestAsk() {
+    const level = this.asks.best();
+    return level ? level.price : null;
+  }
+
+  getDepth(limit) {
+    return {
+      bids: this.bids.depth(limit),
+      asks: this.asks.depth(limit)
+    };
+  }
+
+  // Every resting order in queue order, best price first, with the sequence
+  // number of the last change it reflects
+  snapshot() {
+    const entries = side => side.prices.flatMap(price => side.level(price).orders.map(entry => ({
+      orderId: entry.orderId,
+      userId: String(entry.userId),
+      side: entry.side,
+      price: entry.price.toFixed(),
+      remaining: entry.remaining.toFixed(),
+      timestamp: new Date(entry.timestamp).getTime()
+    })));
+
+    return {
+      symbol: this.symbol,
+      sequence: this.sequence,
+      timestamp: Date.now(),
+      lastPrice: this.lastPrice.toFixed(),
+      bids: entries(this.bids),
+      asks: entries(this.asks)
+    };
+  }
+
+  // Replace the resting orders with those of a snapshot, keeping their
+  // queue order, and continue from its sequence number
+  restore(snapshot) {
+    this.bids = new BookSide('bids');
+    this.asks = new BookSide('asks');
+    this.orders = new Map();
+
+    [...snapshot.bids, ...snapshot.asks].forEach(entry => this.add(entry));
+    this.sequence = snapshot.sequence;
+    if (this.lastPrice.isZero() && snapshot.lastPrice) {
+      this.lastPrice = toDecimal(snapshot.lastPrice);
+    }
+  }
+
+  recordTrade(price, quantity, timestamp) {
+    this.lastPrice = toDecimal(price);
+    this.stats.record(price, quantity, timestamp);
+  }
+
+  toJSON() {
+    const stats = this.stats.snapshot();
+    return {
+      symbol: this.symbol,
+      ...this.getDepth(),
+      lastPrice: this.lastPrice.toFixed(),
+      volume24h: stats.volume.toFixed(),
+      high24h: stats.high ? stats.high.toFixed() : '0',
+      low24h: stats.low ? stats.low.toFixed() : '0'
+    };
+  }
+}
+
+module.exports = OrderBook;
\ No newline at end of file
@@ -0,0 +1,142 @@
+const Order = require('../models/Order');
+const TradingEngine = require('./TradingEngine');
+const OrderBook = require('./OrderBook');
+const { toDecimal } = require('../utils/decimal');
+
+const SNAPSHOT_INTERVAL_MS = parseInt(process.env.ORDERBOOK_SNAPSHOT_INTERVAL_MS) || 10 * 1000;
+
+// Rebuilds the engine's books on startup and keeps Redis snapshots of them.
+// Mongo stays the source of truth: a snapshot is only used when it holds
+// exactly the resting orders Mongo has, otherwise the book is rebuilt from
+// the orders in time priority.
+class OrderBookRecovery {
+  constructor() {
+    this.redis = null;
+    this.timer = null;
+    this.savedSequences = new Map(); // symbol -> sequence of the last snapshot
+  }
+
+  snapshotKey(symbol) {
+    return `orderbook:snapshot:${symbol}`;
+  }
+
+  async recover(redis) {
+    this.redis = redis;
+    const report = [];
+
+    for (const [symbol, orderBook] of TradingEngine.orderBooks) {
+      const entries = await this.loadRestingOrders(symbol);
+      const snapshot = await this.loadSnapshot(symbol);
+      const fromSnapshot = snapshot && this.matches(snapshot, entries);
+
+      if (fromSnapshot) {
+        orderBook.restore(snapshot);
+      } else {
+        orderBook.restore({
+          sequence: snapshot ? snapshot.sequence + 1 : 0,
+          bids: entries.filter(entry => entry.side === 'buy'),
+          asks: entries.filter(entry => entry.side === 'sell')
+        });
+      }
+
+      const stops = await this.restoreStopOrders(symbol);
+      this.savedSequences.set(symbol, fromSnapshot ? orderBook.sequence : null);
+
+      report.push({
+        symbol,
+        source: fromSnapshot ? 'snapshot' : 'orders',
+        snapshotMismatch: !!snapshot && !fromSnapshot,
+        restingOrders: entries.length,
+        stopOrders: stops,
+        sequence: orderBook.sequence
+      });
+    }
+
+    return report;
+  }
+
+  // Resting orders of a symbol in the order they joined the book
+  loadRestingOrders(symbol, model = Order) {
+    return model.getRestingEntries(symbol);
+  }
+
+  async restoreStopOrders(symbol) {
+    const triggerBook = TradingEngine.triggerBooks.get(symbol);
+    const stops = await Order.find({ symbol, status: 'pending' }).sort({ createdAt: 1, _id: 1 });
+
+    stops.forEach(order => {
+      if (!triggerBook.orders.has(order.orderId)) {
+        triggerBook.add(order);
+      }
+    });
+
+    return stops.length;
+  }
+
+  async loadSnapshot(symbol) {
+    if (!this.redis) return null;
+
+    try {
+      const data = await this.redis.get(this.snapshotKey(symbol));
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      console.error(`Could not read order book snapshot for ${symbol}:`, error);
+      return null;
+    }
+  }
+
+  // A snapshot is usable when it holds the book Mongo's orders make: the
+  // same orders on the same side and price, with the same remaining
+  // quantities and times, queued in the same order at each price
+  matches(snapshot, entries) {
+    const expected = new OrderBook(snapshot.symbol);
+    expected.restore({
+      sequence: 0,
+      bids: entries.filter(entry => entry.side === 'buy'),
+      asks: entries.filter(entry => entry.side === 'sell')
+    });
+    const { bids, asks } = expected.snapshot();
+
+    return this.sameEntries(snapshot.bids, bids) && this.sameEntries(snapshot.asks, asks);
+  }
+
+  sameEntries(actual, expected) {
+    return actual.length === expected.length && actual.every((entry, index) => {
+      const other = expected[index];
+      return entry.orderId === other.orderId &&
+        entry.side === other.side &&
+        toDecimal(entry.price).eq(toDecimal(other.price)) &&
+        toDecimal(entry.remaining).eq(toDecimal(other.remaining)) &&
+        Number(entry.timestamp) === other.timestamp;
+    });
+  }
+
+  start(redis) {
+    this.redis = redis;
+    this.timer = setInterval(() => {
+      this.saveSnapshots().catch(error => console.error('Order book snapshot failed:', error));
+    }, SNAPSHOT_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.saveSnapshots();
+  }
+
+  // Write a snapshot of every book that changed since its last one
+  async saveSnapshots() {
+    if (!this.redis) return;
+
+    for (const [symbol, orderBook] of TradingEngine.orderBooks) {
+      if (this.savedSequences.get(symbol) === orderBook.sequence) continue;
+
+      const snapshot = orderBook.snapshot();
+      await this.redis.set(this.snapshotKey(symbol), JSON.stringify(snapshot));
+      this.savedSequences.set(symbol, snapshot.sequence);
+    }
+  }
+}
+
+module.exports = new OrderBookRecovery();
\ No newline at end of file
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+
+const REFRESH_TOKEN_TTL_SECONDS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60;
+
+const sessionError = (message) => {
+  const error = new Error(message);
+  error.status = 401;
+  return error;
+};
+
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Login sessions kept in Redis. A session stays alive while its refresh
+// token is used within the TTL; each use swaps it for a new one. Only the
+// latest token of a session works, and presenting one that was already
+// swapped means it leaked, so the whole session is revoked. Access tokens
+// name their session and stop working as soon as it is gone.
+class SessionService {
+  constructor() {
+    this.redis = null;
+  }
+
+  connect(redis) {
+    this.redis = redis;
+  }
+
+  sessionKey(sessionId) {
+    return `auth:session:${sessionId}`;
+  }
+
+  // Hashes of the session's refresh tokens that were already swapped
+  usedKey(sessionId) {
+    return `auth:session:${sessionId}:used`;
+  }
+
+  refreshKey(hash) {
+    return `auth:refresh:${hash}`;
+  }
+
+  // Refresh tokens carry their session ID in front of the secret part
+  issueRefreshToken(sessionId) {
+    return `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+  }
+
+  async create(userId) {
+    const sessionId = crypto.randomBytes(16).toString('hex');
+    const refreshToken = this.issueRefreshToken(sessionId);
+    const refreshHash = hashToken(refreshToken);
+
+    await this.redis.multi()
+      .set(this.sessionKey(sessionId), JSON.stringify({
+        userId: String(userId),
+        refreshHash,
+        createdAt: new Date().toISOString()
+      }), { EX: REFRESH_TOKEN_TTL_SECONDS })
+      .set(this.refreshKey(refreshHash), sessionId, { EX: REFRESH_TOKEN_TTL_SECONDS })
+      .exec();
+
+    return { sessionId, refreshToken };
+  }
+
+  // Swap a refresh token for the next one. Taking the token out with GETDEL
+  // means two requests racing with the same token cannot both succeed.
+  async rotate(refreshToken) {
+    const [sessionId] = String(refreshToken).split('.');
+    const hash = hashToken(refreshToken);
+
+    const owner = await this.redis.getDel(this.refreshKey(hash));
+    if (!owner || owner !== sessionId) {
+      if (sessionId && await this.redis.sIsMember(this.usedKey(sessionId), hash)) {
+        await this.revoke(sessionId);
+        throw sessionError('Refresh token was already used; the session has been revoked');
+      }
+      throw sessionError('Invalid refresh token');
+    }
+
+    const data = await this.redis.get(this.sessionKey(sessionId));
+    if (!data) {
+      throw sessionError('Session has expired');
+    }
+
+    const session = JSON.parse(data);
+    const nextToken = this.issueRefreshToken(sessionId);
+    const nextHash = hashToken(nextToken);
+
+    await this.redis.multi()
+      .set(this.sessionKey(sessionId), JSON.stringify({ ...session, refreshHash: nextHash }), {
+        EX: REFRESH_TOKEN_TTL_SECONDS
+      })
+      .set(this.refreshKey(nextHash), sessionId, { EX: REFRESH_TOKEN_TTL_SECONDS })
+      .sAdd(this.usedKey(sessionId), hash)
+      .expire(this.usedKey(sessionId), REFRESH_TOKEN_TTL_SECONDS)
+      .exec();
+
+    return { sessionId, userId: session.userId, refreshToken: nextToken };
+  }
+
+  async isActive(sessionId) {
+    if (!sessionId) return false;
+    return (await this.redis.exists(this.sessionKey(sessionId))) === 1;
+  }
+
+  async revoke(sessionId) {
+    const data = await this.redis.get(this.sessionKey(sessionId));
+    const keys = [this.sessionKey(sessionId), this.usedKey(sessionId)];
+    if (data) {
+      keys.push(this.refreshKey(JSON.parse(data).refreshHash));
+    }
+
+    await this.redis.del(keys);
+  }
+}
+
+module.exports = new SessionService();
\ No newline at end of file
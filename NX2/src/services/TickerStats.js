@@ -0,0 +1,99 @@
+const { Decimal, toDecimal } = require('../utils/decimal');
+
+const BUCKET_MS = 60 * 1000;
+const WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Rolling 24h trade statistics for one symbol. Trades are folded into
+// one-minute buckets and buckets older than the window are dropped, so the
+// figures roll over even when no new trades arrive.
+class TickerStats {
+  constructor() {
+    this.buckets = []; // oldest first: { start, open, high, low, close, volume, quoteVolume, count }
+  }
+
+  record(price, quantity, timestamp = Date.now()) {
+    const time = timestamp instanceof Date ? timestamp.getTime() : timestamp;
+    const start = time - (time % BUCKET_MS);
+    const tradePrice = toDecimal(price);
+    const tradeQuantity = toDecimal(quantity);
+
+    let bucket = this.buckets[this.buckets.length - 1];
+    if (!bucket || bucket.start < start) {
+      bucket = {
+        start,
+        open: tradePrice,
+        high: tradePrice,
+        low: tradePrice,
+        close: tradePrice,
+        volume: toDecimal(0),
+        quoteVolume: toDecimal(0),
+        count: 0
+      };
+      this.buckets.push(bucket);
+    } else if (bucket.start > start) {
+      // Late trade (e.g. replayed out of order): fold it into the bucket it
+      // belongs to without moving open or close
+      bucket = this.buckets.find(candidate => candidate.start === start) || bucket;
+    } else {
+      bucket.close = tradePrice;
+    }
+
+    bucket.high = Decimal.max(bucket.high, tradePrice);
+    bucket.low = Decimal.min(bucket.low, tradePrice);
+    bucket.volume = bucket.volume.plus(tradeQuantity);
+    bucket.quoteVolume = bucket.quoteVolume.plus(tradePrice.times(tradeQuantity));
+    bucket.count++;
+
+    this.prune(time);
+  }
+
+  prune(now = Date.now()) {
+    const cutoff = now - WINDOW_MS;
+    while (this.buckets.length > 0 && this.buckets[0].start + BUCKET_MS <= cutoff) {
+      this.buckets.shift();
+    }
+  }
+
+  // Copy of the buckets as they are now, to roll back to
+  clone() {
+    const copy = new TickerStats();
+    copy.buckets = this.buckets.map(bucket => ({ ...bucket }));
+    return copy;
+  }
+
+  snapshot(now = Date.now()) {
+    this.prune(now);
+
+    if (this.buckets.length === 0) {
+      return {
+        open: null,
+        high: null,
+        low: null,
+        close: null,
+        volume: toDecimal(0),
+        quoteVolume: toDecimal(0),
+        count: 0
+      };
+    }
+
+    return this.buckets.reduce((stats, bucket) => ({
+      open: stats.open,
+      high: Decimal.max(stats.high, bucket.high),
+      low: Decimal.min(stats.low, bucket.low),
+      close: bucket.close,
+      volume: stats.volume.plus(bucket.volume),
+      quoteVolume: stats.quoteVolume.plus(bucket.quoteVolume),
+      count: stats.count + bucket.count
+    }), {
+      open: this.buckets[0].open,
+      high: this.buckets[0].high,
+      low: this.buckets[0].low,
+      close: this.buckets[0].close,
+      volume: toDecimal(0),
+      quoteVolume: toDecimal(0),
+      count: 0
+    });
+  }
+}
+
+module.exports = TickerStats;
\ No newline at end of file
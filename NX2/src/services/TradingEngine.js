@@ -1,292 +1,1557 @@
-const EventEmitter = require('events');
-const Order = require('../models/Order');
-const Trade = require('../models/Trade');
-const Wallet = require('../models/Wallet');
-
-class TradingEngine extends EventEmitter {
-  constructor() {
-    super();
-    this.orderBooks = new Map(); // symbol -> { bids: Map, asks: Map }
-    this.pendingOrders = new Map();
-    this.initializeOrderBooks();
-  }
-
-  initializeOrderBooks() {
-    // Initialize order books for supported pairs
-    const supportedPairs = [
-      'BTC/USDT', 'ETH/USDT', 'BNB/USDT', 'SOL/USDT', 
-      'ADA/USDT', 'XRP/USDT', 'DOT/USDT', 'DOGE/USDT'
-    ];
-
-    supportedPairs.forEach(pair => {
-      this.orderBooks.set(pair, {
-        bids: new Map(), // price -> total quantity (sorted high to low)
-        asks: new Map(), // price -> total quantity (sorted low to high)
-        lastPrice: 0,
-        volume24h: 0,
-        high24h: 0,
-        low24h: Infinity
-      });
-    });
-  }
-
-  async placeOrder(orderData) {
-    try {
-      // Validate order
-      const validation = this.validateOrder(orderData);
-      if (!validation.valid) {
-        throw new Error(validation.error);
-      }
-
-      // Check balance for market orders
-      if (orderData.type === 'market' && orderData.side === 'buy') {
-        await this.checkBalance(orderData.userId, orderData.symbol, orderData.quantity, orderData.price);
-      }
-
-      // Create order record
-      const order = await this.createOrderRecord(orderData);
-      
-      // Process order based on type
-      let result;
-      switch (order.type) {
-        case 'limit':
-          result = await this.processLimitOrder(order);
-          break;
-        case 'market':
-          result = await this.processMarketOrder(order);
-          break;
-        default:
-          throw new Error(`Unsupported order type: ${order.type}`);
-      }
-
-      this.emit('order_processed', { order, result });
-      return result;
-
-    } catch (error) {
-      this.emit('order_error', { orderData, error });
-      throw error;
-    }
-  }
-
-  async processLimitOrder(order) {
-    const orderBook = this.orderBooks.get(order.symbol);
-    if (!orderBook) {
-      throw new Error(`Unsupported trading pair: ${order.symbol}`);
-    }
-
-    const oppositeSide = order.side === 'buy' ? 'asks' : 'bids';
-    let remainingQuantity = order.quantity;
-    const trades = [];
-
-    // Try to match with opposite side
-    for (const [price, quantity] of orderBook[oppositeSide]) {
-      if (remainingQuantity <= 0) break;
-
-      // Check if order can be matched
-      if ((order.side === 'buy' && price > order.price) ||
-          (order.side === 'sell' && price < order.price)) {
-        break;
-      }
-
-      const fillQuantity = Math.min(remainingQuantity, quantity);
-      const trade = await this.executeTrade(order, price, fillQuantity, orderBook);
-      trades.push(trade);
-
-      remainingQuantity -= fillQuantity;
-
-      // Update order book
-      if (quantity === fillQuantity) {
-        orderBook[oppositeSide].delete(price);
-      } else {
-        orderBook[oppositeSide].set(price, quantity - fillQuantity);
-      }
-    }
-
-    // Add remaining to order book
-    if (remainingQuantity > 0) {
-      const sameSide = order.side === 'buy' ? 'bids' : 'asks';
-      const currentQty = orderBook[sameSide].get(order.price) || 0;
-      orderBook[sameSide].set(order.price, currentQty + remainingQuantity);
-    }
-
-    // Emit order book update
-    this.emitOrderBookUpdate(order.symbol);
-
-    return { order, trades, filled: order.quantity - remainingQuantity };
-  }
-
-  async processMarketOrder(order) {
-    const orderBook = this.orderBooks.get(order.symbol);
-    let remainingQuantity = order.quantity;
-    const trades = [];
-    let totalCost = 0;
-
-    const oppositeSide = order.side === 'buy' ? 'asks' : 'bids';
-
-    for (const [price, quantity] of orderBook[oppositeSide]) {
-      if (remainingQuantity <= 0) break;
-
-      const fillQuantity = Math.min(remainingQuantity, quantity);
-      const trade = await this.executeTrade(order, price, fillQuantity, orderBook);
-      trades.push(trade);
-
-      remainingQuantity -= fillQuantity;
-      totalCost += price * fillQuantity;
-
-      // Update order book
-      if (quantity === fillQuantity) {
-        orderBook[oppositeSide].delete(price);
-      } else {
-        orderBook[oppositeSide].set(price, quantity - fillQuantity);
-      }
-    }
-
-    // If not fully filled, update order status
-    if (remainingQuantity > 0) {
-      await Order.updateOne(
-        { orderId: order.orderId },
-        { 
-          status: 'partially_filled',
-          filledQuantity: order.quantity - remainingQuantity
-        }
-      );
-    }
-
-    this.emitOrderBookUpdate(order.symbol);
-    return { order, trades, filled: order.quantity - remainingQuantity };
-  }
-
-  async executeTrade(order, price, quantity, orderBook) {
-    // Create trade record
-    const trade = new Trade({
-      tradeId: this.generateTradeId(),
-      symbol: order.symbol,
-      price,
-      quantity,
-      side: order.side,
-      takerOrderId: order.orderId,
-      makerOrderId: 'maker_order_id', // Would be actual maker order ID
-      takerUserId: order.userId,
-      makerUserId: order.userId, // Simplified for MVP
-      fee: {
-        makerFee: quantity * price * 0.001, // 0.1% maker fee
-        takerFee: quantity * price * 0.002, // 0.2% taker fee
-        feeCurrency: 'USDT'
-      }
-    });
-
-    await trade.save();
-
-    // Update order
-    await Order.updateOne(
-      { orderId: order.orderId },
-      { 
-        $inc: { filledQuantity: quantity },
-        averageFillPrice: (
-          (order.averageFillPrice * (order.filledQuantity)) + 
-          (price * quantity)
-        ) / (order.filledQuantity + quantity)
-      }
-    );
-
-    // Update user balances
-    await this.updateBalances(order, trade);
-
-    // Update market data
-    this.updateMarketData(orderBook, price, quantity);
-
-    this.emit('trade_executed', trade);
-    return trade;
-  }
-
-  async updateBalances(order, trade) {
-    const [baseCurrency, quoteCurrency] = order.symbol.split('/');
-    
-    if (order.side === 'buy') {
-      // Buyer: spend quote currency, receive base currency
-      await Wallet.updateOne(
-        { userId: order.userId },
-        { 
-          $inc: {
-            'balances.$[quote].available': -trade.quantity * trade.price,
-            'balances.$[base].available': trade.quantity
-          }
-        },
-        {
-          arrayFilters: [
-            { 'quote.currency': quoteCurrency },
-            { 'base.currency': baseCurrency }
-          ]
-        }
-      );
-    } else {
-      // Seller: spend base currency, receive quote currency
-      await Wallet.updateOne(
-        { userId: order.userId },
-        { 
-          $inc: {
-            'balances.$[base].available': -trade.quantity,
-            'balances.$[quote].available': trade.quantity * trade.price
-          }
-        },
-        {
-          arrayFilters: [
-            { 'base.currency': baseCurrency },
-            { 'quote.currency': quoteCurrency }
-          ]
-        }
-      );
-    }
-  }
-
-  validateOrder(orderData) {
-    const required = ['userId', 'symbol', 'type', 'side', 'quantity'];
-    const missing = required.filter(field => !orderData[field]);
-    
-    if (missing.length > 0) {
-      return { valid: false, error: `Missing required fields: ${missing.join(', ')}` };
-    }
-
-    if (orderData.quantity <= 0) {
-      return { valid: false, error: 'Quantity must be positive' };
-    }
-
-    if (orderData.type === 'limit' && (!orderData.price || orderData.price <= 0)) {
-      return { valid: false, error: 'Limit orders require positive price' };
-    }
-
-    return { valid: true };
-  }
-
-  generateOrderId() {
-    return `ORD${Date.now()}${Math.random().toString(36).substr(2, 9)}`.toUpperCase();
-  }
-
-  generateTradeId() {
-    return `TRD${Date.now()}${Math.random().toString(36).substr(2, 9)}`.toUpperCase();
-  }
-
-  emitOrderBookUpdate(symbol) {
-    const orderBook = this.orderBooks.get(symbol);
-    this.emit('orderbook_update', { symbol, orderBook });
-  }
-
-  updateMarketData(orderBook, price, quantity) {
-    orderBook.lastPrice = price;
-    orderBook.volume24h += price * quantity;
-    orderBook.high24h = Math.max(orderBook.high24h, price);
-    orderBook.low24h = Math.min(orderBook.low24h, price);
-  }
-
-  async createOrderRecord(orderData) {
-    const order = new Order({
-      orderId: this.generateOrderId(),
-      ...orderData
-    });
-    
-    await order.save();
-    return order;
-  }
-}
-
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Trade = require('../models/Trade');
+const Wallet = require('../models/Wallet');
+const User = require('../models/User');
+const OrderBook = require('./OrderBook');
+const TriggerBook = require('./TriggerBook');
+const MarketRegistry = require('./MarketRegistry');
+const FeeService = require('./FeeService');
+const CommandJournal = require('./CommandJournal');
+const clock = require('../utils/clock');
+const {
+  Decimal, toDecimal, roundDown, roundUp
+} = require('../utils/decimal');
+
+const STOP_ORDER_TYPES = ['stop_limit', 'stop_market'];
+
+const SELF_TRADE_REASON = 'Self-trade prevented';
+
+// How long after an order is done a resubmission under its client order ID
+// still counts as a retry of it
+const CLIENT_ORDER_RETRY_MS = parseInt(process.env.CLIENT_ORDER_RETRY_MS) || 5 * 60 * 1000;
+
+const clientOrderIdInUse = () => {
+  const error = new Error('clientOrderId is already used by an open order');
+  error.status = 409;
+  return error;
+};
+
+class TradingEngine extends EventEmitter {
+  constructor() {
+    super();
+    this.markets = MarketRegistry; // symbol -> market definition and trading rules
+    this.orderBooks = new Map(); // symbol -> OrderBook
+    this.triggerBooks = new Map(); // symbol -> TriggerBook of pending stops
+    this.pendingOrders = new Map();
+    this.groupUpdates = new Map(); // symbol -> orderIds whose OCO/bracket group needs attention
+    this.journal = CommandJournal; // every command is journaled, then applied in order
+    this.clock = clock; // time and IDs inside matching, taken from the command
+    this.initializeOrderBooks();
+  }
+
+  initializeOrderBooks() {
+    // Initialize order books for supported pairs, and for pairs added later
+    this.markets.list().forEach(market => this.ensureOrderBook(market.symbol));
+    this.markets.on('market_updated', market => this.ensureOrderBook(market.symbol));
+  }
+
+  ensureOrderBook(symbol) {
+    if (!this.orderBooks.has(symbol)) {
+      this.orderBooks.set(symbol, new OrderBook(symbol));
+      this.triggerBooks.set(symbol, new TriggerBook(symbol));
+      this.groupUpdates.set(symbol, new Set());
+    }
+  }
+
+  // Commands go through the journal and are applied one at a time per
+  // symbol: each book is matched strictly serially while different symbols
+  // proceed concurrently
+  placeOrder(orderData) {
+    return this.submitCommand('place', orderData);
+  }
+
+  placeOcoOrder(ocoData) {
+    return this.submitCommand('place_oco', ocoData);
+  }
+
+  async cancelOrder(orderId, userId) {
+    const order = await Order.findOne({ orderId, userId }).select('symbol');
+    if (!order) {
+      const error = new Error('Order not found');
+      error.status = 404;
+      throw error;
+    }
+
+    return this.submitCommand('cancel', { orderId, userId, symbol: order.symbol });
+  }
+
+  async cancelByClientOrderId(clientOrderId, userId) {
+    const order = await Order.findOne({ clientOrderId, userId, status: { $in: Order.OPEN_STATUSES } })
+      .select('orderId symbol');
+    if (!order) {
+      const error = new Error('Order not found');
+      error.status = 404;
+      throw error;
+    }
+
+    return this.submitCommand('cancel', { orderId: order.orderId, userId, symbol: order.symbol });
+  }
+
+  async amendOrder(orderId, userId, changes) {
+    const order = await Order.findOne({ orderId, userId }).select('symbol');
+    if (!order) {
+      const error = new Error('Order not found');
+      error.status = 404;
+      throw error;
+    }
+
+    return this.submitCommand('amend', {
+      orderId, userId, symbol: order.symbol, price: changes.price, quantity: changes.quantity
+    });
+  }
+
+  // Cancelling across symbols is one command per symbol
+  async cancelAll(userId, symbol) {
+    const symbols = symbol
+      ? [symbol.toUpperCase()]
+      : await Order.distinct('symbol', { userId, status: { $in: Order.OPEN_STATUSES } });
+
+    const cancelled = await Promise.all(symbols.sort().map(orderSymbol => (
+      this.submitCommand('cancel_all', { userId, symbol: orderSymbol })
+    )));
+    return cancelled.flat();
+  }
+
+  submitCommand(type, payload) {
+    return this.journal.submit(payload.symbol, { type, payload }, () => this.applyCommand(type, payload));
+  }
+
+  // Apply a command read back from the journal, e.g. by a replay
+  replayCommand(command) {
+    return this.journal.submit(command.payload.symbol, command, () => this.applyCommand(command.type, command.payload));
+  }
+
+  applyCommand(type, payload) {
+    switch (type) {
+      case 'place':
+        return this.applyPlaceOrder(payload);
+      case 'place_oco':
+        return this.applyOcoOrder(payload);
+      case 'cancel':
+        return this.applyCancelOrder(payload.orderId, payload.userId);
+      case 'cancel_all':
+        return this.applyCancelAll(payload.userId, payload.symbol);
+      case 'amend':
+        return this.applyAmendOrder(payload);
+      default:
+        throw new Error(`Unsupported engine command: ${type}`);
+    }
+  }
+
+  async applyPlaceOrder(orderData) {
+    try {
+      // Validate order
+      const validation = this.validateOrder(orderData);
+      if (!validation.valid) {
+        throw new Error(validation.error);
+      }
+
+      // A retried submission gets back the order it placed the first time
+      const retried = await this.findRetriedOrder(orderData, orderData.bracket ? 'bracket' : null);
+      if (retried) {
+        return {
+          order: retried, trades: [], filled: retried.filledQuantity, duplicate: true
+        };
+      }
+
+      // Create order record, with its take-profit / stop-loss legs waiting
+      // on it when a bracket is attached
+      const { bracket, ...entryData } = orderData;
+      entryData.selfTradePrevention = await this.resolveSelfTradePrevention(orderData);
+      if (bracket) {
+        entryData.groupId = this.generateGroupId();
+        entryData.groupType = 'bracket';
+      }
+
+      const order = await this.createOrderRecord(entryData);
+      if (bracket) {
+        await this.createBracketLegs(order, bracket);
+      }
+
+      // Stop orders wait in the trigger book; everything else executes now.
+      // Follow-ups run even when the order fails, so a rejected bracket
+      // entry still takes its legs down with it.
+      let result;
+      try {
+        result = STOP_ORDER_TYPES.includes(order.type)
+          ? await this.armStopOrder(order)
+          : await this.executeOrder(order);
+      } finally {
+        await this.processFollowUps(order.symbol);
+      }
+
+      this.emit('order_processed', { order, result });
+      return result;
+
+    } catch (error) {
+      this.emit('order_error', { orderData, error });
+      throw error;
+    }
+  }
+
+  // Reserve funds for an order and send it through the limit or market path
+  async executeOrder(order) {
+    try {
+      // Orders that cannot execute as requested are rejected before any
+      // funds are locked or liquidity is touched
+      const rejection = this.applyExecutionRules(order);
+      if (rejection) {
+        await this.rejectOrder(order, rejection);
+        return { order, trades: [], filled: order.filledQuantity };
+      }
+
+      const reservation = await this.reserveFunds(order);
+
+      // Process order based on type
+      let result;
+      switch (order.type) {
+        case 'limit':
+        case 'stop_limit':
+          result = await this.processLimitOrder(order);
+          break;
+        case 'market':
+        case 'stop_market':
+          result = await this.processMarketOrder(order, reservation.priceLimit);
+          break;
+        default:
+          throw new Error(`Unsupported order type: ${order.type}`);
+      }
+
+      this.emitOrderUpdate(order, { selfTradePrevented: result.selfTradePrevented });
+      return result;
+
+    } catch (error) {
+      await this.rejectOrder(order, error.message);
+      throw error;
+    }
+  }
+
+  // Place a one-cancels-the-other pair: a limit leg resting on the book and a
+  // stop leg waiting for its trigger. Whichever fills or triggers first
+  // cancels the other.
+  async applyOcoOrder(ocoData) {
+    try {
+      const validation = this.validateOcoOrder(ocoData);
+      if (!validation.valid) {
+        throw new Error(validation.error);
+      }
+
+      const retried = await this.findRetriedOrder({ ...ocoData, type: 'limit' }, 'oco');
+      if (retried) {
+        const orders = await Order.find({ groupId: retried.groupId }).sort({ createdAt: 1, _id: 1 });
+        return { groupId: retried.groupId, orders, duplicate: true };
+      }
+
+      const groupId = this.generateGroupId();
+      const common = {
+        userId: ocoData.userId,
+        symbol: ocoData.symbol,
+        side: ocoData.side,
+        quantity: ocoData.quantity,
+        selfTradePrevention: await this.resolveSelfTradePrevention(ocoData),
+        groupId,
+        groupType: 'oco'
+      };
+
+      const limitOrder = await this.createOrderRecord({
+        ...common,
+        type: 'limit',
+        price: ocoData.price,
+        clientOrderId: ocoData.clientOrderId
+      });
+      const stopOrder = await this.createOrderRecord({
+        ...common,
+        type: ocoData.stopLimitPrice ? 'stop_limit' : 'stop_market',
+        stopPrice: ocoData.stopPrice,
+        price: ocoData.stopLimitPrice
+      });
+
+      // Arm the stop first: if it cannot be armed, the limit leg never
+      // reaches the book
+      await this.armStopOrder(stopOrder);
+      if (stopOrder.status === 'rejected') {
+        await this.rejectOrder(limitOrder, 'OCO stop leg was rejected');
+      } else {
+        await this.executeOrder(limitOrder);
+      }
+
+      await this.processFollowUps(ocoData.symbol);
+
+      const orders = await Order.find({ groupId }).sort({ createdAt: 1, _id: 1 });
+      this.emit('order_processed', { order: limitOrder, result: { groupId, orders } });
+      return { groupId, orders };
+
+    } catch (error) {
+      this.emit('order_error', { orderData: ocoData, error });
+      throw error;
+    }
+  }
+
+  // Create the take-profit and stop-loss legs of a bracket. They close the
+  // entry position, so they sit on the opposite side and wait until the
+  // entry has filled.
+  async createBracketLegs(entry, bracket) {
+    const common = {
+      userId: entry.userId,
+      symbol: entry.symbol,
+      side: entry.side === 'buy' ? 'sell' : 'buy',
+      quantity: entry.quantity,
+      selfTradePrevention: entry.selfTradePrevention,
+      status: 'waiting',
+      groupId: entry.groupId,
+      groupType: 'bracket',
+      parentOrderId: entry.orderId
+    };
+
+    const legs = [];
+    if (bracket.takeProfit) {
+      legs.push(await this.createOrderRecord({
+        ...common,
+        type: 'limit',
+        price: bracket.takeProfit.price
+      }));
+    }
+    if (bracket.stopLoss) {
+      legs.push(await this.createOrderRecord({
+        ...common,
+        type: bracket.stopLoss.price ? 'stop_limit' : 'stop_market',
+        stopPrice: bracket.stopLoss.stopPrice,
+        price: bracket.stopLoss.price
+      }));
+    }
+
+    return legs;
+  }
+
+  queueGroupUpdate(order) {
+    if (order.groupId) {
+      this.groupUpdates.get(order.symbol).add(order.orderId);
+    }
+  }
+
+  // Work through what the last command left behind: group legs to cancel or
+  // arm, and stops crossed by the new last price. Each can cause the other.
+  async processFollowUps(symbol) {
+    const updates = this.groupUpdates.get(symbol);
+    if (!updates) return;
+
+    do {
+      await this.processGroupUpdates(updates);
+      await this.checkStopOrders(symbol);
+    } while (updates.size > 0);
+  }
+
+  async processGroupUpdates(updates) {
+    while (updates.size > 0) {
+      const [orderId] = updates;
+      updates.delete(orderId);
+
+      const order = await Order.findOne({ orderId });
+      if (!order) continue;
+
+      if (order.groupType === 'bracket' && !order.parentOrderId) {
+        await this.updateBracketEntry(order);
+      } else {
+        // A leg filled, triggered, failed or was cancelled by its owner
+        await this.cancelSiblings(order);
+      }
+    }
+  }
+
+  // Once the entry is done, arm its legs for whatever quantity it filled, or
+  // cancel them if it never filled
+  async updateBracketEntry(entry) {
+    if (Order.OPEN_STATUSES.includes(entry.status)) return;
+
+    const legs = await Order.find({ parentOrderId: entry.orderId, status: 'waiting' })
+      .sort({ createdAt: 1, _id: 1 });
+    if (legs.length === 0) return;
+
+    const quantity = toDecimal(entry.filledQuantity).gt(0)
+      ? await this.bracketLegQuantity(entry)
+      : toDecimal(0);
+
+    for (const leg of legs) {
+      if (quantity.gt(0)) {
+        await this.armBracketLeg(leg, quantity.toFixed());
+      } else {
+        await this.cancelOpenOrder(leg, 'Bracket entry was not filled');
+      }
+    }
+  }
+
+  // The legs close what the entry actually credited: its filled quantity
+  // less the fees it paid in the base asset, rounded down to whole lots so
+  // a sell leg never locks more than the account holds
+  async bracketLegQuantity(entry) {
+    const market = this.getMarket(entry.symbol);
+    const trades = await Trade.find({
+      $or: [{ takerOrderId: entry.orderId }, { makerOrderId: entry.orderId }]
+    });
+
+    const fees = trades.reduce((total, trade) => {
+      const role = trade.takerOrderId === entry.orderId ? 'taker' : 'maker';
+      return trade.fee[`${role}FeeCurrency`] === market.base
+        ? total.plus(toDecimal(trade.fee[`${role}Fee`]))
+        : total;
+    }, toDecimal(0));
+
+    const lotSize = toDecimal(market.lotSize);
+    const net = toDecimal(entry.filledQuantity).minus(fees);
+    return Decimal.max(0, net.div(lotSize).floor().times(lotSize));
+  }
+
+  async armBracketLeg(leg, quantity) {
+    leg.quantity = quantity;
+
+    if (STOP_ORDER_TYPES.includes(leg.type)) {
+      // A stop-loss already crossed when the entry fills fires right away
+      // rather than being rejected
+      await this.armStopOrder(leg, { allowCrossed: true });
+      return;
+    }
+
+    leg.status = 'open';
+    try {
+      await this.executeOrder(leg);
+    } catch (error) {
+      this.emit('order_error', { orderData: leg, error });
+    }
+  }
+
+  async cancelSiblings(order) {
+    const filter = {
+      groupId: order.groupId,
+      orderId: { $ne: order.orderId },
+      status: { $in: Order.OPEN_STATUSES }
+    };
+    if (order.parentOrderId) {
+      filter.parentOrderId = order.parentOrderId;
+    }
+
+    const siblings = await Order.find(filter);
+    for (const sibling of siblings) {
+      await this.cancelOpenOrder(sibling, `Cancelled by linked order ${order.orderId}`);
+    }
+
+    if (siblings.length > 0) {
+      this.emitOrderBookUpdate(order.symbol);
+    }
+  }
+
+  // Park a stop order until the last price crosses its stop price. Funds are
+  // only reserved once it triggers and goes through executeOrder.
+  async armStopOrder(order, { allowCrossed = false } = {}) {
+    const orderBook = this.getOrderBook(order.symbol);
+    const triggerBook = this.triggerBooks.get(order.symbol);
+
+    if (!allowCrossed && orderBook.lastPrice.gt(0) &&
+        triggerBook.isTriggeredBy(order, orderBook.lastPrice)) {
+      await this.rejectOrder(order, 'Stop price would trigger immediately');
+      return { order, trades: [], filled: order.filledQuantity };
+    }
+
+    order.status = 'pending';
+    await order.save();
+    triggerBook.add(order);
+
+    this.emitOrderUpdate(order);
+    return { order, trades: [], filled: order.filledQuantity };
+  }
+
+  // Fire every stop crossed by the last traded price. Triggered orders can
+  // trade and move the price again, so repeat until nothing else fires.
+  async checkStopOrders(symbol) {
+    const orderBook = this.getOrderBook(symbol);
+    const triggerBook = this.triggerBooks.get(symbol);
+    if (orderBook.lastPrice.lte(0)) return;
+
+    let triggered = triggerBook.collect(orderBook.lastPrice);
+    while (triggered.length > 0) {
+      for (const entry of triggered) {
+        await this.triggerStopOrder(entry.orderId);
+      }
+      triggered = triggerBook.collect(orderBook.lastPrice);
+    }
+  }
+
+  async triggerStopOrder(orderId) {
+    const order = await Order.findOne({ orderId });
+    if (!order || order.status !== 'pending') return;
+
+    await this.journal.record('trigger', { orderId, symbol: order.symbol });
+
+    order.status = 'triggered';
+    order.triggeredAt = new Date(this.clock.now());
+    await order.save();
+    this.emitOrderUpdate(order);
+
+    // A triggered OCO or bracket leg takes over from its siblings, which
+    // also hands their reservation back before this one is made
+    if (order.groupId) {
+      await this.cancelSiblings(order);
+    }
+
+    // A failed trigger is already recorded on the order by executeOrder and
+    // must not surface as an error of the order whose trade fired it
+    try {
+      const result = await this.executeOrder(order);
+      this.emit('order_processed', { order, result });
+    } catch (error) {
+      this.emit('order_error', { orderData: order, error });
+    }
+  }
+
+  getOrderBook(symbol) {
+    const orderBook = this.orderBooks.get(symbol);
+    if (!orderBook) {
+      throw new Error(`Unsupported trading pair: ${symbol}`);
+    }
+    return orderBook;
+  }
+
+  getMarket(symbol) {
+    const market = this.markets.get(symbol);
+    if (!market) {
+      throw new Error(`Unsupported trading pair: ${symbol}`);
+    }
+    return market;
+  }
+
+  // Check postOnly and FOK against the current book. Returns a rejection
+  // reason, or nothing when the order may proceed (a post-only order in
+  // reprice mode may have had its price moved off the spread).
+  applyExecutionRules(order) {
+    const orderBook = this.getOrderBook(order.symbol);
+
+    if (order.postOnly && orderBook.bestMatch(order.side, order.price)) {
+      if (order.postOnlyMode !== 'reprice') {
+        return 'Post-only order would take liquidity';
+      }
+
+      const tickSize = toDecimal(this.getMarket(order.symbol).tickSize);
+      const price = order.side === 'buy'
+        ? orderBook.bestAsk().minus(tickSize)
+        : orderBook.bestBid().plus(tickSize);
+
+      if (price.lte(0)) {
+        return 'Post-only order could not be repriced';
+      }
+      order.price = price.toFixed();
+    }
+
+    if (order.timeInForce === 'FOK') {
+      const limitPrice = order.type === 'market' || order.type === 'stop_market'
+        ? undefined
+        : order.price;
+      if (this.previewFill(order, orderBook, limitPrice).lt(toDecimal(order.quantity))) {
+        return 'Fill-or-kill order could not be filled completely';
+      }
+    }
+
+    return null;
+  }
+
+  async processLimitOrder(order) {
+    const orderBook = this.getOrderBook(order.symbol);
+    const { trades, prevented, takerCancelled } = await this.matchAndSettle(order, orderBook, order.price);
+    const remainingQuantity = toDecimal(order.remainingQuantity);
+
+    if (remainingQuantity.gt(0) && (takerCancelled || order.timeInForce !== 'GTC')) {
+      // IOC (and a FOK beaten to the book) expires instead of resting, as
+      // does an order stopped by self-trade prevention
+      order.status = 'cancelled';
+      order.statusReason = takerCancelled
+        ? SELF_TRADE_REASON
+        : `Unfilled quantity expired (${order.timeInForce})`;
+      await this.releaseFunds(order);
+      await order.save();
+      this.queueGroupUpdate(order);
+    } else if (remainingQuantity.gt(0)) {
+      // Rest the unfilled remainder behind existing orders at the same price
+      orderBook.add({
+        orderId: order.orderId,
+        userId: order.userId,
+        side: order.side,
+        price: order.price,
+        remaining: remainingQuantity,
+        timestamp: order.queuedAt || order.triggeredAt || order.createdAt
+      });
+    }
+
+    // Emit order book update
+    this.emitOrderBookUpdate(order.symbol);
+
+    return {
+      order, trades, filled: order.filledQuantity, selfTradePrevented: prevented
+    };
+  }
+
+  async processMarketOrder(order, priceLimit) {
+    const orderBook = this.getOrderBook(order.symbol);
+    const { trades, prevented, takerCancelled } = await this.matchAndSettle(order, orderBook, priceLimit);
+
+    // Market orders never rest: expire whatever did not fill
+    if (toDecimal(order.remainingQuantity).gt(0)) {
+      order.status = 'cancelled';
+      order.statusReason = takerCancelled
+        ? SELF_TRADE_REASON
+        : 'Unfilled quantity expired (insufficient liquidity)';
+      this.queueGroupUpdate(order);
+    }
+    await this.releaseFunds(order);
+    await order.save();
+
+    this.emitOrderBookUpdate(order.symbol);
+    return {
+      order, trades, filled: order.filledQuantity, selfTradePrevented: prevented
+    };
+  }
+
+  // By the time settlement runs, matchOrder has already changed the book,
+  // the last price and the 24h stats. If it fails, nothing was persisted:
+  // the book is put back the way the database has it, without the taker,
+  // which the caller rejects, and the market data as it was before the
+  // match. The taker also loses the fills that were never persisted, so the
+  // rejection only releases what is really still reserved.
+  async matchAndSettle(order, orderBook, limitPrice) {
+    const { lastPrice } = orderBook;
+    const stats = orderBook.stats.clone();
+    const { events, takerCancelled } = this.matchOrder(order, orderBook, limitPrice);
+
+    try {
+      const settled = await this.settleMatch(order, events);
+      return { ...settled, takerCancelled };
+    } catch (error) {
+      await this.rebuildOrderBook(order.symbol);
+      orderBook.remove(order.orderId);
+      orderBook.lastPrice = lastPrice;
+      orderBook.stats = stats;
+      await this.reloadOrder(order);
+      throw error;
+    }
+  }
+
+  async rebuildOrderBook(symbol) {
+    const orderBook = this.getOrderBook(symbol);
+    const entries = await Order.getRestingEntries(symbol);
+
+    orderBook.restore({
+      sequence: orderBook.sequence + 1,
+      bids: entries.filter(entry => entry.side === 'buy'),
+      asks: entries.filter(entry => entry.side === 'sell')
+    });
+    this.emitOrderBookUpdate(symbol);
+  }
+
+  async reloadOrder(order) {
+    const stored = await Order.findOne({ orderId: order.orderId })
+      .select('quantity filledQuantity filledValue averageFillPrice preventedQuantity lockedAmount');
+    if (!stored) return;
+
+    ['quantity', 'filledQuantity', 'filledValue', 'averageFillPrice', 'preventedQuantity', 'lockedAmount']
+      .forEach(field => { order[field] = stored[field]; });
+  }
+
+  // Walk the opposite side best price first, oldest order first within a
+  // price level, until the taker is filled or no resting order crosses.
+  // Only the book and its market data change here, without awaiting
+  // anything; the fills and self-trade outcomes are returned in the order
+  // they happened for settleMatch to persist. Resting orders of the taker's
+  // own account go through self-trade prevention instead of trading;
+  // takerCancelled tells the caller to drop the taker's remainder.
+  matchOrder(order, orderBook, limitPrice) {
+    let remainingQuantity = toDecimal(order.remainingQuantity);
+    const events = [];
+    let takerCancelled = false;
+
+    while (remainingQuantity.gt(0)) {
+      const maker = orderBook.bestMatch(order.side, limitPrice);
+      if (!maker) break;
+
+      const event = {
+        makerOrderId: maker.orderId,
+        makerUserId: maker.userId,
+        price: maker.price,
+        quantity: Decimal.min(remainingQuantity, maker.remaining)
+      };
+
+      if (this.isSelfTrade(order, maker)) {
+        event.selfTrade = this.preventSelfTrade(order, maker, event.quantity, orderBook);
+        events.push(event);
+
+        if (event.selfTrade.decrement) {
+          remainingQuantity = remainingQuantity.minus(event.quantity);
+        }
+        if (event.selfTrade.takerCancelled || (event.selfTrade.decrement && remainingQuantity.isZero())) {
+          takerCancelled = true;
+          break;
+        }
+        continue;
+      }
+
+      orderBook.fill(maker.orderId, event.quantity);
+      this.updateMarketData(orderBook, event.price, event.quantity, this.clock.now());
+      events.push(event);
+
+      remainingQuantity = remainingQuantity.minus(event.quantity);
+    }
+
+    return { events, takerCancelled };
+  }
+
+  // How much of the order would trade if it were matched now, walking the
+  // book the way matchOrder does. The taker's own resting orders never
+  // trade: cancel_oldest matching carries on past them, decrement_and_cancel
+  // gives up the overlapping quantity, and the other modes stop the taker.
+  previewFill(order, orderBook, limitPrice) {
+    const side = orderBook.oppositeSideFor(order.side);
+    let remainingQuantity = toDecimal(order.remainingQuantity);
+    let filled = toDecimal(0);
+
+    for (const price of side.prices) {
+      if (!orderBook.crosses(order.side, price, limitPrice)) break;
+
+      for (const entry of side.level(price).orders) {
+        if (remainingQuantity.isZero()) return filled;
+
+        const quantity = Decimal.min(remainingQuantity, entry.remaining);
+        if (this.isSelfTrade(order, entry)) {
+          if (order.selfTradePrevention === 'cancel_oldest') continue;
+          if (order.selfTradePrevention !== 'decrement_and_cancel') return filled;
+        } else {
+          filled = filled.plus(quantity);
+        }
+        remainingQuantity = remainingQuantity.minus(quantity);
+      }
+    }
+
+    return filled;
+  }
+
+  isSelfTrade(order, maker) {
+    return order.selfTradePrevention && order.selfTradePrevention !== 'none' &&
+      String(maker.userId) === String(order.userId);
+  }
+
+  // The taker's mode decides what happens when it meets its own resting
+  // order: cancel_newest drops the taker, cancel_oldest the resting order,
+  // cancel_both both of them, and decrement_and_cancel takes the smaller
+  // quantity off both and cancels whichever has nothing left. Only the book
+  // changes here; settleMatch does the rest.
+  preventSelfTrade(order, maker, quantity, orderBook) {
+    const mode = order.selfTradePrevention;
+    const outcome = {
+      report: {
+        mode,
+        makerOrderId: maker.orderId,
+        quantity: quantity.toFixed(),
+        price: maker.price.toFixed()
+      },
+      takerCancelled: ['cancel_newest', 'cancel_both'].includes(mode),
+      cancelMaker: ['cancel_oldest', 'cancel_both'].includes(mode),
+      decrement: mode === 'decrement_and_cancel'
+    };
+
+    if (outcome.cancelMaker) {
+      orderBook.remove(maker.orderId);
+    } else if (outcome.decrement) {
+      orderBook.fill(maker.orderId, quantity);
+    }
+
+    return outcome;
+  }
+
+  // Persist what matchOrder did, in the same order: trades with their fees,
+  // the fills on both orders and the balance settlements, and self-trade
+  // cancels and decrements. Maker orders are read in one query, fee rates
+  // once per account, and trades and orders are written in bulk. All
+  // writes go through one transaction, so a failure leaves the database as
+  // it was before the match; events are only emitted once it commits.
+  async settleMatch(order, events) {
+    if (events.length === 0) {
+      return { trades: [], prevented: [] };
+    }
+
+    const market = this.getMarket(order.symbol);
+    const makerOrders = await Order.find({ orderId: { $in: events.map(event => event.makerOrderId) } });
+    const makers = new Map(makerOrders.map(makerOrder => [makerOrder.orderId, makerOrder]));
+    const rates = await this.loadFeeRates(order, events);
+    const fills = [];
+    const prevented = [];
+    const releases = [];
+
+    // Apply everything to the orders in memory first, so that a retried
+    // transaction only repeats the writes
+    for (const event of events) {
+      const makerOrder = makers.get(event.makerOrderId) || null;
+      if (event.selfTrade) {
+        prevented.push(event.selfTrade.report);
+        releases.push(...this.applySelfTradePrevention(order, makerOrder, event));
+      } else {
+        fills.push(this.createFill(order, makerOrder, event, rates, market));
+      }
+    }
+
+    const orders = [order, ...makerOrders];
+    try {
+      await mongoose.connection.transaction(async (session) => {
+        // Tracked by the session, so a retry saves the orders again
+        orders.forEach(doc => doc.$session(session));
+
+        for (const release of releases) {
+          await Wallet.unlockFunds(release.order.userId, release.order.lockCurrency, release.amount, {
+            orderId: release.order.orderId,
+            description: release.description
+          });
+        }
+
+        await Trade.insertMany(fills.map(fill => fill.trade));
+        await Order.bulkSave(orders);
+
+        for (const fill of fills) {
+          await this.updateBalances(order, fill.trade, fill.takerReleased, fill.takerFee);
+          if (fill.makerOrder) {
+            await this.updateBalances(fill.makerOrder, fill.trade, fill.makerReleased, fill.makerFee);
+          }
+        }
+      });
+    } finally {
+      orders.forEach(doc => doc.$session(null));
+    }
+
+    for (const event of events.filter(matched => matched.selfTrade)) {
+      this.reportSelfTradePrevention(order, makers.get(event.makerOrderId) || null, event);
+    }
+
+    for (const fill of fills) {
+      const notional = toDecimal(fill.trade.price).times(toDecimal(fill.trade.quantity));
+      FeeService.addVolume(order.userId, notional);
+      FeeService.addVolume(fill.trade.makerUserId, notional);
+
+      this.queueGroupUpdate(order);
+      if (fill.makerOrder) {
+        this.queueGroupUpdate(fill.makerOrder);
+        this.emitOrderUpdate(fill.makerOrder);
+      }
+      this.emit('trade_executed', fill.trade);
+    }
+
+    return { trades: fills.map(fill => fill.trade), prevented };
+  }
+
+  // Fee rates of the taker and of every maker it traded with, as they stood
+  // before this match
+  async loadFeeRates(order, events) {
+    const makerUserIds = Array.from(new Set(events
+      .filter(event => !event.selfTrade)
+      .map(event => String(event.makerUserId))));
+
+    const [taker, ...makerRates] = await Promise.all([
+      FeeService.getRate(order.userId, order.symbol, 'taker'),
+      ...makerUserIds.map(userId => FeeService.getRate(userId, order.symbol, 'maker'))
+    ]);
+
+    return { taker, makers: new Map(makerUserIds.map((userId, index) => [userId, makerRates[index]])) };
+  }
+
+  // Build the trade for one fill and apply it to both orders in memory,
+  // taking each side's share of its reservation
+  createFill(order, makerOrder, event, rates, market) {
+    const { price, quantity } = event;
+    const makerSide = order.side === 'buy' ? 'sell' : 'buy';
+    const makerRate = rates.makers.get(String(event.makerUserId));
+    const takerFee = FeeService.calculateFee(order.side, quantity, price, rates.taker, market);
+    const makerFee = FeeService.calculateFee(makerSide, quantity, price, makerRate, market);
+
+    const trade = new Trade({
+      tradeId: this.generateTradeId(),
+      timestamp: new Date(this.clock.now()),
+      symbol: order.symbol,
+      price: price.toFixed(),
+      quantity: quantity.toFixed(),
+      side: order.side,
+      takerOrderId: order.orderId,
+      makerOrderId: event.makerOrderId,
+      takerUserId: order.userId,
+      makerUserId: event.makerUserId,
+      fee: {
+        makerFee: makerFee.amount.toFixed(),
+        makerFeeRate: makerRate.toFixed(),
+        makerFeeCurrency: makerFee.currency,
+        takerFee: takerFee.amount.toFixed(),
+        takerFeeRate: rates.taker.toFixed(),
+        takerFeeCurrency: takerFee.currency
+      }
+    });
+
+    const takerReleased = this.releaseForFill(order, quantity);
+    order.fill(quantity, price, market.quotePrecision);
+
+    let makerReleased = null;
+    if (makerOrder) {
+      makerReleased = this.releaseForFill(makerOrder, quantity);
+      makerOrder.fill(quantity, price, market.quotePrecision);
+    }
+
+    return {
+      trade, takerReleased, takerFee, makerOrder, makerReleased, makerFee
+    };
+  }
+
+  // Apply a self-trade cancel or decrement to the orders in memory and
+  // return the reservations it hands back, for settleMatch to unlock
+  applySelfTradePrevention(order, makerOrder, event) {
+    const { cancelMaker, decrement } = event.selfTrade;
+    const releases = [];
+
+    if (makerOrder && cancelMaker) {
+      releases.push({ order: makerOrder, amount: makerOrder.lockedAmount });
+      makerOrder.status = 'cancelled';
+      makerOrder.statusReason = SELF_TRADE_REASON;
+      makerOrder.lockedAmount = '0';
+    }
+
+    if (decrement) {
+      if (makerOrder) {
+        releases.push(this.decrementOrder(makerOrder, event.quantity));
+      }
+      releases.push(this.decrementOrder(order, event.quantity));
+    }
+
+    return releases.filter(release => toDecimal(release.amount).gt(0));
+  }
+
+  reportSelfTradePrevention(order, makerOrder, event) {
+    const { report, cancelMaker, decrement } = event.selfTrade;
+
+    if (makerOrder && (cancelMaker || decrement)) {
+      this.queueGroupUpdate(makerOrder);
+      this.emitOrderUpdate(makerOrder, { selfTradePrevented: [report] });
+    }
+    if (decrement && order.status === 'cancelled') {
+      this.queueGroupUpdate(order);
+    }
+  }
+
+  // Take quantity off an order without trading it and return its share of
+  // the reservation to unlock. An order left with nothing to fill is
+  // cancelled. Callers save the order.
+  decrementOrder(order, quantity) {
+    const released = this.releaseForFill(order, quantity);
+
+    order.quantity = toDecimal(order.quantity).minus(quantity).toFixed();
+    order.preventedQuantity = toDecimal(order.preventedQuantity).plus(quantity).toFixed();
+
+    if (!toDecimal(order.remainingQuantity).gt(0)) {
+      order.status = 'cancelled';
+      order.statusReason = SELF_TRADE_REASON;
+    }
+
+    return { order, amount: released.toFixed(), description: 'Self-trade prevention' };
+  }
+
+  // Mode given on the order, else the account's default
+  async resolveSelfTradePrevention(orderData) {
+    if (orderData.selfTradePrevention) {
+      return orderData.selfTradePrevention;
+    }
+
+    const user = await User.findById(orderData.userId).select('selfTradePrevention');
+    return (user && user.selfTradePrevention) || 'none';
+  }
+
+  // Settle one side of a fill. The fee comes out of what that side receives
+  // and goes to the exchange fee account.
+  async updateBalances(order, trade, released, fee) {
+    const [baseCurrency, quoteCurrency] = trade.symbol.split('/');
+    const cost = toDecimal(trade.quantity).times(toDecimal(trade.price));
+    const reference = { orderId: order.orderId, tradeId: trade.tradeId };
+
+    if (order.side === 'buy') {
+      // Buyer: pay quote currency out of the reservation, receive base currency
+      await Wallet.settleLocked(
+        order.userId,
+        { currency: quoteCurrency, released, spent: cost },
+        { currency: baseCurrency, amount: trade.quantity, fee: fee.amount },
+        reference
+      );
+    } else {
+      // Seller: pay base currency out of the reservation, receive quote currency
+      await Wallet.settleLocked(
+        order.userId,
+        { currency: baseCurrency, released, spent: trade.quantity },
+        { currency: quoteCurrency, amount: cost, fee: fee.amount },
+        reference
+      );
+    }
+  }
+
+  // Lock what the order may spend: quote currency for buys (price x
+  // quantity), base currency for sells. Fees are taken from the asset
+  // received, so they need no reservation. Market buys are priced at the
+  // worst level they would reach on the current book and are not matched
+  // beyond it, so the reservation always covers the fills.
+  async reserveFunds(order) {
+    const quantity = toDecimal(order.quantity);
+    let amount = quantity;
+    let priceLimit;
+
+    if (order.side === 'buy') {
+      priceLimit = toDecimal(order.price);
+
+      if (order.type === 'market' || order.type === 'stop_market') {
+        const preview = this.getOrderBook(order.symbol).previewMatch('buy', quantity);
+        if (preview.filled.isZero()) {
+          throw new Error('Insufficient liquidity');
+        }
+        priceLimit = preview.worstPrice;
+      }
+
+      amount = roundUp(quantity.times(priceLimit), this.getMarket(order.symbol).quotePrecision);
+    }
+
+    await Wallet.lockFunds(order.userId, order.lockCurrency, amount, { orderId: order.orderId });
+    order.lockedAmount = amount.toFixed();
+    await order.save();
+
+    return { amount, priceLimit };
+  }
+
+  // Part of the reservation a fill uses up. Sells lock exactly the quantity;
+  // buys free their share pro rata, and the last fill takes whatever is left
+  // so nothing stays stranded.
+  releaseForFill(order, quantity) {
+    const fillQuantity = toDecimal(quantity);
+    const remainingQuantity = toDecimal(order.remainingQuantity);
+    const lockedAmount = toDecimal(order.lockedAmount);
+    let released = lockedAmount;
+
+    if (fillQuantity.lt(remainingQuantity)) {
+      released = order.side === 'sell'
+        ? fillQuantity
+        : roundDown(
+          lockedAmount.times(fillQuantity).div(remainingQuantity),
+          this.getMarket(order.symbol).quotePrecision
+        );
+    }
+
+    order.lockedAmount = Decimal.max(0, lockedAmount.minus(released)).toFixed();
+    return released;
+  }
+
+  // Return an order's remaining reservation to available. Callers save the
+  // order.
+  async releaseFunds(order) {
+    if (toDecimal(order.lockedAmount).gt(0)) {
+      await Wallet.unlockFunds(order.userId, order.lockCurrency, order.lockedAmount, {
+        orderId: order.orderId
+      });
+      order.lockedAmount = '0';
+    }
+  }
+
+  async rejectOrder(order, reason) {
+    await this.releaseFunds(order);
+    order.status = toDecimal(order.filledQuantity).gt(0) ? 'cancelled' : 'rejected';
+    order.statusReason = reason;
+    await order.save();
+    this.queueGroupUpdate(order);
+    this.emitOrderUpdate(order);
+  }
+
+  async applyCancelOrder(orderId, userId) {
+    const order = await Order.findOne({ orderId, userId });
+
+    if (!order) {
+      const error = new Error('Order not found');
+      error.status = 404;
+      throw error;
+    }
+
+    if (!Order.OPEN_STATUSES.includes(order.status)) {
+      const error = new Error('Only open orders can be cancelled');
+      error.status = 400;
+      throw error;
+    }
+
+    await this.cancelOpenOrder(order);
+    this.emitOrderBookUpdate(order.symbol);
+
+    // Cancelling one part of an OCO or bracket takes the rest of it along
+    this.queueGroupUpdate(order);
+    await this.processFollowUps(order.symbol);
+
+    return order;
+  }
+
+  async applyCancelAll(userId, symbol) {
+    const filter = { userId, status: { $in: Order.OPEN_STATUSES } };
+    if (symbol) filter.symbol = symbol.toUpperCase();
+
+    const orders = await Order.find(filter).sort({ createdAt: 1, _id: 1 });
+    const symbols = new Set();
+
+    for (const order of orders) {
+      await this.cancelOpenOrder(order);
+      symbols.add(order.symbol);
+    }
+
+    symbols.forEach(orderSymbol => this.emitOrderBookUpdate(orderSymbol));
+    return orders;
+  }
+
+  // Change the price and/or quantity of an order resting on the book. Only
+  // reducing the quantity at the same price keeps its place in the queue;
+  // anything else takes it off the book and sends it through matching again
+  // as if newly placed, so a price that now crosses trades right away. The
+  // reservation is topped up first, so an amend the balance cannot cover
+  // changes nothing.
+  async applyAmendOrder({
+    orderId, userId, price, quantity
+  }) {
+    const order = await Order.findOne({ orderId, userId });
+    if (!order) {
+      const error = new Error('Order not found');
+      error.status = 404;
+      throw error;
+    }
+
+    const orderBook = this.getOrderBook(order.symbol);
+    const validation = this.validateAmend(order, orderBook, { price, quantity });
+    if (!validation.valid) {
+      const error = new Error(validation.error);
+      error.status = 400;
+      throw error;
+    }
+
+    const previous = { price: order.price, quantity: order.quantity, remaining: toDecimal(order.remainingQuantity) };
+    order.price = toDecimal(price || order.price).toFixed();
+    order.quantity = toDecimal(quantity || order.quantity).toFixed();
+    const keptPriority = toDecimal(order.price).eq(toDecimal(previous.price)) &&
+      toDecimal(order.quantity).lte(toDecimal(previous.quantity));
+
+    if (keptPriority) {
+      // Take the reduction off in place, as a fill would, then hand back
+      // what the smaller order no longer needs
+      orderBook.fill(order.orderId, previous.remaining.minus(toDecimal(order.remainingQuantity)));
+      await this.adjustReservation(order);
+      await order.save();
+
+      this.emitOrderUpdate(order, { amended: true, keptPriority });
+      this.emitOrderBookUpdate(order.symbol);
+      return {
+        order, trades: [], filled: order.filledQuantity, keptPriority
+      };
+    }
+
+    const rejection = this.applyExecutionRules(order);
+    if (rejection) {
+      Object.assign(order, { price: previous.price, quantity: previous.quantity });
+      const error = new Error(rejection);
+      error.status = 400;
+      throw error;
+    }
+
+    try {
+      await this.adjustReservation(order);
+    } catch (error) {
+      Object.assign(order, { price: previous.price, quantity: previous.quantity });
+      error.status = 400;
+      throw error;
+    }
+
+    orderBook.remove(order.orderId);
+    order.queuedAt = new Date(this.clock.now());
+    await order.save();
+
+    // An amend that fails half way leaves the order off the book, so it is
+    // rejected with its reservation handed back, as a new order would be
+    let result;
+    try {
+      result = await this.processLimitOrder(order);
+    } catch (error) {
+      await this.rejectOrder(order, error.message);
+      throw error;
+    } finally {
+      await this.processFollowUps(order.symbol);
+    }
+
+    this.emitOrderUpdate(order, { amended: true, keptPriority, selfTradePrevented: result.selfTradePrevented });
+    return { ...result, keptPriority };
+  }
+
+  // An amend must leave a valid order: a limit order on the book, outside an
+  // OCO or bracket, at a price and quantity the market accepts, and with
+  // more quantity than has already filled
+  validateAmend(order, orderBook, { price, quantity }) {
+    if (!orderBook.get(order.orderId)) {
+      return { valid: false, error: 'Only orders resting on the book can be amended' };
+    }
+
+    if (order.groupId) {
+      return { valid: false, error: 'Orders in an OCO or bracket group cannot be amended' };
+    }
+
+    if (price === undefined && quantity === undefined) {
+      return { valid: false, error: 'Amend requires a price or a quantity' };
+    }
+
+    const market = this.markets.get(order.symbol);
+    const tradable = this.validateMarket(order.symbol, market);
+    if (!tradable.valid) {
+      return tradable;
+    }
+
+    const amended = {
+      price: price === undefined ? order.price : price,
+      quantity: quantity === undefined ? order.quantity : quantity
+    };
+    const amounts = this.validateAmounts(amended, market);
+    if (!amounts.valid) {
+      return amounts;
+    }
+
+    if (!toDecimal(amended.price).gt(0)) {
+      return { valid: false, error: 'Limit orders require positive price' };
+    }
+
+    if (!toDecimal(amended.quantity).gt(toDecimal(order.filledQuantity))) {
+      return { valid: false, error: `Quantity must be above the filled quantity of ${order.filledQuantity}` };
+    }
+
+    if (toDecimal(amended.price).eq(toDecimal(order.price)) &&
+        toDecimal(amended.quantity).eq(toDecimal(order.quantity))) {
+      return { valid: false, error: 'Amend does not change the order' };
+    }
+
+    return this.validateNotional(amended, market);
+  }
+
+  // Lock or release the difference between what an order holds and what its
+  // remaining quantity needs at its current price. Callers save the order.
+  async adjustReservation(order) {
+    const remaining = toDecimal(order.remainingQuantity);
+    const required = order.side === 'buy'
+      ? roundUp(remaining.times(toDecimal(order.price)), this.getMarket(order.symbol).quotePrecision)
+      : remaining;
+    const difference = required.minus(toDecimal(order.lockedAmount));
+    const reference = { orderId: order.orderId, description: 'Order amended' };
+
+    if (difference.gt(0)) {
+      await Wallet.lockFunds(order.userId, order.lockCurrency, difference, reference);
+    } else if (difference.lt(0)) {
+      await Wallet.unlockFunds(order.userId, order.lockCurrency, difference.neg(), reference);
+    }
+
+    order.lockedAmount = required.toFixed();
+  }
+
+  // Pull the exact resting order off its price level before anything is
+  // awaited, so it cannot be matched while the cancel is persisted
+  async cancelOpenOrder(order, reason = 'Cancelled by user', details = {}) {
+    const orderBook = this.orderBooks.get(order.symbol);
+    if (orderBook) {
+      orderBook.remove(order.orderId);
+      this.triggerBooks.get(order.symbol).remove(order.orderId);
+    }
+
+    // Return the order's reservation to available balance
+    order.status = 'cancelled';
+    order.statusReason = reason;
+    await this.releaseFunds(order);
+    await order.save();
+
+    this.emitOrderUpdate(order, details);
+  }
+
+  validateOrder(orderData) {
+    const required = ['userId', 'symbol', 'type', 'side', 'quantity'];
+    const missing = required.filter(field => !orderData[field]);
+    
+    if (missing.length > 0) {
+      return { valid: false, error: `Missing required fields: ${missing.join(', ')}` };
+    }
+
+    const market = this.markets.get(orderData.symbol);
+    const tradable = this.validateMarket(orderData.symbol, market);
+    if (!tradable.valid) {
+      return tradable;
+    }
+
+    const amounts = this.validateAmounts(orderData, market);
+    if (!amounts.valid) {
+      return amounts;
+    }
+
+    if (!toDecimal(orderData.quantity).gt(0)) {
+      return { valid: false, error: 'Quantity must be positive' };
+    }
+
+    if (['limit', 'stop_limit'].includes(orderData.type) && !toDecimal(orderData.price).gt(0)) {
+      return { valid: false, error: 'Limit orders require positive price' };
+    }
+
+    if (STOP_ORDER_TYPES.includes(orderData.type) && !toDecimal(orderData.stopPrice).gt(0)) {
+      return { valid: false, error: 'Stop orders require positive stop price' };
+    }
+
+    const notional = this.validateNotional(orderData, market);
+    if (!notional.valid) {
+      return notional;
+    }
+
+    if (orderData.bracket) {
+      return this.validateBracket(orderData);
+    }
+
+    return { valid: true };
+  }
+
+  // New orders are only accepted while the market is trading; cancels are
+  // still allowed when it is halted or delisted
+  validateMarket(symbol, market) {
+    if (!market) {
+      return { valid: false, error: `Unsupported trading pair: ${symbol}` };
+    }
+
+    if (market.status !== 'trading') {
+      return { valid: false, error: `Market ${symbol} is ${market.status}` };
+    }
+
+    return { valid: true };
+  }
+
+  // Amounts must be decimal numbers within the market's precision and whole
+  // multiples of its tick and lot size; anything else is rejected instead of
+  // silently rounded
+  validateAmounts(data, market) {
+    const rules = {
+      quantity: { places: market.quantityPrecision, step: market.lotSize, unit: 'lot size' },
+      price: { places: market.pricePrecision, step: market.tickSize, unit: 'tick size' },
+      stopPrice: { places: market.pricePrecision, step: market.tickSize, unit: 'tick size' },
+      stopLimitPrice: { places: market.pricePrecision, step: market.tickSize, unit: 'tick size' }
+    };
+
+    for (const [field, rule] of Object.entries(rules)) {
+      if (data[field] === undefined || data[field] === null) continue;
+
+      let value;
+      try {
+        value = toDecimal(data[field]);
+      } catch (error) {
+        return { valid: false, error: `${field} must be a number` };
+      }
+
+      if (!value.isFinite() || value.decimalPlaces() > rule.places) {
+        return { valid: false, error: `${field} allows at most ${rule.places} decimals on ${market.symbol}` };
+      }
+
+      if (!value.mod(toDecimal(rule.step)).isZero()) {
+        return { valid: false, error: `${field} must be a multiple of the ${rule.unit} ${rule.step} on ${market.symbol}` };
+      }
+    }
+
+    if (data.quantity !== undefined && data.quantity !== null) {
+      const quantity = toDecimal(data.quantity);
+      if (quantity.lt(toDecimal(market.minQuantity))) {
+        return { valid: false, error: `Quantity is below the minimum of ${market.minQuantity} on ${market.symbol}` };
+      }
+      if (market.maxQuantity && quantity.gt(toDecimal(market.maxQuantity))) {
+        return { valid: false, error: `Quantity is above the maximum of ${market.maxQuantity} on ${market.symbol}` };
+      }
+    }
+
+    return { valid: true };
+  }
+
+  // Order value must reach the market's minimum notional. Limit orders are
+  // valued at their price, stop-market orders at their stop price and market
+  // orders at the last trade price (skipped before the first trade).
+  validateNotional(data, market) {
+    let price = data.price || data.stopPrice;
+    if (!price) {
+      const lastPrice = this.getOrderBook(market.symbol).lastPrice;
+      if (!lastPrice.gt(0)) {
+        return { valid: true };
+      }
+      price = lastPrice;
+    }
+
+    if (toDecimal(price).times(toDecimal(data.quantity)).lt(toDecimal(market.minNotional))) {
+      return { valid: false, error: `Order value is below the minimum notional of ${market.minNotional} on ${market.symbol}` };
+    }
+
+    return { valid: true };
+  }
+
+  generateOrderId() {
+    return this.clock.nextId('ORD');
+  }
+
+  validateOcoOrder(ocoData) {
+    const required = ['userId', 'symbol', 'side', 'quantity', 'price', 'stopPrice'];
+    const missing = required.filter(field => !ocoData[field]);
+
+    if (missing.length > 0) {
+      return { valid: false, error: `Missing required fields: ${missing.join(', ')}` };
+    }
+
+    const market = this.markets.get(ocoData.symbol);
+    const tradable = this.validateMarket(ocoData.symbol, market);
+    if (!tradable.valid) {
+      return tradable;
+    }
+
+    const amounts = this.validateAmounts(ocoData, market);
+    if (!amounts.valid) {
+      return amounts;
+    }
+
+    // Both legs carry the full quantity, so both must reach the minimum
+    for (const price of [ocoData.price, ocoData.stopLimitPrice || ocoData.stopPrice]) {
+      const notional = this.validateNotional({ price, quantity: ocoData.quantity }, market);
+      if (!notional.valid) {
+        return notional;
+      }
+    }
+
+    // The limit leg takes profit and the stop leg limits loss, so they must
+    // sit on opposite sides of the market
+    const price = toDecimal(ocoData.price);
+    if ((ocoData.side === 'sell' && price.lte(toDecimal(ocoData.stopPrice))) ||
+        (ocoData.side === 'buy' && price.gte(toDecimal(ocoData.stopPrice)))) {
+      return { valid: false, error: 'OCO limit price must be on the profit side of the stop price' };
+    }
+
+    return { valid: true };
+  }
+
+  validateBracket(orderData) {
+    const { bracket } = orderData;
+    if (!bracket.takeProfit && !bracket.stopLoss) {
+      return { valid: false, error: 'Bracket requires a take-profit or a stop-loss' };
+    }
+
+    const market = this.markets.get(orderData.symbol);
+    const legs = [bracket.takeProfit, bracket.stopLoss].filter(Boolean);
+    for (const leg of legs) {
+      const amounts = this.validateAmounts(leg, market);
+      if (!amounts.valid) {
+        return amounts;
+      }
+    }
+
+    if (bracket.takeProfit && bracket.stopLoss) {
+      const price = toDecimal(bracket.takeProfit.price);
+      const stopPrice = toDecimal(bracket.stopLoss.stopPrice);
+      if ((orderData.side === 'buy' && price.lte(stopPrice)) ||
+          (orderData.side === 'sell' && price.gte(stopPrice))) {
+        return { valid: false, error: 'Take-profit price must be on the profit side of the stop-loss' };
+      }
+    }
+
+    return { valid: true };
+  }
+
+  generateGroupId() {
+    return this.clock.nextId('GRP');
+  }
+
+  generateTradeId() {
+    return this.clock.nextId('TRD');
+  }
+
+  emitOrderBookUpdate(symbol) {
+    const orderBook = this.orderBooks.get(symbol);
+    this.emit('orderbook_update', { symbol, orderBook });
+  }
+
+  emitOrderUpdate(order, details = {}) {
+    this.emit('order_update', {
+      orderId: order.orderId,
+      userId: order.userId,
+      symbol: order.symbol,
+      side: order.side,
+      status: order.status,
+      quantity: order.quantity,
+      filledQuantity: order.filledQuantity,
+      averageFillPrice: order.averageFillPrice,
+      reason: order.statusReason,
+      ...details
+    });
+  }
+
+  updateMarketData(orderBook, price, quantity, timestamp) {
+    orderBook.recordTrade(price, quantity, timestamp);
+  }
+
+  // Rebuild last prices and the rolling 24h stats from stored trades, e.g.
+  // after a restart
+  async restoreMarketData() {
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+    for (const [symbol, orderBook] of this.orderBooks) {
+      const lastTrade = await Trade.findOne({ symbol }).sort({ timestamp: -1 });
+      if (!lastTrade) continue;
+
+      const trades = Trade.find({ symbol, timestamp: { $gte: since } }).sort({ timestamp: 1 }).cursor();
+      for await (const trade of trades) {
+        orderBook.recordTrade(trade.price, trade.quantity, trade.timestamp);
+      }
+      orderBook.lastPrice = toDecimal(lastTrade.price);
+    }
+  }
+
+  async createOrderRecord(orderData) {
+    const order = new Order({
+      orderId: this.generateOrderId(),
+      ...orderData
+    });
+    
+    try {
+      await order.save();
+    } catch (error) {
+      // Another working order took the client order ID first
+      if (error.code === 11000 && error.keyPattern && error.keyPattern.clientOrderId) {
+        throw clientOrderIdInUse();
+      }
+      throw error;
+    }
+    return order;
+  }
+
+  // The order last placed under the submission's client order ID, when the
+  // submission is a retry of it: the same kind of order, sent while it is
+  // still working or shortly after it finished. Price and quantity are not
+  // compared since amends and post-only repricing change them. Any other
+  // order under the ID of a working one is refused.
+  async findRetriedOrder(orderData, groupType = null) {
+    if (!orderData.clientOrderId) return null;
+
+    const order = await Order.findOne({ userId: orderData.userId, clientOrderId: orderData.clientOrderId })
+      .sort({ createdAt: -1, _id: -1 });
+    if (!order) return null;
+
+    const open = Order.OPEN_STATUSES.includes(order.status);
+    if (this.isSameOrder(order, orderData, groupType)) {
+      return open || this.clock.now() - order.createdAt.getTime() <= CLIENT_ORDER_RETRY_MS ? order : null;
+    }
+
+    if (open) {
+      throw clientOrderIdInUse();
+    }
+    return null;
+  }
+
+  isSameOrder(order, orderData, groupType = null) {
+    return order.symbol === String(orderData.symbol).toUpperCase()
+      && order.side === orderData.side
+      && order.type === orderData.type
+      && (order.groupType || null) === groupType;
+  }
+}
+
 module.exports = new TradingEngine();
\ No newline at end of file
@@ -0,0 +1,78 @@
+const { toDecimal } = require('../utils/decimal');
+
+// Untriggered stop orders for one symbol. Buy stops fire when the last
+// price rises to their stop price, sell stops when it falls to it.
+class TriggerBook {
+  constructor(symbol) {
+    this.symbol = symbol;
+    this.buys = []; // sorted by stop price low to high
+    this.sells = []; // sorted by stop price high to low
+    this.orders = new Map(); // orderId -> entry
+    this.sequence = 0;
+  }
+
+  // Buy stops closest to firing come first, sell stops likewise; equal stop
+  // prices keep arrival order
+  comesBefore(entry, other) {
+    if (entry.stopPrice.eq(other.stopPrice)) {
+      return entry.sequence < other.sequence;
+    }
+    return entry.side === 'buy'
+      ? entry.stopPrice.lt(other.stopPrice)
+      : entry.stopPrice.gt(other.stopPrice);
+  }
+
+  add(order) {
+    if (this.orders.has(order.orderId)) {
+      throw new Error(`Stop order ${order.orderId} is already armed`);
+    }
+
+    const entry = {
+      orderId: order.orderId,
+      side: order.side,
+      stopPrice: toDecimal(order.stopPrice),
+      sequence: this.sequence++
+    };
+    const queue = entry.side === 'buy' ? this.buys : this.sells;
+
+    let index = queue.findIndex(other => this.comesBefore(entry, other));
+    if (index === -1) index = queue.length;
+    queue.splice(index, 0, entry);
+
+    this.orders.set(entry.orderId, entry);
+    return entry;
+  }
+
+  remove(orderId) {
+    const entry = this.orders.get(orderId);
+    if (!entry) return null;
+
+    const queue = entry.side === 'buy' ? this.buys : this.sells;
+    queue.splice(queue.indexOf(entry), 1);
+    this.orders.delete(orderId);
+    return entry;
+  }
+
+  isTriggeredBy(entry, lastPrice) {
+    const price = toDecimal(lastPrice);
+    const stopPrice = toDecimal(entry.stopPrice);
+    return entry.side === 'buy' ? price.gte(stopPrice) : price.lte(stopPrice);
+  }
+
+  // Remove and return every stop crossed by lastPrice, oldest first
+  collect(lastPrice) {
+    const triggered = [];
+
+    [this.buys, this.sells].forEach(queue => {
+      while (queue.length > 0 && this.isTriggeredBy(queue[0], lastPrice)) {
+        const entry = queue.shift();
+        this.orders.delete(entry.orderId);
+        triggered.push(entry);
+      }
+    });
+
+    return triggered.sort((a, b) => a.sequence - b.sequence);
+  }
+}
+
+module.exports = TriggerBook;
\ No newline at end of file
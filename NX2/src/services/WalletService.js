@@ -0,0 +1,245 @@
+const Wallet = require('../models/Wallet');
+const User = require('../models/User');
+const LedgerEntry = require('../models/LedgerEntry');
+const TradingEngine = require('./TradingEngine');
+const MarketRegistry = require('./MarketRegistry');
+const { toDecimal } = require('../utils/decimal');
+
+// Currencies valued at par when working out totalValueUSD
+const USD_STABLECOINS = ['USDT', 'USDC', 'BUSD', 'USD'];
+
+const walletError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+class WalletService {
+  async getWallet(userId) {
+    let wallet = await Wallet.getByUserId(userId);
+    if (!wallet) {
+      wallet = new Wallet({ userId, balances: [] });
+      await wallet.save();
+    }
+    return wallet;
+  }
+
+  // USD price of a currency from the last trade against USDT, or null when
+  // it has not traded yet
+  getUsdPrice(currency) {
+    if (USD_STABLECOINS.includes(currency)) {
+      return toDecimal(1);
+    }
+
+    const orderBook = TradingEngine.orderBooks.get(`${currency}/USDT`);
+    return orderBook && orderBook.lastPrice.gt(0) ? orderBook.lastPrice : null;
+  }
+
+  // Balances with their USD value; the total is stored as totalValueUSD
+  async getBalances(userId) {
+    const wallet = await this.getWallet(userId);
+    let totalValue = toDecimal(0);
+
+    const balances = wallet.balances.map(balance => {
+      const total = toDecimal(balance.available).plus(toDecimal(balance.locked));
+      const price = this.getUsdPrice(balance.currency);
+      const valueUSD = price ? total.times(price).toDecimalPlaces(2) : null;
+      if (valueUSD) totalValue = totalValue.plus(valueUSD);
+
+      return {
+        currency: balance.currency,
+        available: balance.available,
+        locked: balance.locked,
+        total: total.toFixed(),
+        valueUSD: valueUSD ? valueUSD.toFixed() : null
+      };
+    });
+
+    const totalValueUSD = totalValue.toNumber();
+    await Wallet.updateOne({ _id: wallet._id }, { totalValueUSD });
+
+    return { balances, totalValueUSD };
+  }
+
+  // Ledger lines for the user's own accounts, newest first
+  async getHistory(userId, {
+    currency, type, from, to, limit = 50, page = 1
+  } = {}) {
+    const filter = { userId };
+    if (currency) filter.currency = currency.toUpperCase();
+    if (type) filter.type = { $in: type.split(',') };
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const [entries, total] = await Promise.all([
+      LedgerEntry.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit)),
+      LedgerEntry.countDocuments(filter)
+    ]);
+
+    return {
+      history: entries.map(entry => ({
+        id: entry._id,
+        journalId: entry.journalId,
+        type: entry.type,
+        account: entry.account,
+        currency: entry.currency,
+        amount: toDecimal(entry.credit).minus(toDecimal(entry.debit)).toFixed(),
+        orderId: entry.orderId,
+        tradeId: entry.tradeId,
+        transferId: entry.transferId,
+        description: entry.description,
+        createdAt: entry.createdAt
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Send funds to another user identified by email
+  async transferToEmail(fromUserId, email, currency, amount, note) {
+    const recipient = await User.findOne({ email: email.toLowerCase() });
+    if (!recipient) {
+      throw walletError('Recipient not found', 404);
+    }
+
+    if (String(recipient._id) === String(fromUserId)) {
+      throw walletError('Cannot transfer to yourself');
+    }
+
+    return this.transfer(fromUserId, recipient._id, currency, amount, note || `Transfer to ${recipient.email}`);
+  }
+
+  // Move funds between a master account and its sub-accounts, or between
+  // two of its sub-accounts. Either side defaults to the master account.
+  async transferBetweenSubAccounts(masterUserId, { fromUserId, toUserId, currency, amount }) {
+    const from = fromUserId || String(masterUserId);
+    const to = toUserId || String(masterUserId);
+
+    if (from === to) {
+      throw walletError('Source and destination must differ');
+    }
+
+    const subAccountIds = [from, to].filter(id => id !== String(masterUserId));
+    const owned = await User.countDocuments({ _id: { $in: subAccountIds }, parentUserId: masterUserId });
+    if (owned !== subAccountIds.length) {
+      throw walletError('Sub-account not found', 404);
+    }
+
+    return this.transfer(from, to, currency, amount, 'Sub-account transfer');
+  }
+
+  // Debit the sender first; if crediting the recipient fails the debit is
+  // reversed, so funds are never lost in between
+  async transfer(fromUserId, toUserId, currency, amount, description) {
+    const currencyUpper = currency.toUpperCase();
+    const value = this.validateAmount(currencyUpper, amount);
+    const transferId = `TRF${Date.now()}${Math.random().toString(36).substr(2, 9)}`.toUpperCase();
+    const reference = { type: 'transfer', transferId, description };
+
+    const source = await Wallet.getByUserId(fromUserId);
+    if (!source) {
+      throw walletError('Insufficient balance');
+    }
+    const destination = await this.getWallet(toUserId);
+
+    await source.updateBalance(currencyUpper, value.neg(), 0, reference);
+
+    try {
+      await destination.updateBalance(currencyUpper, value, 0, reference);
+    } catch (error) {
+      await source.updateBalance(currencyUpper, value, 0, {
+        ...reference,
+        description: `Reversal: ${description}`
+      });
+      throw error;
+    }
+
+    return {
+      transferId,
+      fromUserId: String(fromUserId),
+      toUserId: String(toUserId),
+      currency: currencyUpper,
+      amount: value.toFixed()
+    };
+  }
+
+  // Assets are those of the registered markets, including ones added at
+  // runtime, at the precision those markets keep them
+  validateAmount(currency, amount) {
+    const precision = MarketRegistry.assetPrecision(currency);
+    if (precision === null) {
+      throw walletError(`Unsupported currency: ${currency}`);
+    }
+
+    let value;
+    try {
+      value = toDecimal(amount);
+    } catch (error) {
+      throw walletError('Amount must be a number');
+    }
+
+    if (!value.isFinite() || !value.gt(0)) {
+      throw walletError('Amount must be positive');
+    }
+
+    if (value.decimalPlaces() > precision) {
+      throw walletError(`Amount allows at most ${precision} decimals for ${currency}`);
+    }
+
+    return value;
+  }
+
+  async createSubAccount(masterUserId, { email, name, password }) {
+    const master = await User.findById(masterUserId);
+    if (!master || master.parentUserId) {
+      throw walletError('Sub-accounts cannot have sub-accounts');
+    }
+
+    if (await User.exists({ email: email.toLowerCase() })) {
+      throw walletError('User already exists with this email', 409);
+    }
+
+    const subAccount = new User({
+      email,
+      name,
+      password,
+      parentUserId: master._id
+    });
+    await subAccount.save();
+    await new Wallet({ userId: subAccount._id, balances: [] }).save();
+
+    return {
+      id: subAccount._id,
+      email: subAccount.email,
+      name: subAccount.name
+    };
+  }
+
+  async listSubAccounts(masterUserId) {
+    const subAccounts = await User.find({ parentUserId: masterUserId }).select('email name createdAt');
+    const wallets = await Wallet.find({ userId: { $in: subAccounts.map(account => account._id) } });
+
+    return subAccounts.map(account => {
+      const wallet = wallets.find(entry => String(entry.userId) === String(account._id));
+      return {
+        id: account._id,
+        email: account.email,
+        name: account.name,
+        createdAt: account.createdAt,
+        balances: wallet ? wallet.balances : []
+      };
+    });
+  }
+}
+
+module.exports = new WalletService();
\ No newline at end of file
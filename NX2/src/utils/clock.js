@@ -0,0 +1,39 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Time and IDs for the trading engine. While a journaled command is applied
+// both come from the command, so everything it does (however many awaits
+// deep) sees the command's timestamp and numbers its IDs after the
+// command's sequence; replaying the journal therefore reproduces them
+// exactly. Outside a command they fall back to the wall clock.
+const commands = new AsyncLocalStorage();
+
+const run = (command, fn) => commands.run({
+  sequence: command.sequence,
+  timestamp: new Date(command.timestamp).getTime(),
+  ids: 0
+}, fn);
+
+const current = () => commands.getStore() || null;
+
+const now = () => {
+  const context = current();
+  return context ? context.timestamp : Date.now();
+};
+
+// PREFIX<sequence>-<n>, counted in the order the command asks for them
+const nextId = (prefix) => {
+  const context = current();
+  if (!context) {
+    return `${prefix}${Date.now()}${Math.random().toString(36).substr(2, 9)}`.toUpperCase();
+  }
+
+  context.ids += 1;
+  return `${prefix}${context.sequence}-${context.ids}`;
+};
+
+module.exports = {
+  run,
+  current,
+  now,
+  nextId
+};
\ No newline at end of file
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const DecimalJS = require('decimal.js');
+
+// All prices, quantities, fees and balances go through this Decimal. Mongo
+// stores them as Decimal128 and documents expose them as strings, so no
+// amount ever passes through a JavaScript float.
+const Decimal = DecimalJS.clone({
+  precision: 40,
+  rounding: DecimalJS.ROUND_HALF_UP
+});
+
+const toDecimal = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return new Decimal(0);
+  }
+  return new Decimal(value.toString());
+};
+
+const toDecimal128 = value => mongoose.Types.Decimal128.fromString(toDecimal(value).toFixed());
+
+// Round towards zero, e.g. a share of a reservation to release
+const roundDown = (value, places) => toDecimal(value).toDecimalPlaces(places, Decimal.ROUND_DOWN);
+
+// Round away from zero, e.g. a fee or a reservation to lock
+const roundUp = (value, places) => toDecimal(value).toDecimalPlaces(places, Decimal.ROUND_UP);
+
+// Schema type for a Decimal128 path read back as a plain decimal string
+const decimalField = (options = {}) => ({
+  type: mongoose.Schema.Types.Decimal128,
+  get: value => (value === undefined || value === null ? value : value.toString()),
+  ...options
+});
+
+const nonNegative = {
+  validator: value => value === undefined || value === null || !toDecimal(value).isNegative(),
+  message: props => `${props.path} must not be negative`
+};
+
+module.exports = {
+  Decimal,
+  toDecimal,
+  toDecimal128,
+  roundDown,
+  roundUp,
+  decimalField,
+  nonNegative
+};
\ No newline at end of file
@@ -0,0 +1,7 @@
+// IPv4 clients reach dual-stack sockets as IPv4-mapped IPv6 addresses;
+// compare them in their plain form
+const normalizeIp = ip => String(ip || '').replace(/^::ffff:/, '');
+
+module.exports = {
+  normalizeIp
+};
\ No newline at end of file
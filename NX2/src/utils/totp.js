@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) as authenticator apps expect
+// them: SHA-1, 6 digits, 30 second steps, secrets shared in base32
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const toBase32 = (buffer) => {
+  let bits = '';
+  buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+
+  let encoded = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    encoded += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return encoded;
+};
+
+const fromBase32 = (encoded) => {
+  let bits = '';
+  encoded.toUpperCase().replace(/[\s=]/g, '').split('').forEach(char => {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value < 0) throw new Error('Invalid base32 secret');
+    bits += value.toString(2).padStart(5, '0');
+  });
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const generateSecret = () => toBase32(crypto.randomBytes(20));
+
+const counterAt = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+// HOTP (RFC 4226) for one counter value
+const codeFor = (secret, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', fromBase32(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % (10 ** DIGITS)).padStart(DIGITS, '0');
+};
+
+const generate = (secret, time = Date.now()) => codeFor(secret, counterAt(time));
+
+// The counter the code belongs to, allowing `window` steps of clock drift
+// either way, or null when it matches none of them. Callers keep the last
+// counter used so that a code cannot be accepted twice.
+const verify = (secret, code, { time = Date.now(), window = 1 } = {}) => {
+  const candidate = String(code || '');
+  if (!/^\d+$/.test(candidate) || candidate.length !== DIGITS) return null;
+
+  const current = counterAt(time);
+  for (let counter = current - window; counter <= current + window; counter += 1) {
+    const expected = codeFor(secret, counter);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return counter;
+    }
+  }
+  return null;
+};
+
+const otpauthUrl = (secret, account, issuer) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret, issuer, algorithm: 'SHA1', digits: String(DIGITS), period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = {
+  toBase32,
+  fromBase32,
+  generateSecret,
+  generate,
+  verify,
+  otpauthUrl
+};
\ No newline at end of file
@@ -0,0 +1,130 @@
+const request = require('supertest');
+const Application = require('../src/app');
+const ApiKeyService = require('../src/services/ApiKeyService');
+const ApiKey = require('../src/models/ApiKey');
+
+describe('ApiKeyService', () => {
+  const secret = 'bot-secret';
+  const now = 1700000000000;
+  let apiKey;
+
+  const signed = (overrides = {}) => {
+    const request = {
+      keyId: 'key1',
+      timestamp: String(now - 1000),
+      method: 'POST',
+      path: '/api/trading/order',
+      body: '{"symbol":"BTC/USDT"}',
+      ip: '::ffff:10.0.0.1',
+      now,
+      ...overrides
+    };
+    return { signature: ApiKeyService.sign(secret, request), ...request };
+  };
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+
+  beforeEach(() => {
+    const seen = new Set();
+    ApiKeyService.connect({
+      async set(key) {
+        if (seen.has(key)) return null;
+        seen.add(key);
+        return 'OK';
+      }
+    });
+
+    apiKey = {
+      _id: 'id1',
+      keyId: 'key1',
+      scopes: ['read', 'trade'],
+      ipAllowlist: [],
+      encryptedSecret: ApiKeyService.encrypt(secret)
+    };
+    jest.spyOn(ApiKey, 'findOne').mockImplementation(() => ({ select: async () => apiKey }));
+    jest.spyOn(ApiKey, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should keep secrets encrypted and readable', () => {
+    expect(apiKey.encryptedSecret).not.toContain(secret);
+    expect(ApiKeyService.decrypt(apiKey.encryptedSecret)).toBe(secret);
+  });
+
+  it('should accept a signed request once', async () => {
+    const request = signed();
+
+    expect(await ApiKeyService.verify(request)).toBe(apiKey);
+    await expect(ApiKeyService.verify(request)).rejects.toThrow('Request was already received');
+  });
+
+  it('should reject requests outside their recvWindow', async () => {
+    await expect(ApiKeyService.verify(signed({ timestamp: String(now - 6000) })))
+      .rejects.toThrow('Request timestamp is outside the recvWindow');
+    expect(await ApiKeyService.verify(signed({ timestamp: String(now - 6000), recvWindow: '10000' }))).toBe(apiKey);
+    await expect(ApiKeyService.verify(signed({ timestamp: String(now + 5000) })))
+      .rejects.toThrow('Request timestamp is outside the recvWindow');
+  });
+
+  it('should reject a signature over anything else', async () => {
+    const request = signed();
+
+    await expect(ApiKeyService.verify({ ...request, body: '{"symbol":"ETH/USDT"}' }))
+      .rejects.toMatchObject({ status: 401, message: 'Invalid signature' });
+    await expect(ApiKeyService.verify({ ...request, method: 'DELETE' })).rejects.toThrow('Invalid signature');
+  });
+
+  it('should only accept requests from the allowlist', async () => {
+    apiKey.ipAllowlist = ['10.0.0.2'];
+    await expect(ApiKeyService.verify(signed())).rejects.toMatchObject({ status: 403 });
+
+    apiKey.ipAllowlist = ['10.0.0.1'];
+    expect(await ApiKeyService.verify(signed())).toBe(apiKey);
+  });
+
+  describe('signed form requests', () => {
+    const body = 'symbol=BTC%2FUSDT&side=buy&type=market&quantity=0.01';
+    let app;
+
+    const post = (signedBody, sentBody) => {
+      const timestamp = String(Date.now());
+      return request(app)
+        .post('/api/trading/order')
+        .type('form')
+        .set('X-API-KEY', 'key1')
+        .set('X-API-TIMESTAMP', timestamp)
+        .set('X-API-SIGNATURE', ApiKeyService.sign(secret, {
+          timestamp, method: 'POST', path: '/api/trading/order', body: signedBody
+        }))
+        .send(sentBody);
+    };
+
+    beforeEach(() => {
+      app = new Application().app;
+      // Without the trade scope the request stops right after the signature
+      apiKey.scopes = ['read'];
+    });
+
+    it('should check the signature against the form body', async () => {
+      const response = await post(body, body);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('API key does not have the trade scope.');
+    });
+
+    it('should reject a tampered form body', async () => {
+      const tampered = await post(body, body.replace('0.01', '10'));
+      expect(tampered.status).toBe(401);
+      expect(tampered.body.error).toBe('Invalid signature');
+
+      const unsigned = await post('', body);
+      expect(unsigned.status).toBe(401);
+      expect(unsigned.body.error).toBe('Invalid signature');
+    });
+  });
+});
\ No newline at end of file
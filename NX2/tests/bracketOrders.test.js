@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const TradingEngine = require('../src/services/TradingEngine');
+const OrderBook = require('../src/services/OrderBook');
+const TriggerBook = require('../src/services/TriggerBook');
+const Order = require('../src/models/Order');
+const Trade = require('../src/models/Trade');
+const Wallet = require('../src/models/Wallet');
+
+describe('Bracket orders', () => {
+  let legs;
+  let trades;
+
+  const entry = (overrides = {}) => ({
+    orderId: 'E1',
+    userId: 'user1',
+    symbol: 'BTC/USDT',
+    side: 'buy',
+    status: 'filled',
+    quantity: '0.01',
+    filledQuantity: '0.01',
+    groupId: 'GRP1-1',
+    groupType: 'bracket',
+    ...overrides
+  });
+
+  const trade = (overrides = {}) => ({
+    takerOrderId: 'E1',
+    makerOrderId: 'M1',
+    fee: {
+      takerFee: '0', takerFeeCurrency: 'BTC', makerFee: '0', makerFeeCurrency: 'USDT'
+    },
+    ...overrides
+  });
+
+  beforeEach(() => {
+    legs = [
+      { orderId: 'TP1', symbol: 'BTC/USDT', type: 'limit' },
+      { orderId: 'SL1', symbol: 'BTC/USDT', type: 'stop_market' }
+    ];
+    trades = [];
+    jest.spyOn(Order, 'find').mockImplementation(() => ({ sort: async () => legs }));
+    jest.spyOn(Trade, 'find').mockImplementation(async () => trades);
+    jest.spyOn(TradingEngine, 'armBracketLeg').mockResolvedValue();
+    jest.spyOn(TradingEngine, 'cancelOpenOrder').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should reject brackets without legs or with legs on the wrong side', () => {
+    const order = bracket => ({
+      userId: 'user1', symbol: 'BTC/USDT', type: 'limit', side: 'buy', price: '30000', quantity: '0.01', bracket
+    });
+
+    expect(TradingEngine.validateOrder(order({})).error)
+      .toBe('Bracket requires a take-profit or a stop-loss');
+    expect(TradingEngine.validateOrder(order({
+      takeProfit: { price: '29000' }, stopLoss: { stopPrice: '29500' }
+    })).error).toBe('Take-profit price must be on the profit side of the stop-loss');
+    expect(TradingEngine.validateOrder(order({ takeProfit: { price: '31000.005' } })).error)
+      .toMatch(/at most 2 decimals/);
+    expect(TradingEngine.validateOrder(order({
+      takeProfit: { price: '31000' }, stopLoss: { stopPrice: '29500', price: '29400' }
+    }))).toEqual({ valid: true });
+  });
+
+  it('should arm the legs of a buy entry for the quantity left after its fees', async () => {
+    trades = [
+      trade({ fee: { takerFee: '0.000006', takerFeeCurrency: 'BTC' } }),
+      trade({
+        takerOrderId: 'T9',
+        makerOrderId: 'E1',
+        fee: { makerFee: '0.0000021', makerFeeCurrency: 'BTC' }
+      })
+    ];
+
+    await TradingEngine.updateBracketEntry(entry());
+
+    // 0.01 - 0.0000081 in fees, rounded down to the 0.000001 lot size
+    expect(TradingEngine.armBracketLeg.mock.calls).toEqual([
+      [legs[0], '0.009991'],
+      [legs[1], '0.009991']
+    ]);
+  });
+
+  it('should arm the legs of a sell entry for its full filled quantity', async () => {
+    trades = [trade({ fee: { takerFee: '1.5', takerFeeCurrency: 'USDT' } })];
+
+    await TradingEngine.updateBracketEntry(entry({ side: 'sell', filledQuantity: '0.004' }));
+
+    expect(TradingEngine.armBracketLeg.mock.calls.map(call => call[1])).toEqual(['0.004', '0.004']);
+  });
+
+  it('should cancel the legs when the entry never filled', async () => {
+    await TradingEngine.updateBracketEntry(entry({ status: 'cancelled', filledQuantity: '0' }));
+
+    expect(TradingEngine.armBracketLeg).not.toHaveBeenCalled();
+    expect(TradingEngine.cancelOpenOrder.mock.calls).toEqual([
+      [legs[0], 'Bracket entry was not filled'],
+      [legs[1], 'Bracket entry was not filled']
+    ]);
+  });
+});
+
+describe('Bracket legs', () => {
+  let book;
+  let triggerBook;
+  const userId = new mongoose.Types.ObjectId();
+
+  const leg = overrides => new Order({
+    userId,
+    symbol: 'BTC/USDT',
+    side: 'sell',
+    quantity: '0.01',
+    status: 'waiting',
+    groupId: 'GRP1-1',
+    groupType: 'bracket',
+    parentOrderId: 'E1',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    book = new OrderBook('BTC/USDT');
+    triggerBook = new TriggerBook('BTC/USDT');
+    jest.spyOn(TradingEngine.orderBooks, 'get').mockReturnValue(book);
+    jest.spyOn(TradingEngine.triggerBooks, 'get').mockReturnValue(triggerBook);
+    jest.spyOn(Order.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(Trade, 'find').mockResolvedValue([]);
+    jest.spyOn(Wallet, 'lockFunds').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should arm both legs for what a partly filled entry bought', async () => {
+    const takeProfit = leg({ orderId: 'TP1', type: 'limit', price: '31000' });
+    const stopLoss = leg({ orderId: 'SL1', type: 'stop_market', stopPrice: '29000' });
+    jest.spyOn(Order, 'find').mockImplementation(() => ({ sort: async () => [takeProfit, stopLoss] }));
+
+    await TradingEngine.updateBracketEntry({
+      orderId: 'E1',
+      symbol: 'BTC/USDT',
+      side: 'buy',
+      status: 'cancelled',
+      quantity: '0.01',
+      filledQuantity: '0.004'
+    });
+
+    expect(takeProfit.quantity).toBe('0.004');
+    expect(takeProfit.status).toBe('open');
+    expect(book.getDepth().asks).toEqual([['31000', '0.004']]);
+    expect(Wallet.lockFunds).toHaveBeenCalledWith(userId, 'BTC', expect.anything(), { orderId: 'TP1' });
+    expect(Wallet.lockFunds.mock.calls[0][2].toFixed()).toBe('0.004');
+
+    expect(stopLoss.quantity).toBe('0.004');
+    expect(stopLoss.status).toBe('pending');
+    expect(triggerBook.orders.has('SL1')).toBe(true);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const TradingEngine = require('../src/services/TradingEngine');
+const OrderBook = require('../src/services/OrderBook');
+const Order = require('../src/models/Order');
+const Wallet = require('../src/models/Wallet');
+
+describe('Order cancellation', () => {
+  let book;
+  let orders;
+  const userId = new mongoose.Types.ObjectId();
+
+  const rest = (overrides) => {
+    const order = new Order({
+      userId,
+      symbol: 'BTC/USDT',
+      type: 'limit',
+      side: 'buy',
+      price: '30000',
+      quantity: '0.01',
+      lockedAmount: '300',
+      status: 'open',
+      ...overrides
+    });
+    book.add({
+      orderId: order.orderId, userId, side: order.side, price: order.price, remaining: order.remainingQuantity
+    });
+    orders.push(order);
+    return order;
+  };
+
+  beforeEach(() => {
+    book = new OrderBook('BTC/USDT');
+    orders = [];
+    jest.spyOn(TradingEngine.orderBooks, 'get').mockReturnValue(book);
+    jest.spyOn(Order.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(Wallet, 'unlockFunds').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should take a cancelled order off the book and return its reservation', async () => {
+    const order = rest({ orderId: 'B1' });
+    rest({ orderId: 'B2', price: '29990' });
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order);
+
+    await TradingEngine.applyCancelOrder('B1', userId);
+
+    expect(order.status).toBe('cancelled');
+    expect(book.get('B1')).toBeNull();
+    expect(book.getDepth().bids).toEqual([['29990', '0.01']]);
+    expect(Wallet.unlockFunds).toHaveBeenCalledWith(userId, 'USDT', '300', { orderId: 'B1' });
+    expect(order.lockedAmount).toBe('0');
+  });
+
+  it('should only cancel open orders of the requesting user', async () => {
+    jest.spyOn(Order, 'findOne').mockResolvedValue(null);
+    await expect(TradingEngine.applyCancelOrder('B1', userId)).rejects.toMatchObject({ status: 404 });
+
+    Order.findOne.mockResolvedValue(new Order({
+      orderId: 'B1', userId, symbol: 'BTC/USDT', type: 'limit', side: 'buy', price: '30000', quantity: '0.01', status: 'filled'
+    }));
+    await expect(TradingEngine.applyCancelOrder('B1', userId)).rejects.toMatchObject({ status: 400 });
+    expect(Wallet.unlockFunds).not.toHaveBeenCalled();
+  });
+
+  it('should cancel every open order of the user on the symbol', async () => {
+    rest({ orderId: 'B1' });
+    rest({
+      orderId: 'S1', side: 'sell', price: '31000', filledQuantity: '0.004', lockedAmount: '0.006', status: 'partially_filled'
+    });
+    jest.spyOn(Order, 'find').mockImplementation(() => ({ sort: async () => orders }));
+
+    const cancelled = await TradingEngine.applyCancelAll(userId, 'btc/usdt');
+
+    expect(Order.find).toHaveBeenCalledWith({
+      userId, status: { $in: Order.OPEN_STATUSES }, symbol: 'BTC/USDT'
+    });
+    expect(cancelled.map(order => order.status)).toEqual(['cancelled', 'cancelled']);
+    expect(book.getDepth()).toEqual({ bids: [], asks: [] });
+    expect(Wallet.unlockFunds.mock.calls).toEqual([
+      [userId, 'USDT', '300', { orderId: 'B1' }],
+      [userId, 'BTC', '0.006', { orderId: 'S1' }]
+    ]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,49 @@
+const CandleService = require('../src/services/CandleService');
+
+describe('CandleService', () => {
+  const minute = Date.UTC(2024, 0, 1, 12, 0);
+  const trade = (price, quantity, offset) => ({
+    symbol: 'BTC/USDT',
+    price,
+    quantity,
+    timestamp: new Date(minute + offset)
+  });
+
+  let saved;
+  let updates;
+
+  beforeEach(() => {
+    CandleService.openCandles.clear();
+    saved = [];
+    updates = [];
+    CandleService.saveCandles = async candles => saved.push(...candles.map(c => CandleService.format(c)));
+    CandleService.removeAllListeners('candle_update');
+    CandleService.on('candle_update', update => updates.push(update));
+  });
+
+  it('should build open candles for every interval from trades', async () => {
+    await CandleService.addTrade(trade('100', '1', 0));
+    await CandleService.addTrade(trade('105', '2', 10 * 1000));
+    await CandleService.addTrade(trade('98', '1', 20 * 1000));
+
+    const candle = CandleService.format(CandleService.openCandles.get('BTC/USDT:1m'));
+    expect(candle).toMatchObject({
+      open: '100', high: '105', low: '98', close: '98', volume: '4', quoteVolume: '408', trades: 3
+    });
+    expect(CandleService.openCandles.size).toBe(6);
+    expect(updates.filter(update => update.candle.interval === '1m')).toHaveLength(3);
+  });
+
+  it('should close and save a candle when its interval passes', async () => {
+    await CandleService.addTrade(trade('100', '1', 0));
+    await CandleService.addTrade(trade('101', '1', 61 * 1000));
+
+    expect(saved).toHaveLength(1);
+    expect(saved[0]).toMatchObject({ interval: '1m', openTime: minute, close: '100' });
+    expect(CandleService.openCandles.get('BTC/USDT:1m').openTime).toBe(minute + 60 * 1000);
+
+    await CandleService.closeExpired(minute + 10 * 60 * 1000);
+    expect(saved.map(candle => candle.interval).sort()).toEqual(['1m', '1m', '5m']);
+    expect(updates.filter(update => update.closed)).toHaveLength(3);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,63 @@
+const TradingEngine = require('../src/services/TradingEngine');
+const Order = require('../src/models/Order');
+
+describe('Client order IDs', () => {
+  let existing;
+
+  const submission = (overrides = {}) => ({
+    userId: 'user1',
+    clientOrderId: 'my-order-1',
+    symbol: 'btc/usdt',
+    side: 'buy',
+    type: 'limit',
+    price: '30000',
+    quantity: '0.01',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    existing = {
+      orderId: 'ORD1-1',
+      symbol: 'BTC/USDT',
+      side: 'buy',
+      type: 'limit',
+      status: 'open',
+      createdAt: new Date(Date.now() - 60 * 60 * 1000)
+    };
+    jest.spyOn(Order, 'findOne').mockImplementation(() => ({ sort: async () => existing }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should hand back the working order to a retried submission', async () => {
+    expect(await TradingEngine.findRetriedOrder(submission({ price: '29990' }))).toBe(existing);
+    expect(await TradingEngine.findRetriedOrder(submission({ clientOrderId: undefined }))).toBeNull();
+  });
+
+  it('should refuse a different order under the ID of a working one', async () => {
+    await expect(TradingEngine.findRetriedOrder(submission({ side: 'sell' })))
+      .rejects.toMatchObject({ status: 409 });
+    await expect(TradingEngine.findRetriedOrder(submission(), 'bracket'))
+      .rejects.toMatchObject({ status: 409 });
+  });
+
+  it('should let the ID be used again once its order is done', async () => {
+    existing.status = 'filled';
+    expect(await TradingEngine.findRetriedOrder(submission())).toBeNull();
+    expect(await TradingEngine.findRetriedOrder(submission({ side: 'sell' }))).toBeNull();
+
+    existing.createdAt = new Date();
+    expect(await TradingEngine.findRetriedOrder(submission())).toBe(existing);
+  });
+
+  it('should report a clash with another working order as a conflict', async () => {
+    jest.spyOn(Order.prototype, 'save').mockRejectedValue(
+      Object.assign(new Error('E11000 duplicate key'), { code: 11000, keyPattern: { userId: 1, clientOrderId: 1 } })
+    );
+
+    await expect(TradingEngine.createOrderRecord(submission({ userId: '64b7f0c2a1b2c3d4e5f60718' })))
+      .rejects.toMatchObject({ status: 409, message: 'clientOrderId is already used by an open order' });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,96 @@
+const EngineCommand = require('../src/models/EngineCommand');
+const CommandJournal = require('../src/services/CommandJournal');
+const clock = require('../src/utils/clock');
+
+describe('CommandJournal', () => {
+  let written;
+
+  const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  beforeEach(() => {
+    written = [];
+    CommandJournal.sequence = 0;
+    jest.spyOn(EngineCommand, 'create').mockImplementation(async (entry) => {
+      written.push(entry);
+      return entry;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should apply commands of one symbol one at a time in sequence order', async () => {
+    const applied = [];
+    const slow = CommandJournal.submit('BTC/USDT', { type: 'place', payload: {} }, async () => {
+      await delay(20);
+      applied.push(clock.current().sequence);
+      return clock.nextId('ORD');
+    });
+    const fast = CommandJournal.submit('BTC/USDT', { type: 'cancel', payload: {} }, async () => {
+      applied.push(clock.current().sequence);
+      return clock.nextId('ORD');
+    });
+
+    expect(await Promise.all([slow, fast])).toEqual(['ORD1-1', 'ORD2-1']);
+    expect(applied).toEqual([1, 2]);
+    expect(written.map(entry => entry.type)).toEqual(['place', 'cancel']);
+  });
+
+  it('should not hold up other symbols', async () => {
+    const applied = [];
+    const slow = CommandJournal.submit('BTC/USDT', { type: 'place', payload: {} }, async () => {
+      await delay(20);
+      applied.push('BTC/USDT');
+    });
+    const other = CommandJournal.submit('ETH/USDT', { type: 'place', payload: {} }, async () => {
+      applied.push('ETH/USDT');
+    });
+
+    await Promise.all([slow, other]);
+    expect(applied).toEqual(['ETH/USDT', 'BTC/USDT']);
+    expect(written.map(entry => entry.sequence)).toEqual([1, 2]);
+  });
+
+  it('should run a command with its own timestamp and numbered IDs', async () => {
+    const result = await CommandJournal.submit('BTC/USDT', { type: 'place', payload: {} }, async () => {
+      await CommandJournal.record('trigger', { orderId: 'ORD1-1' });
+      return [clock.now(), clock.nextId('ORD'), clock.nextId('TRD')];
+    });
+
+    expect(result).toEqual([written[0].timestamp.getTime(), 'ORD1-1', 'TRD1-2']);
+    expect(written[1]).toMatchObject({
+      sequence: 2, type: 'trigger', parentSequence: 1, timestamp: written[0].timestamp
+    });
+    expect(clock.current()).toBeNull();
+  });
+
+  it('should not apply a command that could not be journaled', async () => {
+    EngineCommand.create.mockRejectedValueOnce(new Error('duplicate key'));
+    const apply = jest.fn();
+
+    await expect(CommandJournal.submit('BTC/USDT', { type: 'place', payload: {} }, apply)).rejects.toThrow('duplicate key');
+    expect(apply).not.toHaveBeenCalled();
+
+    await CommandJournal.submit('BTC/USDT', { type: 'place', payload: {} }, apply);
+    expect(apply).toHaveBeenCalledTimes(1);
+  });
+
+  it('should replay journaled commands without writing them again', async () => {
+    const timestamp = new Date('2024-03-01T12:00:00Z');
+    CommandJournal.startReplay();
+
+    const result = await CommandJournal.submit('BTC/USDT', {
+      type: 'place', payload: {}, sequence: 7, timestamp
+    }, async () => {
+      await CommandJournal.record('trigger', { orderId: 'ORD7-1' });
+      return [clock.now(), clock.nextId('ORD')];
+    });
+
+    expect(result).toEqual([timestamp.getTime(), 'ORD7-1']);
+    expect(written).toEqual([]);
+    expect(CommandJournal.stopReplay()).toEqual([
+      expect.objectContaining({ type: 'trigger', parentSequence: 7, payload: { orderId: 'ORD7-1' } })
+    ]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const Order = require('../src/models/Order');
+const { roundDown, roundUp, toDecimal } = require('../src/utils/decimal');
+
+describe('Decimal amounts', () => {
+  it('should round reservations up and releases down at the asset precision', () => {
+    expect(roundUp('0.123456781', 8).toFixed()).toBe('0.12345679');
+    expect(roundDown('0.123456789', 8).toFixed()).toBe('0.12345678');
+  });
+
+  it('should add up partial fills without float drift', () => {
+    const order = new Order({
+      orderId: 'ORDTEST',
+      userId: new mongoose.Types.ObjectId(),
+      symbol: 'BTC/USDT',
+      type: 'limit',
+      side: 'buy',
+      quantity: '0.3',
+      price: '100.1'
+    });
+
+    order.fill('0.1', '100.1', 8);
+    order.fill('0.2', '100.1', 8);
+
+    expect(order.filledQuantity).toBe('0.3');
+    expect(order.remainingQuantity).toBe('0');
+    expect(order.filledValue).toBe('30.03');
+    expect(order.averageFillPrice).toBe('100.1');
+    expect(toDecimal(order.remainingQuantity).isZero()).toBe(true);
+  });
+
+  it('should expose amounts as decimal strings in JSON', () => {
+    const order = new Order({
+      orderId: 'ORDTEST',
+      userId: new mongoose.Types.ObjectId(),
+      symbol: 'BTC/USDT',
+      type: 'limit',
+      side: 'sell',
+      quantity: 0.1,
+      price: 50000.12
+    });
+
+    const json = order.toJSON();
+    expect(json.quantity).toBe('0.1');
+    expect(json.price).toBe('50000.12');
+    expect(json.filledQuantity).toBe('0');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const AuthService = require('../src/services/AuthService');
+const Mailer = require('../src/services/Mailer');
+const User = require('../src/models/User');
+
+describe('Email verification and password reset', () => {
+  let sent;
+
+  const tokenIn = text => text.match(/token=([0-9a-f]+)/)[1];
+  const hash = token => crypto.createHash('sha256').update(token).digest('hex');
+
+  beforeEach(() => {
+    sent = [];
+    const transport = nodemailer.createTransport({ jsonTransport: true });
+    const sendMail = transport.sendMail.bind(transport);
+    transport.sendMail = (message) => {
+      sent.push(message);
+      return sendMail(message);
+    };
+    Mailer.configure(transport);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should email a reset link and keep only the hash of its token', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue({ _id: 'user1', email: 'trader@example.com', name: 'Trader' });
+    const updateOne = jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const result = await AuthService.forgotPassword('Trader@example.com');
+
+    expect(result.success).toBe(true);
+    expect(sent).toHaveLength(1);
+    expect(sent[0].to).toBe('trader@example.com');
+
+    const stored = updateOne.mock.calls[0][1].$set;
+    expect(stored.passwordResetToken).toBe(hash(tokenIn(sent[0].text)));
+    expect(stored.passwordResetExpires.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it('should give the same answer for unknown addresses', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+
+    const result = await AuthService.forgotPassword('nobody@example.com');
+
+    expect(result).toEqual({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent'
+    });
+    expect(sent).toHaveLength(0);
+  });
+
+  it('should verify with an unexpired token and clear it', async () => {
+    const findOneAndUpdate = jest.spyOn(User, 'findOneAndUpdate').mockResolvedValueOnce({ _id: 'user1' });
+
+    expect(await AuthService.verifyEmail('abc')).toEqual({ success: true });
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter.emailVerificationToken).toBe(hash('abc'));
+    expect(filter.emailVerificationExpires.$gt).toBeInstanceOf(Date);
+    expect(update.$unset).toEqual({ emailVerificationToken: 1, emailVerificationExpires: 1 });
+
+    findOneAndUpdate.mockResolvedValueOnce(null);
+    expect(await AuthService.verifyEmail('abc')).toEqual({
+      success: false, error: 'Invalid or expired verification token'
+    });
+  });
+
+  it('should write messages to MAIL_DIR with the file transport', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-'));
+    process.env.MAIL_TRANSPORT = 'file';
+    process.env.MAIL_DIR = directory;
+    Mailer.transport = null;
+
+    try {
+      await Mailer.send({ to: 'trader@example.com', subject: 'Hello', text: 'Body' });
+
+      const files = fs.readdirSync(directory);
+      expect(files).toHaveLength(1);
+      expect(fs.readFileSync(path.join(directory, files[0]), 'utf8')).toContain('Subject: Hello');
+    } finally {
+      delete process.env.MAIL_TRANSPORT;
+      delete process.env.MAIL_DIR;
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('should log only the recipient and subject with the console transport', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    Mailer.transport = null;
+
+    await Mailer.send({ to: 'trader@example.com', subject: 'Reset your password', text: 'Token: secret-token' });
+
+    expect(log).toHaveBeenCalledWith('📧 Mail to trader@example.com: Reset your password');
+    expect(log.mock.calls.flat().join(' ')).not.toContain('secret-token');
+  });
+
+  it('should require a mail transport in production', () => {
+    const nodeEnv = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    Mailer.transport = null;
+
+    try {
+      expect(() => Mailer.getTransport()).toThrow('MAIL_TRANSPORT must be set in production');
+    } finally {
+      process.env.NODE_ENV = nodeEnv;
+    }
+  });
+});
\ No newline at end of file
@@ -0,0 +1,35 @@
+const FeeService = require('../src/services/FeeService');
+const { toDecimal } = require('../src/utils/decimal');
+
+describe('FeeService', () => {
+  const market = {
+    base: 'BTC',
+    quote: 'USDT',
+    basePrecision: 8,
+    quotePrecision: 8
+  };
+
+  it('should pick the highest tier the volume reaches', () => {
+    expect(FeeService.tierFor(toDecimal(0)).tier).toBe(0);
+    expect(FeeService.tierFor(toDecimal('99999.99')).tier).toBe(0);
+    expect(FeeService.tierFor(toDecimal('100000')).tier).toBe(1);
+    expect(FeeService.tierFor(toDecimal('1e12')).tier).toBe(5);
+  });
+
+  it('should charge buyers in the base asset and sellers in the quote asset', () => {
+    const rate = toDecimal('0.001');
+
+    const buyFee = FeeService.calculateFee('buy', '0.5', '30000', rate, market);
+    expect(buyFee.currency).toBe('BTC');
+    expect(buyFee.amount.toFixed()).toBe('0.0005');
+
+    const sellFee = FeeService.calculateFee('sell', '0.5', '30000', rate, market);
+    expect(sellFee.currency).toBe('USDT');
+    expect(sellFee.amount.toFixed()).toBe('15');
+  });
+
+  it('should round fees up to the asset precision', () => {
+    const fee = FeeService.calculateFee('buy', '0.00000123', '30000', toDecimal('0.001'), market);
+    expect(fee.amount.toFixed()).toBe('0.00000001');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const TradingEngine = require('../src/services/TradingEngine');
+const OrderBook = require('../src/services/OrderBook');
+const Order = require('../src/models/Order');
+const Wallet = require('../src/models/Wallet');
+
+describe('Order fund reservation', () => {
+  let book;
+  const userId = new mongoose.Types.ObjectId();
+
+  const order = (overrides = {}) => new Order({
+    orderId: 'ORD1-1',
+    userId,
+    symbol: 'BTC/USDT',
+    type: 'limit',
+    side: 'buy',
+    price: '30000',
+    quantity: '0.01',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    book = new OrderBook('BTC/USDT');
+    book.add({
+      orderId: 'A1', userId: 'maker', side: 'sell', price: '30000', remaining: '0.004'
+    });
+    book.add({
+      orderId: 'A2', userId: 'maker', side: 'sell', price: '30010', remaining: '0.02'
+    });
+    jest.spyOn(TradingEngine, 'getOrderBook').mockReturnValue(book);
+    jest.spyOn(Order.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(Wallet, 'lockFunds').mockResolvedValue();
+    jest.spyOn(Wallet, 'unlockFunds').mockResolvedValue();
+    jest.spyOn(Wallet, 'settleLocked').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should lock quote currency for a limit buy at its limit price', async () => {
+    const buy = order();
+    await TradingEngine.reserveFunds(buy);
+
+    expect(Wallet.lockFunds).toHaveBeenCalledWith(userId, 'USDT', expect.anything(), { orderId: 'ORD1-1' });
+    expect(Wallet.lockFunds.mock.calls[0][2].toFixed()).toBe('300');
+    expect(buy.lockedAmount).toBe('300');
+  });
+
+  it('should lock the base quantity for a limit sell', async () => {
+    const sell = order({ side: 'sell', price: '31000' });
+    await TradingEngine.reserveFunds(sell);
+
+    expect(Wallet.lockFunds.mock.calls[0][1]).toBe('BTC');
+    expect(Wallet.lockFunds.mock.calls[0][2].toFixed()).toBe('0.01');
+    expect(sell.lockedAmount).toBe('0.01');
+  });
+
+  it('should price a market buy at the worst level it would reach on the book', async () => {
+    const buy = order({ type: 'market', price: undefined });
+    const { amount, priceLimit } = await TradingEngine.reserveFunds(buy);
+
+    expect(priceLimit.toFixed()).toBe('30010');
+    expect(amount.toFixed()).toBe('300.1');
+    expect(buy.lockedAmount).toBe('300.1');
+  });
+
+  it('should not reserve anything for a market buy on an empty book', async () => {
+    book = new OrderBook('BTC/USDT');
+    TradingEngine.getOrderBook.mockReturnValue(book);
+
+    await expect(TradingEngine.reserveFunds(order({ type: 'market', price: undefined })))
+      .rejects.toThrow('Insufficient liquidity');
+    expect(Wallet.lockFunds).not.toHaveBeenCalled();
+  });
+
+  it('should hand back the price improvement of a fill below the reserved price', async () => {
+    const buy = order({ type: 'market', price: undefined, lockedAmount: '300.1' });
+
+    const released = TradingEngine.releaseForFill(buy, '0.004');
+    expect(released.toFixed()).toBe('120.04');
+    expect(buy.lockedAmount).toBe('180.06');
+
+    await TradingEngine.updateBalances(buy, {
+      symbol: 'BTC/USDT', tradeId: 'TRD1-1', price: '30000', quantity: '0.004'
+    }, released, { amount: '0' });
+
+    // 120.04 leaves the reservation, 120 is paid and 0.04 goes back
+    const [, debit] = Wallet.settleLocked.mock.calls[0];
+    expect(debit.currency).toBe('USDT');
+    expect(debit.released.minus(debit.spent).toFixed()).toBe('0.04');
+  });
+
+  it('should release whatever is left on the last fill', () => {
+    const buy = order({ filledQuantity: '0.007', lockedAmount: '90.02' });
+
+    expect(TradingEngine.releaseForFill(buy, '0.003').toFixed()).toBe('90.02');
+    expect(buy.lockedAmount).toBe('0');
+  });
+
+  it('should return the reservation when an order is cancelled', async () => {
+    const buy = order({ filledQuantity: '0.004', lockedAmount: '180', status: 'partially_filled' });
+
+    await TradingEngine.cancelOpenOrder(buy);
+
+    expect(Wallet.unlockFunds).toHaveBeenCalledWith(userId, 'USDT', '180', { orderId: 'ORD1-1' });
+    expect(buy.lockedAmount).toBe('0');
+    expect(buy.status).toBe('cancelled');
+  });
+
+  it('should return the reservation when an order is rejected', async () => {
+    const sell = order({ side: 'sell', lockedAmount: '0.01' });
+
+    await TradingEngine.rejectOrder(sell);
+
+    expect(Wallet.unlockFunds).toHaveBeenCalledWith(userId, 'BTC', '0.01', { orderId: 'ORD1-1' });
+    expect(sell.lockedAmount).toBe('0');
+    expect(sell.status).toBe('rejected');
+  });
+});
\ No newline at end of file
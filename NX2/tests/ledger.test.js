@@ -0,0 +1,90 @@
+const LedgerEntry = require('../src/models/LedgerEntry');
+const Wallet = require('../src/models/Wallet');
+const LedgerService = require('../src/services/LedgerService');
+const { toDecimal } = require('../src/utils/decimal');
+
+describe('Ledger', () => {
+  const userId = '64b000000000000000000001';
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should refuse a journal whose debits and credits differ', async () => {
+    await expect(LedgerEntry.post('adjustment', [
+      { userId, account: 'available', currency: 'USDT', amount: '10' },
+      { account: 'adjustment', currency: 'USDT', amount: '-9.99' }
+    ])).rejects.toThrow('Unbalanced adjustment journal: USDT is off by 0.01');
+  });
+
+  it('should refuse a journal that balances only across currencies', async () => {
+    await expect(LedgerEntry.post('trade', [
+      { userId, account: 'available', currency: 'USDT', amount: '1' },
+      { userId, account: 'available', currency: 'BTC', amount: '-1' }
+    ])).rejects.toThrow(/Unbalanced trade journal/);
+  });
+
+  it('should report wallet balances that differ from the ledger', () => {
+    const wallet = {
+      balances: [
+        { currency: 'USDT', available: '90', locked: '10' },
+        { currency: 'BTC', available: '0.5', locked: '0' }
+      ]
+    };
+    const ledger = new Map([
+      ['USDT:available', toDecimal('90')],
+      ['USDT:locked', toDecimal('10')],
+      ['BTC:available', toDecimal('0.4')],
+      ['ETH:available', toDecimal('1')]
+    ]);
+
+    expect(LedgerService.compareWallet(wallet, ledger)).toEqual([
+      {
+        currency: 'BTC', account: 'available', walletBalance: '0.5', ledgerBalance: '0.4'
+      },
+      {
+        currency: 'ETH', account: 'available', walletBalance: '0', ledgerBalance: '1'
+      }
+    ]);
+  });
+
+  it('should post opening balances for what the ledger is missing', async () => {
+    const journaledId = '64b000000000000000000002';
+    const reconciledId = '64b000000000000000000003';
+    const wallets = [
+      {
+        userId,
+        balances: [
+          { currency: 'USDT', available: '90', locked: '10' },
+          { currency: 'BTC', available: '0', locked: '0' }
+        ]
+      },
+      { userId: journaledId, balances: [{ currency: 'USDT', available: '5', locked: '1' }] },
+      { userId: reconciledId, balances: [{ currency: 'USDT', available: '7', locked: '0' }] }
+    ];
+    jest.spyOn(Wallet, 'find').mockReturnValue({ cursor: () => wallets });
+    // The second wallet was funded before the ledger and has traded since
+    jest.spyOn(LedgerEntry, 'getBalances').mockResolvedValue([
+      { _id: { userId: journaledId, currency: 'USDT', account: 'available' }, balance: '3' },
+      { _id: { userId: journaledId, currency: 'USDT', account: 'locked' }, balance: '1' },
+      { _id: { userId: reconciledId, currency: 'USDT', account: 'available' }, balance: '7' }
+    ]);
+    const insertMany = jest.spyOn(LedgerEntry, 'insertMany').mockImplementation(async entries => entries);
+
+    expect(await LedgerService.postOpeningBalances()).toEqual({ opened: [userId, journaledId] });
+
+    const lines = call => insertMany.mock.calls[call][0]
+      .map(entry => [entry.account, entry.currency, entry.debit.toString(), entry.credit.toString()]);
+    expect(insertMany).toHaveBeenCalledTimes(2);
+    expect(lines(0)).toEqual([
+      ['available', 'USDT', '0', '90'],
+      ['locked', 'USDT', '0', '10'],
+      ['adjustment', 'USDT', '100', '0']
+    ]);
+    expect(lines(1)).toEqual([
+      ['available', 'USDT', '0', '2'],
+      ['adjustment', 'USDT', '2', '0']
+    ]);
+    expect(insertMany.mock.calls[0][0][0].description).toBe('Opening balance');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const AuthService = require('../src/services/AuthService');
+const SessionService = require('../src/services/SessionService');
+const Mailer = require('../src/services/Mailer');
+const User = require('../src/models/User');
+const SecurityEvent = require('../src/models/SecurityEvent');
+
+describe('Login IP whitelist and device confirmation', () => {
+  let user;
+  let events;
+  let mails;
+
+  const deviceId = AuthService.deviceIdFor('::ffff:10.0.0.1', 'bot/1.0');
+  const login = () => AuthService.login('trader@example.com', 'password123', '::ffff:10.0.0.1', 'bot/1.0');
+
+  beforeEach(() => {
+    events = [];
+    mails = [];
+    user = {
+      _id: 'user1',
+      email: 'trader@example.com',
+      name: 'Trader',
+      ipWhitelist: [],
+      devices: [{ deviceId: 'other-device', approved: true }],
+      checkPassword: async password => password === 'password123',
+      generateAuthToken: sessionId => `token-${sessionId}`
+    };
+
+    jest.spyOn(User, 'findOne').mockImplementation(filter => ({
+      select: async () => {
+        const device = filter['devices.deviceId'];
+        return !device || user.devices.some(entry => entry.deviceId === device) ? user : null;
+      }
+    }));
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(SecurityEvent, 'create').mockImplementation(async (event) => { events.push(event); });
+    jest.spyOn(Mailer, 'send').mockImplementation(async (message) => { mails.push(message); });
+    jest.spyOn(SessionService, 'create').mockResolvedValue({ sessionId: 'session1', refreshToken: 'refresh1' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should reject logins from outside a non-empty whitelist', async () => {
+    user.ipWhitelist = ['10.0.0.2'];
+
+    expect(await login()).toEqual({ success: false, error: 'Login from this IP address is not allowed' });
+    expect(events.map(event => [event.type, event.ipAddress])).toEqual([['ip_blocked', '10.0.0.1']]);
+
+    user.ipWhitelist = ['10.0.0.1'];
+    user.devices.push({ deviceId, approved: true });
+    expect((await login()).token).toBe('token-session1');
+  });
+
+  it('should hold back the token for a new device until it is confirmed', async () => {
+    const result = await login();
+
+    expect(result).toMatchObject({ success: true, deviceConfirmationRequired: true });
+    expect(result.token).toBeUndefined();
+    expect(SessionService.create).not.toHaveBeenCalled();
+
+    const token = mails[0].text.match(/token=([0-9a-f]+)/)[1];
+    const pushed = User.updateOne.mock.calls[0][1].$push.devices;
+    expect(pushed).toMatchObject({ deviceId, approved: false });
+    expect(pushed.confirmationToken).toBe(crypto.createHash('sha256').update(token).digest('hex'));
+    expect(events.map(event => event.type)).toEqual(['device_confirmation_sent']);
+  });
+
+  it('should trust the first device of an account', async () => {
+    user.devices = [];
+
+    const result = await login();
+
+    expect(result.token).toBe('token-session1');
+    expect(mails).toHaveLength(0);
+    expect(events.map(event => event.type)).toEqual(['login']);
+  });
+
+  it('should approve a device with its emailed token', async () => {
+    const hash = crypto.createHash('sha256').update('abc').digest('hex');
+    jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue({
+      _id: 'user1',
+      devices: [{ deviceId, ipAddress: '10.0.0.1', confirmationToken: hash }]
+    });
+
+    expect(await AuthService.confirmDevice('abc')).toEqual({ success: true });
+    expect(User.findOneAndUpdate.mock.calls[0][1].$set).toEqual({ 'devices.$.approved': true });
+    expect(events[0]).toMatchObject({ type: 'device_approved', details: { deviceId } });
+  });
+
+  it('should not let a whitelist shut out the address setting it', async () => {
+    expect(await AuthService.updateIpWhitelist('user1', ['10.0.0.2'], '::ffff:10.0.0.1'))
+      .toEqual({ success: false, error: 'The whitelist must include the address you are using' });
+
+    expect(await AuthService.updateIpWhitelist('user1', ['10.0.0.1', '::ffff:10.0.0.1'], '::ffff:10.0.0.1'))
+      .toEqual({ success: true, ipWhitelist: ['10.0.0.1'] });
+  });
+
+  describe('sub-accounts', () => {
+    let master;
+
+    beforeEach(() => {
+      master = { _id: 'master1', email: 'master@example.com', name: 'Master', ipWhitelist: [] };
+      user.parentUserId = 'master1';
+      jest.spyOn(User, 'findById').mockImplementation(id => ({
+        select: async () => (id === 'master1' ? master : user)
+      }));
+    });
+
+    it('should hold sub-account logins to the master account\'s whitelist', async () => {
+      master.ipWhitelist = ['10.0.0.2'];
+
+      expect(await login()).toEqual({ success: false, error: 'Login from this IP address is not allowed' });
+      expect(events.map(event => [event.type, event.userId])).toEqual([['ip_blocked', 'user1']]);
+    });
+
+    it('should send the confirmation of a new sub-account device to the master account', async () => {
+      user.devices = [];
+
+      const result = await login();
+
+      expect(result).toMatchObject({ success: true, deviceConfirmationRequired: true });
+      expect(mails.map(mail => mail.to)).toEqual(['master@example.com']);
+      expect(mails[0].text).toContain('sub-account trader@example.com');
+      expect(User.updateOne.mock.calls[0][0]).toMatchObject({ _id: 'user1' });
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,85 @@
+const TradingEngine = require('../src/services/TradingEngine');
+const MarketRegistry = require('../src/services/MarketRegistry');
+const { orderValidation, marketValidation } = require('../src/middleware/validation');
+
+describe('Market trading rules', () => {
+  const btc = MarketRegistry.get('BTC/USDT');
+
+  const order = (overrides = {}) => ({
+    userId: 'user1',
+    symbol: 'BTC/USDT',
+    type: 'limit',
+    side: 'buy',
+    quantity: '0.001',
+    price: '30000.01',
+    ...overrides
+  });
+
+  // The registry and the engine are shared by every test file
+  afterEach(() => {
+    MarketRegistry.set(btc);
+    MarketRegistry.markets.delete('LTC/USDT');
+    TradingEngine.orderBooks.delete('LTC/USDT');
+    TradingEngine.triggerBooks.delete('LTC/USDT');
+    TradingEngine.groupUpdates.delete('LTC/USDT');
+  });
+
+  it('should accept an order that follows the market rules', () => {
+    expect(TradingEngine.validateOrder(order())).toEqual({ valid: true });
+  });
+
+  it('should reject prices and quantities off the tick and lot size', () => {
+    MarketRegistry.set({ ...MarketRegistry.get('BTC/USDT'), tickSize: '0.5' });
+
+    expect(TradingEngine.validateOrder(order()).error).toMatch(/multiple of the tick size/);
+    expect(TradingEngine.validateOrder(order({ price: '30000.5' })).valid).toBe(true);
+  });
+
+  it('should enforce minimum quantity and minimum notional', () => {
+    expect(TradingEngine.validateOrder(order({ quantity: '0.000001' })).error).toMatch(/below the minimum/);
+    expect(TradingEngine.validateOrder(order({ price: '100.00' })).error).toMatch(/minimum notional/);
+  });
+
+  it('should reject new orders on a halted market', () => {
+    MarketRegistry.set({ ...MarketRegistry.get('BTC/USDT'), status: 'halted' });
+
+    expect(TradingEngine.validateOrder(order()).error).toBe('Market BTC/USDT is halted');
+  });
+
+  it('should open an order book for a market added at runtime', () => {
+    MarketRegistry.set({ ...MarketRegistry.get('BTC/USDT'), symbol: 'LTC/USDT', base: 'LTC' });
+
+    expect(TradingEngine.getOrderBook('LTC/USDT').symbol).toBe('LTC/USDT');
+    expect(MarketRegistry.normalizeSymbol('ltc-usdt')).toBe('LTC/USDT');
+  });
+
+  it('should refuse markets whose notionals would not be exact at the quote precision', () => {
+    const market = { ...MarketRegistry.get('BTC/USDT'), pricePrecision: 3, tickSize: '0.001' };
+
+    expect(MarketRegistry.validateRules(market).error)
+      .toBe('Price and quantity precision together must not exceed the quote precision');
+    expect(MarketRegistry.validateRules({ ...market, quantityPrecision: 5, lotSize: '0.00001', minQuantity: '0.0001' }))
+      .toEqual({ valid: true });
+  });
+
+  it('should take the same symbols for orders as for new markets', () => {
+    const validate = (validation, body) => {
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+      validation({ body }, res, next);
+      return next.mock.calls.length > 0 ? null : res.json.mock.calls[0][0].error;
+    };
+    const request = symbol => ({
+      symbol, type: 'limit', side: 'buy', quantity: '0.001', price: '30000.01'
+    });
+    const market = symbol => ({ symbol, tickSize: '0.01', lotSize: '0.1' });
+
+    expect(validate(orderValidation, request('1INCH/USDT'))).toBeNull();
+    expect(validate(marketValidation, market('1INCH/USDT'))).toBeNull();
+
+    ['btc/usdt', 'BTC-USDT', 'BTCUSDT'].forEach(symbol => {
+      expect(validate(orderValidation, request(symbol))).toMatch(/BASE\/QUOTE/);
+      expect(validate(marketValidation, market(symbol))).toMatch(/BASE\/QUOTE/);
+    });
+  });
+});
\ No newline at end of file
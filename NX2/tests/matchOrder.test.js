@@ -0,0 +1,117 @@
+const TradingEngine = require('../src/services/TradingEngine');
+const OrderBook = require('../src/services/OrderBook');
+const { toDecimal } = require('../src/utils/decimal');
+
+describe('TradingEngine matching', () => {
+  let book;
+
+  const taker = (overrides = {}) => ({
+    orderId: 'T1',
+    userId: 'taker',
+    symbol: 'BTC/USDT',
+    side: 'buy',
+    remainingQuantity: '1.5',
+    selfTradePrevention: 'none',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    book = new OrderBook('BTC/USDT');
+    book.add({
+      orderId: 'A1', userId: 'maker', side: 'sell', price: 100, remaining: 1
+    });
+    book.add({
+      orderId: 'A2', userId: 'taker', side: 'sell', price: 101, remaining: 2
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should match against the book without awaiting anything', () => {
+    const result = TradingEngine.matchOrder(taker(), book, '101');
+
+    expect(result).not.toBeInstanceOf(Promise);
+    expect(result.events.map(event => [event.makerOrderId, event.quantity.toFixed()]))
+      .toEqual([['A1', '1'], ['A2', '0.5']]);
+    expect(book.getDepth().asks).toEqual([['101', '1.5']]);
+    expect(book.lastPrice.toFixed()).toBe('101');
+  });
+
+  it('should take self-trade prevention decisions during the match', () => {
+    const { events, takerCancelled } = TradingEngine.matchOrder(
+      taker({ selfTradePrevention: 'decrement_and_cancel' }),
+      book,
+      '101'
+    );
+
+    expect(events[1].selfTrade).toMatchObject({ decrement: true, cancelMaker: false });
+    expect(takerCancelled).toBe(true);
+    expect(book.getDepth().asks).toEqual([['101', '1.5']]);
+    expect(book.lastPrice.toFixed()).toBe('100');
+  });
+
+  describe('fill-or-kill orders against the taker\'s own resting orders', () => {
+    // A1 @100 x1 is another account's, A2 @101 x2 the taker's, A3 @102 x5
+    // another account's again
+    const fok = selfTradePrevention => taker({
+      type: 'limit',
+      price: '102',
+      quantity: '3',
+      remainingQuantity: '3',
+      timeInForce: 'FOK',
+      selfTradePrevention
+    });
+
+    const traded = order => TradingEngine.matchOrder(order, book, order.price).events
+      .filter(event => !event.selfTrade)
+      .reduce((total, event) => total.plus(event.quantity), toDecimal(0))
+      .toFixed();
+
+    beforeEach(() => {
+      book.add({
+        orderId: 'A3', userId: 'maker', side: 'sell', price: 102, remaining: 5
+      });
+      jest.spyOn(TradingEngine, 'getOrderBook').mockReturnValue(book);
+    });
+
+    it('should accept it under cancel_oldest, which matches on past its own orders', () => {
+      const order = fok('cancel_oldest');
+
+      expect(TradingEngine.applyExecutionRules(order)).toBeNull();
+      expect(traded(order)).toBe('3');
+    });
+
+    it('should reject it under cancel_newest, which stops at its first own order', () => {
+      const order = fok('cancel_newest');
+
+      expect(TradingEngine.applyExecutionRules(order))
+        .toBe('Fill-or-kill order could not be filled completely');
+      expect(traded(order)).toBe('1');
+    });
+
+    it('should reject it under cancel_both, which stops at its first own order', () => {
+      const order = fok('cancel_both');
+
+      expect(TradingEngine.applyExecutionRules(order))
+        .toBe('Fill-or-kill order could not be filled completely');
+      expect(traded(order)).toBe('1');
+    });
+
+    it('should reject it under decrement_and_cancel, which gives up the overlap', () => {
+      const order = fok('decrement_and_cancel');
+
+      expect(TradingEngine.applyExecutionRules(order))
+        .toBe('Fill-or-kill order could not be filled completely');
+      expect(traded(order)).toBe('1');
+    });
+
+    it('should count its own orders as liquidity when self-trade prevention is off', () => {
+      const order = fok('none');
+
+      expect(TradingEngine.applyExecutionRules(order)).toBeNull();
+      expect(traded(order)).toBe('3');
+    });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const TradingEngine = require('../src/services/TradingEngine');
+const OrderBook = require('../src/services/OrderBook');
+const TriggerBook = require('../src/services/TriggerBook');
+const Order = require('../src/models/Order');
+const Wallet = require('../src/models/Wallet');
+
+describe('OCO orders', () => {
+  let book;
+  let triggerBook;
+  let limitLeg;
+  let stopLeg;
+  const userId = new mongoose.Types.ObjectId();
+
+  const oco = (overrides = {}) => ({
+    userId: 'user1',
+    symbol: 'BTC/USDT',
+    side: 'sell',
+    quantity: '0.01',
+    price: '31000',
+    stopPrice: '29000',
+    ...overrides
+  });
+
+  const leg = (overrides = {}) => new Order({
+    userId,
+    symbol: 'BTC/USDT',
+    side: 'sell',
+    quantity: '0.01',
+    groupId: 'GRP1-1',
+    groupType: 'oco',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    book = new OrderBook('BTC/USDT');
+    triggerBook = new TriggerBook('BTC/USDT');
+    limitLeg = leg({
+      orderId: 'L1', type: 'limit', price: '31000', status: 'open', lockedAmount: '0.01'
+    });
+    stopLeg = leg({
+      orderId: 'S1', type: 'stop_market', stopPrice: '29000', status: 'pending'
+    });
+    book.add({
+      orderId: 'L1', userId, side: 'sell', price: '31000', remaining: '0.01'
+    });
+    triggerBook.add(stopLeg);
+
+    jest.spyOn(TradingEngine.orderBooks, 'get').mockReturnValue(book);
+    jest.spyOn(TradingEngine.triggerBooks, 'get').mockReturnValue(triggerBook);
+    jest.spyOn(Order.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(Wallet, 'unlockFunds').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should accept a limit leg on the profit side of the stop leg', () => {
+    expect(TradingEngine.validateOcoOrder(oco())).toEqual({ valid: true });
+    expect(TradingEngine.validateOcoOrder(oco({ side: 'buy', price: '29000', stopPrice: '31000' })))
+      .toEqual({ valid: true });
+  });
+
+  it('should reject incomplete or inconsistent OCO orders', () => {
+    expect(TradingEngine.validateOcoOrder(oco({ stopPrice: undefined })).error)
+      .toBe('Missing required fields: stopPrice');
+    expect(TradingEngine.validateOcoOrder(oco({ price: '28000' })).error)
+      .toBe('OCO limit price must be on the profit side of the stop price');
+    expect(TradingEngine.validateOcoOrder(oco({ side: 'buy' })).error)
+      .toBe('OCO limit price must be on the profit side of the stop price');
+    expect(TradingEngine.validateOcoOrder(oco({ stopLimitPrice: '28999.999' })).error)
+      .toMatch(/at most 2 decimals/);
+    expect(TradingEngine.validateOcoOrder(oco({ quantity: '0.0003' })).error)
+      .toMatch(/below the minimum notional/);
+  });
+
+  it('should cancel the stop leg once the limit leg fills', async () => {
+    limitLeg.status = 'filled';
+    book.remove('L1');
+    jest.spyOn(Order, 'findOne').mockResolvedValue(limitLeg);
+    jest.spyOn(Order, 'find').mockResolvedValue([stopLeg]);
+
+    TradingEngine.queueGroupUpdate(limitLeg);
+    await TradingEngine.processFollowUps('BTC/USDT');
+
+    expect(Order.find).toHaveBeenCalledWith({
+      groupId: 'GRP1-1',
+      orderId: { $ne: 'L1' },
+      status: { $in: Order.OPEN_STATUSES }
+    });
+    expect(stopLeg.status).toBe('cancelled');
+    expect(stopLeg.statusReason).toBe('Cancelled by linked order L1');
+    expect(triggerBook.orders.has('S1')).toBe(false);
+  });
+
+  it('should take the limit leg off the book and return its funds once the stop leg triggers', async () => {
+    stopLeg.status = 'triggered';
+    triggerBook.remove('S1');
+    jest.spyOn(Order, 'find').mockResolvedValue([limitLeg]);
+
+    await TradingEngine.cancelSiblings(stopLeg);
+
+    expect(limitLeg.status).toBe('cancelled');
+    expect(book.get('L1')).toBeNull();
+    expect(Wallet.unlockFunds).toHaveBeenCalledWith(userId, 'BTC', '0.01', { orderId: 'L1' });
+    expect(limitLeg.lockedAmount).toBe('0');
+  });
+});
\ No newline at end of file
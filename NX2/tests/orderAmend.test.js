@@ -0,0 +1,45 @@
+const TradingEngine = require('../src/services/TradingEngine');
+const OrderBook = require('../src/services/OrderBook');
+
+describe('Order amend rules', () => {
+  let book;
+
+  const order = (overrides = {}) => ({
+    orderId: 'B1',
+    userId: 'user1',
+    symbol: 'BTC/USDT',
+    side: 'buy',
+    price: '30000',
+    quantity: '0.01',
+    filledQuantity: '0.004',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    book = new OrderBook('BTC/USDT');
+    book.add({
+      orderId: 'B1', userId: 'user1', side: 'buy', price: '30000', remaining: '0.006'
+    });
+  });
+
+  it('should accept a new price or a smaller quantity', () => {
+    expect(TradingEngine.validateAmend(order(), book, { quantity: '0.008' })).toEqual({ valid: true });
+    expect(TradingEngine.validateAmend(order(), book, { price: '29999.5' })).toEqual({ valid: true });
+  });
+
+  it('should only amend ungrouped orders resting on the book', () => {
+    expect(TradingEngine.validateAmend(order({ orderId: 'B2' }), book, { quantity: '0.008' }).error)
+      .toBe('Only orders resting on the book can be amended');
+    expect(TradingEngine.validateAmend(order({ groupId: 'GRP1-1' }), book, { quantity: '0.008' }).error)
+      .toBe('Orders in an OCO or bracket group cannot be amended');
+  });
+
+  it('should reject quantities at or below what has filled and amends that change nothing', () => {
+    expect(TradingEngine.validateAmend(order(), book, { quantity: '0.004' }).error)
+      .toBe('Quantity must be above the filled quantity of 0.004');
+    expect(TradingEngine.validateAmend(order(), book, { price: '30000', quantity: '0.01' }).error)
+      .toBe('Amend does not change the order');
+    expect(TradingEngine.validateAmend(order(), book, { price: '30000.001' }).error)
+      .toMatch(/at most 2 decimals/);
+  });
+});
\ No newline at end of file
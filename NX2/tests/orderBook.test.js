@@ -0,0 +1,101 @@
+const OrderBook = require('../src/services/OrderBook');
+
+describe('OrderBook', () => {
+  let book;
+
+  const rest = (orderId, side, price, remaining) => book.add({
+    orderId,
+    userId: `user_${orderId}`,
+    side,
+    price,
+    remaining
+  });
+
+  beforeEach(() => {
+    book = new OrderBook('BTC/USDT');
+  });
+
+  it('should sort bids high to low and asks low to high', () => {
+    rest('B1', 'buy', 100, 1);
+    rest('B2', 'buy', 102, 1);
+    rest('B3', 'buy', 101, 1);
+    rest('A1', 'sell', 105, 1);
+    rest('A2', 'sell', 103, 1);
+
+    const depth = book.getDepth();
+    expect(depth.bids.map(([price]) => price)).toEqual(['102', '101', '100']);
+    expect(depth.asks.map(([price]) => price)).toEqual(['103', '105']);
+    expect(book.bestBid().toFixed()).toBe('102');
+    expect(book.bestAsk().toFixed()).toBe('103');
+  });
+
+  it('should match best price first and oldest order first', () => {
+    rest('A1', 'sell', 101, 1);
+    rest('A2', 'sell', 100, 1);
+    rest('A3', 'sell', 100, 2);
+
+    expect(book.bestMatch('buy', 101).orderId).toBe('A2');
+    book.fill('A2', 1);
+    expect(book.bestMatch('buy', 101).orderId).toBe('A3');
+    book.fill('A3', 2);
+    expect(book.bestMatch('buy', 101).orderId).toBe('A1');
+  });
+
+  it('should not match when the limit price does not cross', () => {
+    rest('A1', 'sell', 101, 1);
+    expect(book.bestMatch('buy', 100)).toBeNull();
+    expect(book.bestMatch('buy').orderId).toBe('A1');
+  });
+
+  it('should keep an order at the front of its level after a partial fill', () => {
+    rest('B1', 'buy', 100, 3);
+    rest('B2', 'buy', 100, 1);
+
+    book.fill('B1', 1);
+
+    expect(book.get('B1').remaining.toFixed()).toBe('2');
+    expect(book.bestMatch('sell', 100).orderId).toBe('B1');
+    expect(book.getDepth().bids).toEqual([['100', '3']]);
+  });
+
+  it('should drop empty price levels when orders are removed', () => {
+    rest('B1', 'buy', 100, 1);
+    rest('B2', 'buy', 99, 1);
+
+    expect(book.remove('B1').orderId).toBe('B1');
+    expect(book.remove('B1')).toBeNull();
+    expect(book.getDepth().bids).toEqual([['99', '1']]);
+  });
+
+  it('should keep level quantities exact across fills', () => {
+    rest('A1', 'sell', '0.3', '0.3');
+    rest('A2', 'sell', '0.30', '0.1');
+
+    book.fill('A1', '0.1');
+    book.fill('A1', '0.2');
+
+    expect(book.get('A1')).toBeNull();
+    expect(book.getDepth().asks).toEqual([['0.3', '0.1']]);
+  });
+
+  it('should restore a snapshot with queue order and sequence intact', () => {
+    rest('B1', 'buy', 100, 1);
+    rest('B2', 'buy', 101, 2);
+    rest('B3', 'buy', 100, 3);
+    rest('A1', 'sell', 105, 1);
+    book.fill('B2', 1);
+
+    const snapshot = JSON.parse(JSON.stringify(book.snapshot()));
+    expect(snapshot.sequence).toBe(5);
+    expect(snapshot.bids.map(entry => entry.orderId)).toEqual(['B2', 'B1', 'B3']);
+
+    const restored = new OrderBook('BTC/USDT');
+    restored.restore(snapshot);
+
+    expect(restored.sequence).toBe(5);
+    expect(restored.getDepth()).toEqual(book.getDepth());
+    expect(restored.bestMatch('sell', 100).orderId).toBe('B2');
+    restored.fill('B2', 1);
+    expect(restored.bestMatch('sell', 100).orderId).toBe('B1');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,55 @@
+const OrderBookRecovery = require('../src/services/OrderBookRecovery');
+
+describe('OrderBookRecovery', () => {
+  const bid = (orderId, price, remaining, timestamp) => ({
+    orderId, userId: 'user1', side: 'buy', price, remaining, timestamp
+  });
+  const ask = (orderId, price, remaining, timestamp) => ({
+    orderId, userId: 'user1', side: 'sell', price, remaining, timestamp
+  });
+
+  const snapshot = {
+    sequence: 12,
+    bids: [bid('B1', '100', '1.5', 1), bid('B2', '100', '1', 2)],
+    asks: [ask('A1', '110', '2', 3)]
+  };
+
+  it('should accept a snapshot holding exactly the open orders', () => {
+    expect(OrderBookRecovery.matches(snapshot, [
+      bid('B1', '100.0', '1.5', 1),
+      bid('B2', '100', '1', 2),
+      ask('A1', '110', '2.0', 3)
+    ])).toBe(true);
+  });
+
+  it('should reject a snapshot that differs from the open orders', () => {
+    expect(OrderBookRecovery.matches(snapshot, [
+      bid('B1', '100', '1', 1),
+      bid('B2', '100', '1', 2),
+      ask('A1', '110', '2', 3)
+    ])).toBe(false);
+    expect(OrderBookRecovery.matches(snapshot, [ask('A1', '110', '2', 3)])).toBe(false);
+  });
+
+  it('should reject a snapshot taken before an order was amended', () => {
+    // Same quantities, but B1 was repriced from 100 to 90 and requeued
+    expect(OrderBookRecovery.matches(snapshot, [
+      bid('B2', '100', '1', 2),
+      ask('A1', '110', '2', 3),
+      bid('B1', '90', '1.5', 4)
+    ])).toBe(false);
+  });
+
+  it('should reject a snapshot with another queue order or side', () => {
+    expect(OrderBookRecovery.matches(snapshot, [
+      bid('B1', '100', '1.5', 5),
+      bid('B2', '100', '1', 2),
+      ask('A1', '110', '2', 3)
+    ])).toBe(false);
+    expect(OrderBookRecovery.matches(snapshot, [
+      bid('B1', '100', '1.5', 1),
+      bid('B2', '100', '1', 2),
+      bid('A1', '110', '2', 3)
+    ])).toBe(false);
+  });
+});
\ No newline at end of file
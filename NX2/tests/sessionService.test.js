@@ -0,0 +1,79 @@
+const SessionService = require('../src/services/SessionService');
+
+// Just enough of the Redis client for sessions, without expiry
+const createRedis = () => {
+  const data = new Map();
+  const redis = {
+    data,
+    async set(key, value) { data.set(key, value); },
+    async get(key) { return data.has(key) ? data.get(key) : null; },
+    async getDel(key) {
+      const value = data.has(key) ? data.get(key) : null;
+      data.delete(key);
+      return value;
+    },
+    async exists(key) { return data.has(key) ? 1 : 0; },
+    async del(keys) { keys.forEach(key => data.delete(key)); },
+    async sAdd(key, member) { data.set(key, new Set([...(data.get(key) || []), member])); },
+    async sIsMember(key, member) { return !!data.get(key) && data.get(key).has(member); },
+    async expire() {},
+    multi() {
+      const queued = [];
+      const transaction = {
+        exec: () => Promise.all(queued.map(run => run()))
+      };
+      ['set', 'sAdd', 'expire'].forEach(command => {
+        transaction[command] = (...args) => {
+          queued.push(() => redis[command](...args));
+          return transaction;
+        };
+      });
+      return transaction;
+    }
+  };
+  return redis;
+};
+
+describe('SessionService', () => {
+  beforeEach(() => {
+    SessionService.connect(createRedis());
+  });
+
+  it('should swap a refresh token for a new one in the same session', async () => {
+    const { sessionId, refreshToken } = await SessionService.create('user1');
+    const rotated = await SessionService.rotate(refreshToken);
+
+    expect(rotated).toMatchObject({ sessionId, userId: 'user1' });
+    expect(rotated.refreshToken).not.toBe(refreshToken);
+    expect(await SessionService.isActive(sessionId)).toBe(true);
+
+    const again = await SessionService.rotate(rotated.refreshToken);
+    expect(again.sessionId).toBe(sessionId);
+  });
+
+  it('should revoke the session when a swapped token is used again', async () => {
+    const { sessionId, refreshToken } = await SessionService.create('user1');
+    const rotated = await SessionService.rotate(refreshToken);
+
+    await expect(SessionService.rotate(refreshToken))
+      .rejects.toMatchObject({ status: 401, message: 'Refresh token was already used; the session has been revoked' });
+    expect(await SessionService.isActive(sessionId)).toBe(false);
+    await expect(SessionService.rotate(rotated.refreshToken)).rejects.toThrow('Invalid refresh token');
+  });
+
+  it('should not revoke a session for a token it never issued', async () => {
+    const { sessionId } = await SessionService.create('user1');
+
+    await expect(SessionService.rotate(`${sessionId}.forged`)).rejects.toThrow('Invalid refresh token');
+    expect(await SessionService.isActive(sessionId)).toBe(true);
+  });
+
+  it('should end a revoked session', async () => {
+    const { sessionId, refreshToken } = await SessionService.create('user1');
+    await SessionService.revoke(sessionId);
+
+    expect(await SessionService.isActive(sessionId)).toBe(false);
+    expect(SessionService.redis.data.size).toBe(0);
+    await expect(SessionService.rotate(refreshToken)).rejects.toThrow('Invalid refresh token');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const TradingEngine = require('../src/services/TradingEngine');
+const OrderBook = require('../src/services/OrderBook');
+const FeeService = require('../src/services/FeeService');
+const Order = require('../src/models/Order');
+const Trade = require('../src/models/Trade');
+const Wallet = require('../src/models/Wallet');
+const { toDecimal } = require('../src/utils/decimal');
+
+describe('Failed settlement', () => {
+  let book;
+  let resting;
+  let taker;
+  const session = {};
+  const takerId = new mongoose.Types.ObjectId();
+  const makerId = new mongoose.Types.ObjectId();
+
+  const maker = (orderId, price, quantity) => new Order({
+    orderId, userId: makerId, symbol: 'BTC/USDT', type: 'limit', side: 'sell', price, quantity, lockedAmount: quantity
+  });
+
+  const expectRolledBack = () => {
+    expect(book.getDepth()).toEqual({ bids: [], asks: [['30000', '0.004'], ['30010', '0.01']] });
+    expect(book.get('T1')).toBeNull();
+    expect(book.lastPrice.toFixed()).toBe('29990');
+    const stats = book.stats.snapshot();
+    expect(stats.count).toBe(1);
+    expect(stats.high.toFixed()).toBe('29990');
+    expect(stats.volume.toFixed()).toBe('0.1');
+    expect(taker.status).toBe('rejected');
+    expect(taker.filledQuantity).toBe('0');
+    expect(Wallet.unlockFunds).toHaveBeenCalledWith(takerId, 'USDT', '300.1', { orderId: 'T1' });
+    expect(TradingEngine.emit).not.toHaveBeenCalledWith('trade_executed', expect.anything());
+  };
+
+  beforeEach(() => {
+    resting = [
+      {
+        orderId: 'A1', userId: String(makerId), side: 'sell', price: '30000', remaining: '0.004', timestamp: 1
+      },
+      {
+        orderId: 'A2', userId: String(makerId), side: 'sell', price: '30010', remaining: '0.01', timestamp: 2
+      }
+    ];
+    book = new OrderBook('BTC/USDT');
+    resting.forEach(entry => book.add(entry));
+    book.recordTrade('29990', '0.1', Date.now());
+
+    taker = new Order({
+      orderId: 'T1', userId: takerId, symbol: 'BTC/USDT', type: 'limit', side: 'buy', price: '30010', quantity: '0.01'
+    });
+
+    jest.spyOn(TradingEngine.orderBooks, 'get').mockReturnValue(book);
+    jest.spyOn(TradingEngine, 'emit');
+    jest.spyOn(mongoose.connection, 'transaction').mockImplementation(fn => fn(session));
+    jest.spyOn(Order, 'find').mockResolvedValue([maker('A1', '30000', '0.004'), maker('A2', '30010', '0.01')]);
+    jest.spyOn(Order, 'bulkSave').mockResolvedValue();
+    jest.spyOn(Order.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(Trade, 'insertMany').mockResolvedValue();
+    jest.spyOn(FeeService, 'getRate').mockResolvedValue(toDecimal('0.001'));
+    jest.spyOn(Wallet, 'lockFunds').mockResolvedValue();
+    jest.spyOn(Wallet, 'unlockFunds').mockResolvedValue();
+    jest.spyOn(Wallet, 'settleLocked').mockResolvedValue();
+
+    // The database has the makers untouched and the taker open with its
+    // reservation, as reserveFunds left it
+    jest.spyOn(Order, 'getRestingEntries').mockResolvedValue([
+      ...resting,
+      {
+        orderId: 'T1', userId: String(takerId), side: 'buy', price: '30010', remaining: '0.01', timestamp: 3
+      }
+    ]);
+    jest.spyOn(Order, 'findOne').mockReturnValue({
+      select: async () => ({
+        quantity: '0.01',
+        filledQuantity: '0',
+        filledValue: '0',
+        averageFillPrice: '0',
+        preventedQuantity: '0',
+        lockedAmount: '300.1'
+      })
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should roll back the trades already inserted when the orders fail to save', async () => {
+    Order.bulkSave.mockImplementation(async (orders) => {
+      // The orders are saved in the transaction, so a retry saves them again
+      expect(orders.map(order => order.$session())).toEqual([session, session, session]);
+      throw new Error('Write conflict');
+    });
+
+    await expect(TradingEngine.executeOrder(taker)).rejects.toThrow('Write conflict');
+
+    expect(mongoose.connection.transaction).toHaveBeenCalledTimes(1);
+    expect(Trade.insertMany).toHaveBeenCalledTimes(1);
+    expect(Trade.insertMany.mock.calls[0][0]).toHaveLength(2);
+    expect(Wallet.settleLocked).not.toHaveBeenCalled();
+    expect(taker.$session()).toBeNull();
+    expectRolledBack();
+  });
+
+  it('should roll back every balance when wallet settlement fails partway through', async () => {
+    Wallet.settleLocked
+      .mockResolvedValueOnce()
+      .mockRejectedValueOnce(new Error('Wallet not found'));
+
+    await expect(TradingEngine.executeOrder(taker)).rejects.toThrow('Wallet not found');
+
+    expect(Trade.insertMany).toHaveBeenCalledTimes(1);
+    expect(Order.bulkSave).toHaveBeenCalledTimes(1);
+    expect(Wallet.settleLocked).toHaveBeenCalledTimes(2);
+    expectRolledBack();
+  });
+});
\ No newline at end of file
@@ -0,0 +1,49 @@
+const TickerStats = require('../src/services/TickerStats');
+
+describe('TickerStats', () => {
+  const HOUR = 60 * 60 * 1000;
+  const start = Date.UTC(2024, 0, 1);
+
+  it('should summarise trades inside the 24h window', () => {
+    const stats = new TickerStats();
+    stats.record('100', '1', start);
+    stats.record('110', '2', start + HOUR);
+    stats.record('90', '1', start + 2 * HOUR);
+    stats.record('105', '0.5', start + 2 * HOUR + 1000);
+
+    const snapshot = stats.snapshot(start + 3 * HOUR);
+    expect(snapshot.open.toFixed()).toBe('100');
+    expect(snapshot.high.toFixed()).toBe('110');
+    expect(snapshot.low.toFixed()).toBe('90');
+    expect(snapshot.close.toFixed()).toBe('105');
+    expect(snapshot.volume.toFixed()).toBe('4.5');
+    expect(snapshot.quoteVolume.toFixed()).toBe('462.5');
+    expect(snapshot.count).toBe(4);
+  });
+
+  it('should roll old trades out of the window without new trades', () => {
+    const stats = new TickerStats();
+    stats.record('100', '1', start);
+    stats.record('120', '1', start + 12 * HOUR);
+
+    const snapshot = stats.snapshot(start + 25 * HOUR);
+    expect(snapshot.open.toFixed()).toBe('120');
+    expect(snapshot.high.toFixed()).toBe('120');
+    expect(snapshot.volume.toFixed()).toBe('1');
+
+    expect(stats.snapshot(start + 37 * HOUR).count).toBe(0);
+  });
+
+  it('should keep a clone unchanged by later trades', () => {
+    const stats = new TickerStats();
+    stats.record('100', '1', start);
+    const clone = stats.clone();
+
+    stats.record('120', '2', start + 1000);
+
+    const snapshot = clone.snapshot(start + HOUR);
+    expect(snapshot.high.toFixed()).toBe('100');
+    expect(snapshot.volume.toFixed()).toBe('1');
+    expect(snapshot.count).toBe(1);
+  });
+});
\ No newline at end of file
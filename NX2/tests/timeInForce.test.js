@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const TradingEngine = require('../src/services/TradingEngine');
+const OrderBook = require('../src/services/OrderBook');
+const FeeService = require('../src/services/FeeService');
+const Order = require('../src/models/Order');
+const Trade = require('../src/models/Trade');
+const Wallet = require('../src/models/Wallet');
+const { toDecimal } = require('../src/utils/decimal');
+
+describe('Time in force and post-only orders', () => {
+  let book;
+  let maker;
+  const takerId = new mongoose.Types.ObjectId();
+  const makerId = new mongoose.Types.ObjectId();
+
+  const order = (overrides = {}) => new Order({
+    orderId: 'T1',
+    userId: takerId,
+    symbol: 'BTC/USDT',
+    type: 'limit',
+    side: 'buy',
+    price: '30000',
+    quantity: '0.01',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    maker = new Order({
+      orderId: 'A1',
+      userId: makerId,
+      symbol: 'BTC/USDT',
+      type: 'limit',
+      side: 'sell',
+      price: '30000',
+      quantity: '0.004',
+      lockedAmount: '0.004'
+    });
+    book = new OrderBook('BTC/USDT');
+    book.add({
+      orderId: 'A1', userId: makerId, side: 'sell', price: '30000', remaining: '0.004'
+    });
+
+    jest.spyOn(TradingEngine, 'getOrderBook').mockReturnValue(book);
+    jest.spyOn(mongoose.connection, 'transaction').mockImplementation(fn => fn({}));
+    jest.spyOn(Order, 'find').mockResolvedValue([maker]);
+    jest.spyOn(Order, 'bulkSave').mockResolvedValue();
+    jest.spyOn(Order.prototype, 'save').mockImplementation(async function() { return this; });
+    jest.spyOn(Trade, 'insertMany').mockResolvedValue();
+    jest.spyOn(FeeService, 'getRate').mockResolvedValue(toDecimal('0.001'));
+    jest.spyOn(Wallet, 'lockFunds').mockResolvedValue();
+    jest.spyOn(Wallet, 'unlockFunds').mockResolvedValue();
+    jest.spyOn(Wallet, 'settleLocked').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should cancel what an IOC order leaves unfilled and return its reservation', async () => {
+    const ioc = order({ timeInForce: 'IOC' });
+    const { trades } = await TradingEngine.executeOrder(ioc);
+
+    expect(trades).toHaveLength(1);
+    expect(ioc.filledQuantity).toBe('0.004');
+    expect(ioc.status).toBe('cancelled');
+    expect(ioc.statusReason).toBe('Unfilled quantity expired (IOC)');
+    expect(book.get('T1')).toBeNull();
+    expect(Wallet.unlockFunds).toHaveBeenCalledWith(takerId, 'USDT', '180', { orderId: 'T1' });
+    expect(ioc.lockedAmount).toBe('0');
+  });
+
+  it('should reject a FOK order the book cannot fill without trading or locking funds', async () => {
+    const fok = order({ timeInForce: 'FOK' });
+    await TradingEngine.executeOrder(fok);
+
+    expect(fok.status).toBe('rejected');
+    expect(fok.statusReason).toBe('Fill-or-kill order could not be filled completely');
+    expect(fok.filledQuantity).toBe('0');
+    expect(fok.lockedAmount).toBe('0');
+    expect(Wallet.lockFunds).not.toHaveBeenCalled();
+    expect(Trade.insertMany).not.toHaveBeenCalled();
+    expect(book.getDepth().asks).toEqual([['30000', '0.004']]);
+  });
+
+  it('should fill a FOK order the book can fill completely', async () => {
+    const fok = order({ timeInForce: 'FOK', quantity: '0.004' });
+    await TradingEngine.executeOrder(fok);
+
+    expect(fok.filledQuantity).toBe('0.004');
+    expect(fok.remainingQuantity).toBe('0');
+    expect(Order.bulkSave).toHaveBeenCalledWith([fok, maker]);
+    expect(book.getDepth().asks).toEqual([]);
+  });
+
+  it('should reject a post-only order that would take liquidity', async () => {
+    const postOnly = order({ postOnly: true });
+    await TradingEngine.executeOrder(postOnly);
+
+    expect(postOnly.status).toBe('rejected');
+    expect(postOnly.statusReason).toBe('Post-only order would take liquidity');
+    expect(Wallet.lockFunds).not.toHaveBeenCalled();
+    expect(book.getDepth().asks).toEqual([['30000', '0.004']]);
+  });
+
+  it('should reprice a post-only order one tick off the spread in reprice mode', async () => {
+    const postOnly = order({ postOnly: true, postOnlyMode: 'reprice', price: '30005' });
+    const { trades } = await TradingEngine.executeOrder(postOnly);
+
+    expect(trades).toEqual([]);
+    expect(postOnly.price).toBe('29999.99');
+    expect(postOnly.status).toBe('open');
+    expect(book.getDepth().bids).toEqual([['29999.99', '0.01']]);
+    expect(Wallet.lockFunds.mock.calls[0][2].toFixed()).toBe('299.9999');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const Trade = require('../src/models/Trade');
+
+describe('Trade history', () => {
+  const takerId = new mongoose.Types.ObjectId();
+  const makerId = new mongoose.Types.ObjectId();
+
+  const trade = new Trade({
+    tradeId: 'TRD1-1',
+    symbol: 'BTC/USDT',
+    price: '30000',
+    quantity: '0.01',
+    side: 'buy',
+    takerOrderId: 'TAKER-1',
+    makerOrderId: 'MAKER-1',
+    takerUserId: takerId,
+    makerUserId: makerId,
+    fee: {
+      takerFee: '0.00001',
+      takerFeeRate: '0.001',
+      takerFeeCurrency: 'BTC',
+      makerFee: '0.3',
+      makerFeeRate: '0.001',
+      makerFeeCurrency: 'USDT'
+    }
+  });
+
+  it('should show the taker only its own order, side and fee', () => {
+    const view = trade.forUser(String(takerId));
+
+    expect(view).toMatchObject({
+      orderId: 'TAKER-1', role: 'taker', side: 'buy', price: '30000', quantity: '0.01', totalValue: '300', fee: '0.00001', feeCurrency: 'BTC'
+    });
+    expect(JSON.stringify(view)).not.toContain(String(makerId));
+  });
+
+  it('should show the maker the other side of the trade', () => {
+    const view = trade.forUser(makerId);
+
+    expect(view).toMatchObject({
+      orderId: 'MAKER-1', role: 'maker', side: 'sell', fee: '0.3', feeRate: '0.001', feeCurrency: 'USDT'
+    });
+    expect(JSON.stringify(view)).not.toContain(String(takerId));
+    expect(JSON.stringify(view)).not.toContain('TAKER-1');
+  });
+});
\ No newline at end of file
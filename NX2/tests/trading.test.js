@@ -1,87 +1,259 @@
-const request = require('supertest');
-const Application = require('../src/app');
-const User = require('../src/models/User');
-const Order = require('../src/models/Order');
-
-describe('Trading API', () => {
-  let app;
-  let server;
-  let authToken;
-  let userId;
-
-  beforeAll(async () => {
-    app = new Application();
-    server = await app.start(3001);
-    
-    // Create test user
-    const user = new User({
-      email: 'test@trader.com',
-      password: 'password123',
-      name: 'Test Trader'
-    });
-    await user.save();
-    userId = user._id;
-    
-    // Get auth token
-    const response = await request(server)
-      .post('/api/auth/login')
-      .send({
-        email: 'test@trader.com',
-        password: 'password123'
-      });
-    
-    authToken = response.body.token;
-  });
-
-  afterAll(async () => {
-    await User.deleteMany({});
-    await Order.deleteMany({});
-    await app.stop();
-  });
-
-  describe('POST /api/trading/order', () => {
-    it('should place a limit buy order', async () => {
-      const response = await request(server)
-        .post('/api/trading/order')
-        .set('Authorization', `Bearer ${authToken}`)
-        .send({
-          symbol: 'BTC/USDT',
-          type: 'limit',
-          side: 'buy',
-          quantity: 0.1,
-          price: 50000
-        });
-
-      expect(response.status).toBe(200);
-      expect(response.body.success).toBe(true);
-      expect(response.body.orderId).toBeDefined();
-    });
-
-    it('should reject invalid order data', async () => {
-      const response = await request(server)
-        .post('/api/trading/order')
-        .set('Authorization', `Bearer ${authToken}`)
-        .send({
-          symbol: 'INVALID',
-          type: 'limit',
-          side: 'buy',
-          quantity: -1 // Invalid quantity
-        });
-
-      expect(response.status).toBe(400);
-      expect(response.body.success).toBe(false);
-    });
-  });
-
-  describe('GET /api/trading/orders', () => {
-    it('should retrieve user orders', async () => {
-      const response = await request(server)
-        .get('/api/trading/orders')
-        .set('Authorization', `Bearer ${authToken}`);
-
-      expect(response.status).toBe(200);
-      expect(response.body.success).toBe(true);
-      expect(Array.isArray(response.body.orders)).toBe(true);
-    });
-  });
+const { spawnSync } = require('child_process');
+const request = require('supertest');
+const Application = require('../src/app');
+const User = require('../src/models/User');
+const Order = require('../src/models/Order');
+const Wallet = require('../src/models/Wallet');
+const LedgerEntry = require('../src/models/LedgerEntry');
+
+// The API tests run against real MongoDB and Redis, e.g. those of
+// tests/docker-compose.yml (settlement needs MongoDB as a replica set),
+// found through MONGODB_URI and REDIS_URL. Without them the suite is
+// skipped instead of failing to connect.
+const reachable = (uri, defaultPort) => {
+  const match = uri && uri.match(/^[a-z+]+:\/\/(?:[^@/]*@)?([^:/,?]+)(?::(\d+))?/i);
+  if (!match) return false;
+
+  const [, host, port = defaultPort] = match;
+  const probe = spawnSync(process.execPath, ['-e', `
+    require('net').connect(${Number(port)}, ${JSON.stringify(host)})
+      .on('connect', () => process.exit(0))
+      .on('error', () => process.exit(1));
+  `], { timeout: 3000 });
+  return probe.status === 0;
+};
+
+const describeWithServices = reachable(process.env.MONGODB_URI, 27017) && reachable(process.env.REDIS_URL, 6379)
+  ? describe
+  : describe.skip;
+
+describeWithServices('Trading API', () => {
+  let app;
+  let server;
+  let authToken;
+  let userId;
+
+  beforeAll(async () => {
+    app = new Application();
+    server = await app.start(3001);
+    
+    // Create test user
+    const user = new User({
+      email: 'test@trader.com',
+      password: 'password123',
+      name: 'Test Trader',
+      isVerified: true
+    });
+    await user.save();
+    userId = user._id;
+
+    // Orders lock their funds when placed, so the buys below need USDT
+    await Wallet.creditFunds(userId, 'USDT', '100000', { description: 'Test balance' });
+    
+    // Get auth token
+    const response = await request(server)
+      .post('/api/auth/login')
+      .send({
+        email: 'test@trader.com',
+        password: 'password123'
+      });
+    
+    authToken = response.body.token;
+  });
+
+  afterAll(async () => {
+    await User.deleteMany({});
+    await Order.deleteMany({});
+    await Wallet.deleteMany({});
+    await LedgerEntry.deleteMany({});
+    await app.stop();
+  });
+
+  describe('POST /api/trading/order', () => {
+    it('should place a limit buy order', async () => {
+      const response = await request(server)
+        .post('/api/trading/order')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          symbol: 'BTC/USDT',
+          type: 'limit',
+          side: 'buy',
+          quantity: 0.1,
+          price: 50000
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.orderId).toBeDefined();
+    });
+
+    it('should reject invalid order data', async () => {
+      const response = await request(server)
+        .post('/api/trading/order')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          symbol: 'INVALID',
+          type: 'limit',
+          side: 'buy',
+          quantity: -1 // Invalid quantity
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('client order IDs', () => {
+    const order = {
+      symbol: 'BTC/USDT', type: 'limit', side: 'buy', quantity: 0.1, price: 50000, clientOrderId: 'retry-1'
+    };
+
+    it('should return the original order to a retried submission', async () => {
+      const first = await request(server)
+        .post('/api/trading/order')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(order);
+      const retry = await request(server)
+        .post('/api/trading/order')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(order);
+
+      expect(retry.status).toBe(200);
+      expect(retry.body.orderId).toBe(first.body.orderId);
+      expect(retry.body.duplicate).toBe(true);
+
+      const conflict = await request(server)
+        .post('/api/trading/order')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ ...order, side: 'sell' });
+
+      expect(conflict.status).toBe(409);
+    });
+
+    it('should query and cancel by client order ID', async () => {
+      const placed = await request(server)
+        .post('/api/trading/order')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ ...order, clientOrderId: 'retry-2' });
+
+      const found = await request(server)
+        .get('/api/trading/order/client/retry-2')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(found.status).toBe(200);
+      expect(found.body.order.orderId).toBe(placed.body.orderId);
+
+      const cancelled = await request(server)
+        .delete('/api/trading/order/client/retry-2')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(cancelled.status).toBe(200);
+      expect(cancelled.body.orderId).toBe(placed.body.orderId);
+    });
+  });
+
+  describe('POST /api/trading/orders/batch', () => {
+    it('should return a result per order', async () => {
+      const response = await request(server)
+        .post('/api/trading/orders/batch')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          orders: [
+            {
+              symbol: 'BTC/USDT', type: 'limit', side: 'buy', quantity: 0.1, price: 50000
+            },
+            {
+              symbol: 'BTC/USDT', type: 'limit', side: 'buy', quantity: -1
+            }
+          ]
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.results).toHaveLength(2);
+      expect(response.body.results[1]).toMatchObject({ index: 1, success: false });
+    });
+
+    it('should reject a batch above the limit', async () => {
+      const order = {
+        symbol: 'BTC/USDT', type: 'limit', side: 'buy', quantity: 0.1, price: 50000
+      };
+      const response = await request(server)
+        .post('/api/trading/orders/batch')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ orders: Array(21).fill(order) });
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('DELETE /api/trading/orders/batch', () => {
+    it('should report orders that could not be cancelled', async () => {
+      const response = await request(server)
+        .delete('/api/trading/orders/batch')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ orderIds: ['UNKNOWN'] });
+
+      expect(response.status).toBe(200);
+      expect(response.body.results).toEqual([
+        { orderId: 'UNKNOWN', success: false, error: 'Order not found' }
+      ]);
+    });
+  });
+
+  describe('GET /api/trading/orders', () => {
+    it('should retrieve user orders', async () => {
+      const response = await request(server)
+        .get('/api/trading/orders')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(Array.isArray(response.body.orders)).toBe(true);
+    });
+  });
+
+  describe('PATCH /api/trading/order/:orderId', () => {
+    it('should require a price or a quantity', async () => {
+      const response = await request(server)
+        .patch('/api/trading/order/ORD1-1')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should return 404 for an unknown order', async () => {
+      const response = await request(server)
+        .patch('/api/trading/order/UNKNOWN')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ quantity: 0.05 });
+
+      expect(response.status).toBe(404);
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('PUT /api/trading/settings', () => {
+    it('should set the account self-trade prevention mode', async () => {
+      const response = await request(server)
+        .put('/api/trading/settings')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ selfTradePrevention: 'cancel_oldest' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.settings.selfTradePrevention).toBe('cancel_oldest');
+    });
+
+    it('should reject an unknown self-trade prevention mode', async () => {
+      const response = await request(server)
+        .put('/api/trading/settings')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ selfTradePrevention: 'cancel_everything' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+  });
 });
\ No newline at end of file
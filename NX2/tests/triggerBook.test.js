@@ -0,0 +1,42 @@
+const TriggerBook = require('../src/services/TriggerBook');
+
+describe('TriggerBook', () => {
+  let book;
+
+  beforeEach(() => {
+    book = new TriggerBook('BTC/USDT');
+  });
+
+  it('should trigger buy stops when the price rises to the stop price', () => {
+    book.add({ orderId: 'B1', side: 'buy', stopPrice: 105 });
+    book.add({ orderId: 'B2', side: 'buy', stopPrice: 110 });
+
+    expect(book.collect(104)).toEqual([]);
+    expect(book.collect(105).map(entry => entry.orderId)).toEqual(['B1']);
+    expect(book.collect(120).map(entry => entry.orderId)).toEqual(['B2']);
+  });
+
+  it('should trigger sell stops when the price falls to the stop price', () => {
+    book.add({ orderId: 'S1', side: 'sell', stopPrice: 90 });
+    book.add({ orderId: 'S2', side: 'sell', stopPrice: 95 });
+
+    expect(book.collect(96)).toEqual([]);
+    expect(book.collect(90).map(entry => entry.orderId)).toEqual(['S1', 'S2']);
+    expect(book.orders.size).toBe(0);
+  });
+
+  it('should not trigger stops on the wrong side of the price', () => {
+    book.add({ orderId: 'B1', side: 'buy', stopPrice: 105 });
+    book.add({ orderId: 'S1', side: 'sell', stopPrice: 95 });
+
+    expect(book.collect(100)).toEqual([]);
+    expect(book.orders.size).toBe(2);
+  });
+
+  it('should not trigger removed stops', () => {
+    book.add({ orderId: 'B1', side: 'buy', stopPrice: 105 });
+
+    expect(book.remove('B1').orderId).toBe('B1');
+    expect(book.collect(200)).toEqual([]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const totp = require('../src/utils/totp');
+const AuthService = require('../src/services/AuthService');
+const User = require('../src/models/User');
+const { requireTwoFactor } = require('../src/middleware/auth');
+
+describe('Two-factor authentication', () => {
+  // RFC 6238 test secret "12345678901234567890"
+  const secret = totp.toBase32(Buffer.from('12345678901234567890'));
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should generate the RFC 6238 codes', () => {
+    expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(totp.fromBase32(secret).toString()).toBe('12345678901234567890');
+    expect(totp.generate(secret, 59 * 1000)).toBe('287082');
+    expect(totp.generate(secret, 1111111109 * 1000)).toBe('081804');
+  });
+
+  it('should accept codes one step either side of the current one', () => {
+    const time = 1111111109 * 1000;
+    const counter = Math.floor(time / 30000);
+
+    expect(totp.verify(secret, '081804', { time })).toBe(counter);
+    expect(totp.verify(secret, '081804', { time: time + 30000 })).toBe(counter);
+    expect(totp.verify(secret, '081804', { time: time + 90000 })).toBeNull();
+    expect(totp.verify(secret, '81804', { time })).toBeNull();
+  });
+
+  it('should not take a login challenge as an access token', () => {
+    const challengeToken = AuthService.generateChallengeToken({ _id: 'user1' });
+
+    expect(AuthService.verifyChallengeToken(challengeToken)).toMatchObject({ userId: 'user1' });
+    expect(AuthService.verifyToken(challengeToken).success).toBe(false);
+  });
+
+  it('should only take recovery codes where allowed', async () => {
+    const updateOne = jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const user = { _id: 'user1', twoFactorSecret: secret };
+
+    expect(await AuthService.checkSecondFactor(user, 'abcde-12345')).toBe(false);
+    expect(updateOne).not.toHaveBeenCalled();
+
+    expect(await AuthService.checkSecondFactor(user, 'ABCDE12345', { allowBackupCode: true })).toBe(true);
+    expect(updateOne.mock.calls[0][1].$pull.twoFactorBackupCodes).toBe(
+      crypto.createHash('sha256').update('abcde12345').digest('hex')
+    );
+  });
+
+  it('should not accept a code from a time step already used', async () => {
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+    expect(await AuthService.checkSecondFactor(
+      { _id: 'user1', twoFactorSecret: secret },
+      totp.generate(secret)
+    )).toBe(false);
+  });
+
+  it('should ask a sub-account for its master account\'s code', async () => {
+    const users = {
+      master1: { _id: 'master1', twoFactorEnabled: true, twoFactorSecret: secret },
+      sub1: { _id: 'sub1', parentUserId: 'master1', twoFactorEnabled: false }
+    };
+    jest.spyOn(User, 'findById').mockImplementation(id => ({ select: async () => users[id] }));
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    await requireTwoFactor({ user: { userId: 'sub1' }, body: {} }, res, next);
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json.mock.calls[0][0].twoFactorRequired).toBe(true);
+
+    await requireTwoFactor({ user: { userId: 'sub1' }, body: { twoFactorCode: totp.generate(secret) } }, res, next);
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,39 @@
+const WalletService = require('../src/services/WalletService');
+const TradingEngine = require('../src/services/TradingEngine');
+const MarketRegistry = require('../src/services/MarketRegistry');
+const { toDecimal } = require('../src/utils/decimal');
+
+describe('WalletService', () => {
+  // The registry and the engine are shared by every test file
+  afterEach(() => {
+    TradingEngine.getOrderBook('ETH/USDT').lastPrice = toDecimal(0);
+    MarketRegistry.markets.delete('LTC/USDT');
+    TradingEngine.orderBooks.delete('LTC/USDT');
+    TradingEngine.triggerBooks.delete('LTC/USDT');
+    TradingEngine.groupUpdates.delete('LTC/USDT');
+  });
+
+  it('should value stablecoins at par and other assets at the last USDT price', () => {
+    expect(WalletService.getUsdPrice('USDT').toFixed()).toBe('1');
+    expect(WalletService.getUsdPrice('ETH')).toBeNull();
+
+    TradingEngine.getOrderBook('ETH/USDT').lastPrice = toDecimal('1850.25');
+    expect(WalletService.getUsdPrice('ETH').toFixed()).toBe('1850.25');
+  });
+
+  it('should reject transfer amounts that are not positive or too precise', () => {
+    expect(() => WalletService.validateAmount('USDT', '0')).toThrow('Amount must be positive');
+    expect(() => WalletService.validateAmount('BTC', '0.000000001')).toThrow('at most 8 decimals');
+    expect(() => WalletService.validateAmount('XYZ', '1')).toThrow('Unsupported currency: XYZ');
+    expect(WalletService.validateAmount('BTC', '0.5').toFixed()).toBe('0.5');
+  });
+
+  it('should accept transfers of assets from markets added at runtime at their precision', () => {
+    MarketRegistry.set({
+      ...MarketRegistry.get('BTC/USDT'), symbol: 'LTC/USDT', base: 'LTC', basePrecision: 6
+    });
+
+    expect(WalletService.validateAmount('LTC', '0.000001').toFixed()).toBe('0.000001');
+    expect(() => WalletService.validateAmount('LTC', '0.0000001')).toThrow('at most 6 decimals for LTC');
+  });
+});
\ No newline at end of file